@@ -10,15 +10,18 @@ const { swaggerUi, swaggerSpec } = require('./swagger');
 const authRoutes = require('./routes/auth');
 const propertyRoutes = require('./routes/properties');
 const viewingRequestRoutes = require('./routes/requests');
+const viewingSlotRoutes = require('./routes/viewingSlots');
 const reviewRoutes = require('./routes/reviews');
+const landlordRoutes = require('./routes/landlords');
 const savedPropertyRoutes = require('./routes/savedProperties');
+const savedSearchRoutes = require('./routes/savedSearches');
 const messageRoutes = require('./routes/messages');
 const adminRoutes = require('./routes/admin');
-const {
-  generateAccessToken,
-  generateRefreshToken,
-  verifyToken,
-} = require('./utils/auth');
+const calendarRoutes = require('./routes/calendar');
+const flagRoutes = require('./routes/flags');
+const { attachChatSocket } = require('./utils/realtime');
+const { getStorage } = require('./utils/storage');
+const { startSavedSearchAlerts } = require('./utils/savedSearchAlerts');
 
 const prisma = new PrismaClient();
 const app = express();
@@ -49,8 +52,8 @@ passport.use(new GoogleStrategy({
           email: profile.emails[0].value,
           name: profile.displayName,
           googleId: profile.id,
-          emailVerified: true,
-          role: 'student',
+          isVerified: true,
+          role: 'STUDENT',
         },
       });
     }
@@ -71,6 +74,12 @@ passport.deserializeUser(async (id, done) => {
     done(err, null);
   }
 });
+// Uploaded media when it is stored on local disk
+const storage = getStorage();
+if (storage.driver === 'local') {
+  app.use('/uploads', express.static(storage.root));
+}
+
 // Swagger route
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
@@ -80,16 +89,32 @@ app.use('/auth', authRoutes);
 app.use('/properties', propertyRoutes);
 // Mount viewing request routes
 app.use('/viewing-requests', viewingRequestRoutes);
+// Mount viewing slot routes
+app.use('/viewing-slots', viewingSlotRoutes);
 // Mount review routes
 app.use('/reviews', reviewRoutes);
+// Mount landlord profile routes
+app.use('/landlords', landlordRoutes);
 // Mount saved properties routes
 app.use('/saved-properties', savedPropertyRoutes);
+// Mount saved search routes
+app.use('/saved-searches', savedSearchRoutes);
 // Mount message routes
 app.use('/chat', messageRoutes);
 // Admin routes
 app.use('/admin', adminRoutes);
+// Calendar feed routes
+app.use('/calendar', calendarRoutes);
+// Report and triage routes
+app.use('/flags', flagRoutes);
 
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
 });
+
+// Real-time chat over WebSockets at /chat/ws
+attachChatSocket(server);
+
+// Emails new listings matching students' saved searches
+startSavedSearchAlerts(prisma);
@@ -1,25 +1,66 @@
+const { PrismaClient } = require('@prisma/client');
 const { verifyToken } = require('../utils/auth');
+const { can } = require('../utils/policies');
+const { ACCOUNT_STATE_SELECT, accountRestriction } = require('../utils/accounts');
+const { isSessionActive } = require('../utils/sessions');
 
-// ✅ Auth middleware: verifies JWT and attaches user to request
-const authenticateToken = (req, res, next) => {
+const prisma = new PrismaClient();
+
+// ✅ Auth middleware: verifies JWT and attaches user to request.
+// Suspended and deleted accounts, and tokens of revoked sessions, are refused
+// even while the token is still valid.
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader?.split(' ')[1];
 
   if (!token) return res.status(401).json({ message: 'Access token required' });
 
+  let user;
   try {
-    const user = verifyToken(token, process.env.ACCESS_TOKEN_SECRET);
-    req.user = user;
-    next();
+    user = verifyToken(token, process.env.ACCESS_TOKEN_SECRET);
   } catch (err) {
     return res.status(403).json({ message: 'Invalid or expired token' });
   }
+
+  try {
+    const [account, sessionActive] = await Promise.all([
+      prisma.user.findUnique({ where: { id: user.id }, select: ACCOUNT_STATE_SELECT }),
+      isSessionActive(prisma, user.id, user.sid),
+    ]);
+    const restriction = accountRestriction(account);
+    if (restriction) {
+      const { status, error, ...details } = restriction;
+      return res.status(status).json({ message: error, ...details });
+    }
+    if (!sessionActive) return res.status(401).json({ message: 'Session has been revoked' });
+  } catch (err) {
+    console.error('Account check failed:', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+
+  req.user = user;
+  next();
+};
+
+// ✅ Optional auth: attaches the user when a valid token is sent, otherwise continues anonymously
+const optionalAuth = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader?.split(' ')[1];
+
+  if (token) {
+    try {
+      req.user = verifyToken(token, process.env.ACCESS_TOKEN_SECRET);
+    } catch (err) {
+      // Invalid tokens are treated as anonymous on public routes
+    }
+  }
+  next();
 };
 
-// ✅ Role-based authorization middleware
-const authorizeRoles = (...allowedRoles) => {
+// ✅ Permission middleware for role-level actions (see utils/policies.js)
+const authorize = (action) => {
   return (req, res, next) => {
-    if (!req.user || !allowedRoles.includes(req.user.role)) {
+    if (!req.user || !can(req.user, action)) {
       return res.status(403).json({ message: 'Forbidden: Insufficient permissions' });
     }
     next();
@@ -28,5 +69,6 @@ const authorizeRoles = (...allowedRoles) => {
 
 module.exports = {
   authenticateToken,
-  authorizeRoles,
+  optionalAuth,
+  authorize,
 };
@@ -0,0 +1,34 @@
+-- AlterTable
+ALTER TABLE `properties` ADD COLUMN `reviewedAt` DATETIME(3) NULL,
+    ADD COLUMN `reviewedById` INTEGER NULL,
+    ADD COLUMN `status` ENUM('DRAFT', 'PENDING', 'APPROVED', 'DECLINED', 'ARCHIVED') NOT NULL DEFAULT 'DRAFT',
+    ADD COLUMN `statusReason` VARCHAR(191) NULL,
+    ADD COLUMN `submittedAt` DATETIME(3) NULL;
+
+-- Listings created before moderation existed go to the review queue
+UPDATE `properties` SET `status` = 'PENDING', `submittedAt` = `createdAt`;
+
+-- CreateTable
+CREATE TABLE `listing_moderation` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `propertyId` INTEGER NOT NULL,
+    `adminId` INTEGER NOT NULL,
+    `fromStatus` ENUM('DRAFT', 'PENDING', 'APPROVED', 'DECLINED', 'ARCHIVED') NOT NULL,
+    `toStatus` ENUM('DRAFT', 'PENDING', 'APPROVED', 'DECLINED', 'ARCHIVED') NOT NULL,
+    `reason` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `properties_status_idx` ON `properties`(`status`);
+
+-- AddForeignKey
+ALTER TABLE `properties` ADD CONSTRAINT `properties_reviewedById_fkey` FOREIGN KEY (`reviewedById`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `listing_moderation` ADD CONSTRAINT `listing_moderation_propertyId_fkey` FOREIGN KEY (`propertyId`) REFERENCES `properties`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `listing_moderation` ADD CONSTRAINT `listing_moderation_adminId_fkey` FOREIGN KEY (`adminId`) REFERENCES `users`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
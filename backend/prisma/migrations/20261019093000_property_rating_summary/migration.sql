@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE `properties` ADD COLUMN `averageRating` DOUBLE NULL,
+    ADD COLUMN `reviewCount` INTEGER NOT NULL DEFAULT 0;
+
+-- Backfill from existing reviews
+UPDATE `properties` SET
+    `averageRating` = (SELECT AVG(`rating`) FROM `reviews` WHERE `reviews`.`propertyId` = `properties`.`id`),
+    `reviewCount` = (SELECT COUNT(*) FROM `reviews` WHERE `reviews`.`propertyId` = `properties`.`id`);
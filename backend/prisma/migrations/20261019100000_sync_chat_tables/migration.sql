@@ -0,0 +1,96 @@
+/*
+  Messages now belong to a `Conversation` between a student and a landlord.
+  The old `messages` rows are copied into `Message`, grouped into one conversation
+  per pair of users, before the old table is dropped. The landlord side of a pair
+  is the user with the LANDLORD role; when both or neither have it, the lower user
+  id is taken as the student so both directions end up in the same conversation.
+*/
+-- CreateTable
+CREATE TABLE `Conversation` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `studentId` INTEGER NOT NULL,
+    `landlordId` INTEGER NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `Conversation_studentId_landlordId_key`(`studentId`, `landlordId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `Message` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `conversationId` INTEGER NOT NULL,
+    `senderId` INTEGER NOT NULL,
+    `receiverId` INTEGER NOT NULL,
+    `content` VARCHAR(191) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `Conversation` ADD CONSTRAINT `fk_student_user` FOREIGN KEY (`studentId`) REFERENCES `users`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `Conversation` ADD CONSTRAINT `fk_landlord_user` FOREIGN KEY (`landlordId`) REFERENCES `users`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `Message` ADD CONSTRAINT `Message_conversationId_fkey` FOREIGN KEY (`conversationId`) REFERENCES `Conversation`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `Message` ADD CONSTRAINT `fk_sender_user` FOREIGN KEY (`senderId`) REFERENCES `users`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `Message` ADD CONSTRAINT `fk_receiver_user` FOREIGN KEY (`receiverId`) REFERENCES `users`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Copy conversations: one per student/landlord pair
+INSERT INTO `Conversation` (`studentId`, `landlordId`, `createdAt`, `updatedAt`)
+SELECT `studentId`, `landlordId`, MIN(`sentAt`), MAX(`sentAt`)
+FROM (
+    SELECT
+    CASE
+        WHEN (`s`.`role` = 'LANDLORD') = (`r`.`role` = 'LANDLORD') THEN LEAST(`m`.`senderId`, `m`.`receiverId`)
+        WHEN `s`.`role` = 'LANDLORD' THEN `m`.`receiverId`
+        ELSE `m`.`senderId`
+    END AS `studentId`,
+    CASE
+        WHEN (`s`.`role` = 'LANDLORD') = (`r`.`role` = 'LANDLORD') THEN GREATEST(`m`.`senderId`, `m`.`receiverId`)
+        WHEN `s`.`role` = 'LANDLORD' THEN `m`.`senderId`
+        ELSE `m`.`receiverId`
+    END AS `landlordId`,
+    `m`.`sentAt`
+    FROM `messages` `m`
+    JOIN `users` `s` ON `s`.`id` = `m`.`senderId`
+    JOIN `users` `r` ON `r`.`id` = `m`.`receiverId`
+) `pairs`
+GROUP BY `studentId`, `landlordId`;
+
+-- Copy messages into their conversation
+INSERT INTO `Message` (`conversationId`, `senderId`, `receiverId`, `content`, `createdAt`, `updatedAt`)
+SELECT `c`.`id`, `m`.`senderId`, `m`.`receiverId`, `m`.`content`, `m`.`sentAt`, `m`.`sentAt`
+FROM `messages` `m`
+JOIN `users` `s` ON `s`.`id` = `m`.`senderId`
+JOIN `users` `r` ON `r`.`id` = `m`.`receiverId`
+JOIN `Conversation` `c`
+    ON `c`.`studentId` = CASE
+        WHEN (`s`.`role` = 'LANDLORD') = (`r`.`role` = 'LANDLORD') THEN LEAST(`m`.`senderId`, `m`.`receiverId`)
+        WHEN `s`.`role` = 'LANDLORD' THEN `m`.`receiverId`
+        ELSE `m`.`senderId`
+    END
+    AND `c`.`landlordId` = CASE
+        WHEN (`s`.`role` = 'LANDLORD') = (`r`.`role` = 'LANDLORD') THEN GREATEST(`m`.`senderId`, `m`.`receiverId`)
+        WHEN `s`.`role` = 'LANDLORD' THEN `m`.`senderId`
+        ELSE `m`.`receiverId`
+    END
+ORDER BY `m`.`id`;
+
+-- DropForeignKey
+ALTER TABLE `messages` DROP FOREIGN KEY `messages_receiverId_fkey`;
+
+-- DropForeignKey
+ALTER TABLE `messages` DROP FOREIGN KEY `messages_senderId_fkey`;
+
+-- DropTable
+DROP TABLE `messages`;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE `Message` ADD COLUMN `deliveredAt` DATETIME(3) NULL,
+    MODIFY `content` TEXT NOT NULL;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `Message` ADD COLUMN `readAt` DATETIME(3) NULL;
+
+-- CreateIndex
+CREATE INDEX `Message_receiverId_readAt_idx` ON `Message`(`receiverId`, `readAt`);
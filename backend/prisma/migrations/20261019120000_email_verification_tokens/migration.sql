@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `user_tokens` MODIFY `purpose` ENUM('PASSWORD_RESET', 'EMAIL_VERIFICATION') NOT NULL;
@@ -0,0 +1,46 @@
+-- AlterTable
+ALTER TABLE `users` MODIFY `role` ENUM('STUDENT', 'LANDLORD', 'MODERATOR', 'ADMIN') NOT NULL DEFAULT 'STUDENT';
+
+-- CreateTable
+CREATE TABLE `admin_invitations` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `email` VARCHAR(191) NOT NULL,
+    `role` ENUM('STUDENT', 'LANDLORD', 'MODERATOR', 'ADMIN') NOT NULL,
+    `tokenHash` VARCHAR(191) NOT NULL,
+    `invitedById` INTEGER NOT NULL,
+    `expiresAt` DATETIME(3) NOT NULL,
+    `acceptedAt` DATETIME(3) NULL,
+    `acceptedById` INTEGER NULL,
+    `revokedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `admin_invitations_tokenHash_key`(`tokenHash`),
+    INDEX `admin_invitations_email_idx`(`email`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `role_changes` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NOT NULL,
+    `fromRole` ENUM('STUDENT', 'LANDLORD', 'MODERATOR', 'ADMIN') NULL,
+    `toRole` ENUM('STUDENT', 'LANDLORD', 'MODERATOR', 'ADMIN') NOT NULL,
+    `changedById` INTEGER NULL,
+    `reason` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `role_changes_userId_idx`(`userId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `admin_invitations` ADD CONSTRAINT `admin_invitations_invitedById_fkey` FOREIGN KEY (`invitedById`) REFERENCES `users`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `admin_invitations` ADD CONSTRAINT `admin_invitations_acceptedById_fkey` FOREIGN KEY (`acceptedById`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `role_changes` ADD CONSTRAINT `role_changes_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `users`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `role_changes` ADD CONSTRAINT `role_changes_changedById_fkey` FOREIGN KEY (`changedById`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE `property_media` ADD COLUMN `storageKey` VARCHAR(191) NULL,
+    ADD COLUMN `thumbnailUrl` VARCHAR(191) NULL,
+    ADD COLUMN `variants` JSON NULL,
+    ADD COLUMN `mimeType` VARCHAR(191) NULL,
+    ADD COLUMN `size` INTEGER NULL,
+    ADD COLUMN `position` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `isCover` BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateIndex
+CREATE INDEX `property_media_propertyId_position_idx` ON `property_media`(`propertyId`, `position`);
+
+-- Keep existing media in upload order
+UPDATE `property_media` pm
+JOIN (
+    SELECT `id`, ROW_NUMBER() OVER (PARTITION BY `propertyId` ORDER BY `id`) - 1 AS `position`
+    FROM `property_media`
+) ordered ON ordered.`id` = pm.`id`
+SET pm.`position` = ordered.`position`;
+
+-- The first image of each property becomes its cover
+UPDATE `property_media` pm
+JOIN (
+    SELECT MIN(`id`) AS `id` FROM `property_media` WHERE `mediaType` = 'IMAGE' GROUP BY `propertyId`
+) covers ON covers.`id` = pm.`id`
+SET pm.`isCover` = true;
@@ -0,0 +1,34 @@
+-- AlterTable
+ALTER TABLE `viewing_requests` ADD COLUMN `slotId` INTEGER NULL,
+    ADD COLUMN `proposedDate` DATETIME(3) NULL,
+    ADD COLUMN `proposedSlotId` INTEGER NULL,
+    ADD COLUMN `proposedById` INTEGER NULL,
+    ADD COLUMN `proposedAt` DATETIME(3) NULL;
+
+-- CreateTable
+CREATE TABLE `viewing_slots` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `propertyId` INTEGER NOT NULL,
+    `startsAt` DATETIME(3) NOT NULL,
+    `endsAt` DATETIME(3) NOT NULL,
+    `isBooked` BOOLEAN NOT NULL DEFAULT false,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `viewing_slots_propertyId_startsAt_key`(`propertyId`, `startsAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `viewing_requests_propertyId_requestedDate_idx` ON `viewing_requests`(`propertyId`, `requestedDate`);
+
+-- AddForeignKey
+ALTER TABLE `viewing_requests` ADD CONSTRAINT `viewing_requests_slotId_fkey` FOREIGN KEY (`slotId`) REFERENCES `viewing_slots`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `viewing_requests` ADD CONSTRAINT `viewing_requests_proposedSlotId_fkey` FOREIGN KEY (`proposedSlotId`) REFERENCES `viewing_slots`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `viewing_requests` ADD CONSTRAINT `viewing_requests_proposedById_fkey` FOREIGN KEY (`proposedById`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `viewing_slots` ADD CONSTRAINT `viewing_slots_propertyId_fkey` FOREIGN KEY (`propertyId`) REFERENCES `properties`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE `viewing_requests` MODIFY `status` ENUM('PENDING', 'APPROVED', 'REJECTED', 'CANCELLED_BY_STUDENT', 'CANCELLED_BY_LANDLORD', 'COMPLETED', 'NO_SHOW') NOT NULL DEFAULT 'PENDING';
+
+-- CreateTable
+CREATE TABLE `viewing_status_history` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `viewingRequestId` INTEGER NOT NULL,
+    `fromStatus` ENUM('PENDING', 'APPROVED', 'REJECTED', 'CANCELLED_BY_STUDENT', 'CANCELLED_BY_LANDLORD', 'COMPLETED', 'NO_SHOW') NULL,
+    `toStatus` ENUM('PENDING', 'APPROVED', 'REJECTED', 'CANCELLED_BY_STUDENT', 'CANCELLED_BY_LANDLORD', 'COMPLETED', 'NO_SHOW') NOT NULL,
+    `changedById` INTEGER NULL,
+    `reason` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `viewing_status_history_viewingRequestId_idx`(`viewingRequestId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `viewing_status_history` ADD CONSTRAINT `viewing_status_history_viewingRequestId_fkey` FOREIGN KEY (`viewingRequestId`) REFERENCES `viewing_requests`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `viewing_status_history` ADD CONSTRAINT `viewing_status_history_changedById_fkey` FOREIGN KEY (`changedById`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Existing requests start their history at their current status
+INSERT INTO `viewing_status_history` (`viewingRequestId`, `fromStatus`, `toStatus`, `createdAt`)
+SELECT `id`, NULL, `status`, `createdAt` FROM `viewing_requests`;
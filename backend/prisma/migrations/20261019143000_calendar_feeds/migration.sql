@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE `calendar_feeds` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NOT NULL,
+    `type` ENUM('VIEWINGS', 'AVAILABILITY') NOT NULL,
+    `propertyId` INTEGER NULL,
+    `tokenHash` VARCHAR(191) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `lastAccessedAt` DATETIME(3) NULL,
+    `revokedAt` DATETIME(3) NULL,
+
+    UNIQUE INDEX `calendar_feeds_tokenHash_key`(`tokenHash`),
+    INDEX `calendar_feeds_userId_idx`(`userId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `calendar_feeds` ADD CONSTRAINT `calendar_feeds_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `users`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `calendar_feeds` ADD CONSTRAINT `calendar_feeds_propertyId_fkey` FOREIGN KEY (`propertyId`) REFERENCES `properties`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE `reviews` ADD COLUMN `viewingRequestId` INTEGER NULL,
+    ADD COLUMN `landlordReply` TEXT NULL,
+    ADD COLUMN `repliedAt` DATETIME(3) NULL;
+
+-- CreateIndex
+CREATE INDEX `reviews_propertyId_createdAt_idx` ON `reviews`(`propertyId`, `createdAt`);
+
+-- AddForeignKey
+ALTER TABLE `reviews` ADD CONSTRAINT `reviews_viewingRequestId_fkey` FOREIGN KEY (`viewingRequestId`) REFERENCES `viewing_requests`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
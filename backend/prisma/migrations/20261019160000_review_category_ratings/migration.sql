@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE `reviews` ADD COLUMN `cleanlinessRating` INTEGER NULL,
+    ADD COLUMN `responsivenessRating` INTEGER NULL,
+    ADD COLUMN `valueRating` INTEGER NULL,
+    ADD COLUMN `safetyRating` INTEGER NULL,
+    ADD COLUMN `locationRating` INTEGER NULL;
+
+-- AlterTable
+ALTER TABLE `properties` ADD COLUMN `cleanlinessRating` DOUBLE NULL,
+    ADD COLUMN `responsivenessRating` DOUBLE NULL,
+    ADD COLUMN `valueRating` DOUBLE NULL,
+    ADD COLUMN `safetyRating` DOUBLE NULL,
+    ADD COLUMN `locationRating` DOUBLE NULL;
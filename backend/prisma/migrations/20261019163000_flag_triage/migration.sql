@@ -0,0 +1,47 @@
+-- AlterTable
+ALTER TABLE `properties` MODIFY `status` ENUM('DRAFT', 'PENDING', 'APPROVED', 'DECLINED', 'ARCHIVED', 'HIDDEN') NOT NULL DEFAULT 'DRAFT';
+
+-- AlterTable
+ALTER TABLE `listing_moderation` MODIFY `fromStatus` ENUM('DRAFT', 'PENDING', 'APPROVED', 'DECLINED', 'ARCHIVED', 'HIDDEN') NOT NULL,
+    MODIFY `toStatus` ENUM('DRAFT', 'PENDING', 'APPROVED', 'DECLINED', 'ARCHIVED', 'HIDDEN') NOT NULL;
+
+-- AlterTable
+ALTER TABLE `users` ADD COLUMN `suspendedAt` DATETIME(3) NULL,
+    ADD COLUMN `suspendedUntil` DATETIME(3) NULL,
+    ADD COLUMN `suspensionReason` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `admin_flags` ADD COLUMN `targetType` ENUM('PROPERTY', 'USER', 'REVIEW', 'MESSAGE') NOT NULL DEFAULT 'PROPERTY',
+    ADD COLUMN `reviewId` INTEGER NULL,
+    ADD COLUMN `messageId` INTEGER NULL,
+    ADD COLUMN `details` TEXT NULL,
+    ADD COLUMN `status` ENUM('OPEN', 'IN_REVIEW', 'RESOLVED', 'DISMISSED') NOT NULL DEFAULT 'OPEN',
+    ADD COLUMN `assignedToId` INTEGER NULL,
+    ADD COLUMN `action` ENUM('HIDE_LISTING', 'SUSPEND_USER') NULL,
+    ADD COLUMN `resolutionNote` TEXT NULL,
+    ADD COLUMN `resolvedById` INTEGER NULL,
+    ADD COLUMN `resolvedAt` DATETIME(3) NULL,
+    ADD COLUMN `updatedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3);
+
+-- Existing flags target either a property or a user; resolved ones keep their state
+UPDATE `admin_flags` SET `targetType` = 'USER' WHERE `propertyId` IS NULL AND `userId` IS NOT NULL;
+UPDATE `admin_flags` SET `status` = 'RESOLVED' WHERE `resolved` = true;
+
+ALTER TABLE `admin_flags` ALTER COLUMN `targetType` DROP DEFAULT,
+    ALTER COLUMN `updatedAt` DROP DEFAULT,
+    DROP COLUMN `resolved`;
+
+-- CreateIndex
+CREATE INDEX `admin_flags_status_createdAt_idx` ON `admin_flags`(`status`, `createdAt`);
+
+-- AddForeignKey
+ALTER TABLE `admin_flags` ADD CONSTRAINT `admin_flags_reviewId_fkey` FOREIGN KEY (`reviewId`) REFERENCES `reviews`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `admin_flags` ADD CONSTRAINT `admin_flags_messageId_fkey` FOREIGN KEY (`messageId`) REFERENCES `Message`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `admin_flags` ADD CONSTRAINT `admin_flags_assignedToId_fkey` FOREIGN KEY (`assignedToId`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `admin_flags` ADD CONSTRAINT `admin_flags_resolvedById_fkey` FOREIGN KEY (`resolvedById`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE `users` ADD COLUMN `deletedAt` DATETIME(3) NULL,
+    ADD COLUMN `anonymizedAt` DATETIME(3) NULL;
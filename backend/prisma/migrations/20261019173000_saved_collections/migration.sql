@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE `saved_properties` ADD COLUMN `collectionId` INTEGER NULL,
+    ADD COLUMN `note` TEXT NULL,
+    ADD COLUMN `priceAtSave` DECIMAL(65, 30) NULL,
+    ADD COLUMN `alertsEnabled` BOOLEAN NOT NULL DEFAULT true;
+
+-- CreateTable
+CREATE TABLE `saved_collections` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `studentId` INTEGER NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `shareTokenHash` VARCHAR(191) NULL,
+    `sharedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `saved_collections_shareTokenHash_key`(`shareTokenHash`),
+    UNIQUE INDEX `saved_collections_studentId_name_key`(`studentId`, `name`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `saved_properties_collectionId_idx` ON `saved_properties`(`collectionId`);
+
+-- AddForeignKey
+ALTER TABLE `saved_properties` ADD CONSTRAINT `saved_properties_collectionId_fkey` FOREIGN KEY (`collectionId`) REFERENCES `saved_collections`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `saved_collections` ADD CONSTRAINT `saved_collections_studentId_fkey` FOREIGN KEY (`studentId`) REFERENCES `users`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
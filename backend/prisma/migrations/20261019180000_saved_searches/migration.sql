@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE `saved_searches` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `studentId` INTEGER NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `filters` JSON NOT NULL,
+    `frequency` ENUM('INSTANT', 'DAILY', 'WEEKLY') NOT NULL DEFAULT 'DAILY',
+    `alertsEnabled` BOOLEAN NOT NULL DEFAULT true,
+    `lastCheckedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `saved_searches_alertsEnabled_frequency_idx`(`alertsEnabled`, `frequency`),
+    UNIQUE INDEX `saved_searches_studentId_name_key`(`studentId`, `name`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `saved_searches` ADD CONSTRAINT `saved_searches_studentId_fkey` FOREIGN KEY (`studentId`) REFERENCES `users`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE FULLTEXT INDEX `properties_title_description_location_idx` ON `properties`(`title`, `description`, `location`);
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE `properties` ADD COLUMN `furnished` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `wifi` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `utilitiesIncluded` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `parking` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `petsAllowed` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `genderRestriction` ENUM('NONE', 'FEMALE_ONLY', 'MALE_ONLY') NOT NULL DEFAULT 'NONE',
+    ADD COLUMN `leaseMonths` INTEGER NULL,
+    ADD COLUMN `availableFrom` DATETIME(3) NULL;
@@ -0,0 +1,53 @@
+-- CreateTable
+CREATE TABLE `property_versions` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `propertyId` INTEGER NOT NULL,
+    `version` INTEGER NOT NULL,
+    `type` ENUM('CREATE', 'UPDATE', 'REVERT') NOT NULL,
+    `changedById` INTEGER NULL,
+    `changes` JSON NOT NULL,
+    `snapshot` JSON NOT NULL,
+    `price` DECIMAL(65, 30) NOT NULL,
+    `listed` BOOLEAN NOT NULL DEFAULT false,
+    `revertedFrom` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `property_versions_propertyId_version_key`(`propertyId`, `version`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `property_versions` ADD CONSTRAINT `property_versions_propertyId_fkey` FOREIGN KEY (`propertyId`) REFERENCES `properties`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `property_versions` ADD CONSTRAINT `property_versions_changedById_fkey` FOREIGN KEY (`changedById`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Existing listings start their history at version 1 with their current content,
+-- in the same format utils/propertyVersions.js writes
+INSERT INTO `property_versions` (`propertyId`, `version`, `type`, `changes`, `snapshot`, `price`, `listed`, `createdAt`)
+SELECT
+    `id`,
+    1,
+    'CREATE',
+    JSON_OBJECT(),
+    JSON_OBJECT(
+        'title', `title`,
+        'description', `description`,
+        'price', TRIM(TRAILING '.' FROM TRIM(TRAILING '0' FROM CAST(`price` AS CHAR))),
+        'roomType', `roomType`,
+        'location', `location`,
+        'latitude', IF(`latitude` IS NULL, NULL, TRIM(TRAILING '.' FROM TRIM(TRAILING '0' FROM CAST(`latitude` AS CHAR)))),
+        'longitude', IF(`longitude` IS NULL, NULL, TRIM(TRAILING '.' FROM TRIM(TRAILING '0' FROM CAST(`longitude` AS CHAR)))),
+        'furnished', IF(`furnished`, CAST('true' AS JSON), CAST('false' AS JSON)),
+        'wifi', IF(`wifi`, CAST('true' AS JSON), CAST('false' AS JSON)),
+        'utilitiesIncluded', IF(`utilitiesIncluded`, CAST('true' AS JSON), CAST('false' AS JSON)),
+        'parking', IF(`parking`, CAST('true' AS JSON), CAST('false' AS JSON)),
+        'petsAllowed', IF(`petsAllowed`, CAST('true' AS JSON), CAST('false' AS JSON)),
+        'genderRestriction', `genderRestriction`,
+        'leaseMonths', `leaseMonths`,
+        'availableFrom', IF(`availableFrom` IS NULL, NULL, DATE_FORMAT(`availableFrom`, '%Y-%m-%dT%H:%i:%s.000Z'))
+    ),
+    `price`,
+    `status` = 'APPROVED',
+    `createdAt`
+FROM `properties`;
@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE `properties` ADD COLUMN `approvedAt` DATETIME(3) NULL;
+
+-- Backfill: the first approval in the moderation log, or the last review for
+-- approved listings moderated before the log existed
+UPDATE `properties` p
+SET p.`approvedAt` = (
+    SELECT MIN(m.`createdAt`)
+    FROM `listing_moderation` m
+    WHERE m.`propertyId` = p.`id` AND m.`toStatus` = 'APPROVED'
+);
+
+UPDATE `properties`
+SET `approvedAt` = COALESCE(`reviewedAt`, `createdAt`)
+WHERE `approvedAt` IS NULL AND `status` = 'APPROVED';
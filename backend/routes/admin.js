@@ -1,10 +1,61 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { moderateListing } = require('../utils/listingStatus');
+const { INVITABLE_ROLES, changeUserRole } = require('../utils/roles');
+const { newToken, hashToken } = require('../utils/tokens');
+const { sendInvitationEmail } = require('../utils/email');
+const { can, ROLES } = require('../utils/policies');
+const { OPEN_FLAG_STATUSES } = require('../utils/flags');
+const { isSuspended, suspendUser, liftSuspension } = require('../utils/suspensions');
+const { softDeleteUser, anonymizeUser, restoreUser } = require('../utils/accounts');
+const { revertToVersion } = require('../utils/propertyVersions');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+const INVITATION_TTL_MS = 72 * 60 * 60 * 1000;
+const ASSIGNABLE_ROLES = Object.values(ROLES);
+
+// Fields returned for invitations; the token hash never leaves the server
+const invitationSelect = {
+  id: true,
+  email: true,
+  role: true,
+  expiresAt: true,
+  acceptedAt: true,
+  revokedAt: true,
+  createdAt: true,
+  invitedBy: { select: { id: true, name: true, email: true } },
+  acceptedBy: { select: { id: true, name: true, email: true } },
+};
+
+// where clauses for ?status= on the invitation list
+const invitationStatusFilters = {
+  pending: () => ({ acceptedAt: null, revokedAt: null, expiresAt: { gt: new Date() } }),
+  accepted: () => ({ acceptedAt: { not: null } }),
+  revoked: () => ({ revokedAt: { not: null } }),
+  expired: () => ({ acceptedAt: null, revokedAt: null, expiresAt: { lte: new Date() } }),
+};
+
+const versionSelect = {
+  id: true,
+  version: true,
+  type: true,
+  changes: true,
+  price: true,
+  revertedFrom: true,
+  createdAt: true,
+  changedBy: { select: { id: true, name: true, email: true } },
+};
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  next();
+};
+
 /**
  * @swagger
  * tags:
@@ -24,11 +75,12 @@ const prisma = new PrismaClient();
  *       200:
  *         description: List of pending properties
  */
-router.get('/listings/pending', [authenticateToken, authorizeRoles('admin')], async (req, res) => {
+router.get('/listings/pending', [authenticateToken, authorize('property:moderate')], async (req, res) => {
   try {
     const listings = await prisma.property.findMany({
       where: { status: 'PENDING' },
       include: { landlord: { select: { id: true, name: true, email: true } } },
+      orderBy: { submittedAt: 'asc' },
     });
     res.json(listings);
   } catch (err) {
@@ -41,6 +93,7 @@ router.get('/listings/pending', [authenticateToken, authorizeRoles('admin')], as
  * /admin/listings/{id}/approve:
  *   put:
  *     summary: Approve a specific property listing
+ *     description: Also restores a listing hidden after a report.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -51,18 +104,33 @@ router.get('/listings/pending', [authenticateToken, authorizeRoles('admin')], as
  *         schema:
  *           type: integer
  *         description: ID of the property to approve
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Optional note recorded with the decision
  *     responses:
  *       200:
  *         description: Listing approved successfully
+ *       404:
+ *         description: Property not found
+ *       409:
+ *         description: Listing is not awaiting review or hidden
  */
-router.put('/listings/:id/approve', [authenticateToken, authorizeRoles('admin')], async (req, res) => {
+router.put('/listings/:id/approve', [authenticateToken, authorize('property:moderate')], [
+  param('id').isInt(),
+  body('reason').optional().isString().isLength({ max: 191 }),
+], handleValidation, async (req, res) => {
   const propertyId = parseInt(req.params.id);
   try {
-    await prisma.property.update({
-      where: { id: propertyId },
-      data: { status: 'APPROVED' },
-    });
-    res.json({ message: 'Listing approved' });
+    const result = await moderateListing(prisma, propertyId, req.user.id, 'APPROVED', req.body?.reason);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ message: 'Listing approved', property: result.property });
   } catch (err) {
     res.status(500).json({ error: 'Failed to approve listing' });
   }
@@ -83,52 +151,607 @@ router.put('/listings/:id/approve', [authenticateToken, authorizeRoles('admin')]
  *         schema:
  *           type: integer
  *         description: ID of the property to decline
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Why the listing was declined, shown to the landlord
  *     responses:
  *       200:
  *         description: Listing declined successfully
+ *       400:
+ *         description: A reason is required
+ *       404:
+ *         description: Property not found
+ *       409:
+ *         description: Listing cannot be declined in its current status
  */
-router.put('/listings/:id/decline', [authenticateToken, authorizeRoles('admin')], async (req, res) => {
+router.put('/listings/:id/decline', [authenticateToken, authorize('property:moderate')], [
+  param('id').isInt(),
+  body('reason').isString().trim().notEmpty().isLength({ max: 191 }).withMessage('A decline reason is required'),
+], handleValidation, async (req, res) => {
   const propertyId = parseInt(req.params.id);
   try {
-    await prisma.property.update({
-      where: { id: propertyId },
-      data: { status: 'DECLINED' },
-    });
-    res.json({ message: 'Listing declined' });
+    const result = await moderateListing(prisma, propertyId, req.user.id, 'DECLINED', req.body.reason);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ message: 'Listing declined', property: result.property });
   } catch (err) {
     res.status(500).json({ error: 'Failed to decline listing' });
   }
 });
 
+/**
+ * @swagger
+ * /admin/listings/{id}/moderation:
+ *   get:
+ *     summary: Get the moderation history of a property listing
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the property
+ *     responses:
+ *       200:
+ *         description: Moderation decisions, newest first, with the deciding admin
+ */
+router.get('/listings/:id/moderation', [authenticateToken, authorize('property:moderate')], [
+  param('id').isInt(),
+], handleValidation, async (req, res) => {
+  const propertyId = parseInt(req.params.id);
+  try {
+    const history = await prisma.listingModeration.findMany({
+      where: { propertyId },
+      include: { admin: { select: { id: true, name: true, email: true } } },
+      orderBy: { createdAt: 'desc' },
+    });
+    res.json(history);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch moderation history' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/listings/{id}/versions:
+ *   get:
+ *     summary: Get the change history of a property listing
+ *     description: Every version of the listing's content, newest first, with who changed which fields from what to what.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the property
+ *     responses:
+ *       200:
+ *         description: Versions, newest first
+ */
+router.get('/listings/:id/versions', [authenticateToken, authorize('property:moderate')], [
+  param('id').isInt(),
+], handleValidation, async (req, res) => {
+  const propertyId = parseInt(req.params.id);
+  try {
+    const versions = await prisma.propertyVersion.findMany({
+      where: { propertyId },
+      select: versionSelect,
+      orderBy: { version: 'desc' },
+    });
+    res.json(versions);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch listing history' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/listings/{id}/versions/{version}:
+ *   get:
+ *     summary: Get one version of a property listing
+ *     description: Includes the snapshot of every versioned field as it was after this change.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the property
+ *       - name: version
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The version with its snapshot
+ *       404:
+ *         description: Version not found
+ */
+router.get('/listings/:id/versions/:version', [authenticateToken, authorize('property:moderate')], [
+  param('id').isInt(),
+  param('version').isInt({ min: 1 }),
+], handleValidation, async (req, res) => {
+  const propertyId = parseInt(req.params.id);
+  const version = parseInt(req.params.version);
+  try {
+    const found = await prisma.propertyVersion.findUnique({
+      where: { propertyId_version: { propertyId, version } },
+      select: { ...versionSelect, snapshot: true },
+    });
+    if (!found) return res.status(404).json({ error: 'Version not found' });
+    res.json(found);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch listing version' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/listings/{id}/versions/{version}/revert:
+ *   post:
+ *     summary: Revert a property listing to an earlier version
+ *     description: |
+ *       Restores the listing's content from the version's snapshot and records the revert as a new version.
+ *       The listing's status does not change.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the property
+ *       - name: version
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Listing reverted
+ *       404:
+ *         description: Version not found
+ *       409:
+ *         description: The listing already matches this version
+ */
+router.post('/listings/:id/versions/:version/revert', [authenticateToken, authorize('property:revert')], [
+  param('id').isInt(),
+  param('version').isInt({ min: 1 }),
+], handleValidation, async (req, res) => {
+  const propertyId = parseInt(req.params.id);
+  const version = parseInt(req.params.version);
+  try {
+    const result = await revertToVersion(prisma, propertyId, version, req.user.id);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ message: `Listing reverted to version ${version}`, property: result.property });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to revert listing' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/invitations:
+ *   post:
+ *     summary: Invite someone to join as an admin or moderator
+ *     description: Emails a single-use link valid for 72 hours. Earlier pending invitations for the same email are revoked.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [ADMIN, MODERATOR]
+ *     responses:
+ *       201:
+ *         description: Invitation created and emailed
+ *       400:
+ *         description: Invalid input
+ *       409:
+ *         description: The user already has this role
+ */
+router.post('/invitations', [authenticateToken, authorize('admin:invite')], [
+  body('email').isEmail().withMessage('Invalid email'),
+  body('role').isIn(INVITABLE_ROLES).withMessage(`role must be one of: ${INVITABLE_ROLES.join(', ')}`),
+], handleValidation, async (req, res) => {
+  const { email, role } = req.body;
+  try {
+    const existingUser = await prisma.user.findUnique({ where: { email } });
+    if (existingUser?.role === role) {
+      return res.status(409).json({ error: `User is already a ${role.toLowerCase()}` });
+    }
+
+    const token = newToken();
+    const [, invitation] = await prisma.$transaction([
+      prisma.adminInvitation.updateMany({
+        where: { email, acceptedAt: null, revokedAt: null },
+        data: { revokedAt: new Date() },
+      }),
+      prisma.adminInvitation.create({
+        data: {
+          email,
+          role,
+          tokenHash: hashToken(token),
+          invitedById: req.user.id,
+          expiresAt: new Date(Date.now() + INVITATION_TTL_MS),
+        },
+        select: invitationSelect,
+      }),
+    ]);
+    await sendInvitationEmail(email, token, role, invitation.invitedBy.name);
+
+    res.status(201).json(invitation);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to create invitation' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/invitations:
+ *   get:
+ *     summary: List admin and moderator invitations
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: status
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired]
+ *         description: Only return invitations in this state
+ *     responses:
+ *       200:
+ *         description: Invitations, newest first
+ */
+router.get('/invitations', [authenticateToken, authorize('admin:invite')], [
+  query('status').optional().isIn(Object.keys(invitationStatusFilters)),
+], handleValidation, async (req, res) => {
+  const filter = invitationStatusFilters[req.query.status];
+  try {
+    const invitations = await prisma.adminInvitation.findMany({
+      where: filter ? filter() : {},
+      select: invitationSelect,
+      orderBy: { createdAt: 'desc' },
+    });
+    res.json(invitations);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch invitations' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/invitations/{id}:
+ *   delete:
+ *     summary: Revoke a pending invitation
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the invitation to revoke
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       404:
+ *         description: Invitation not found
+ *       409:
+ *         description: Invitation was already accepted or revoked
+ */
+router.delete('/invitations/:id', [authenticateToken, authorize('admin:invite')], [
+  param('id').isInt(),
+], handleValidation, async (req, res) => {
+  const invitationId = parseInt(req.params.id);
+  try {
+    const invitation = await prisma.adminInvitation.findUnique({ where: { id: invitationId } });
+    if (!invitation) return res.status(404).json({ error: 'Invitation not found' });
+    if (invitation.acceptedAt || invitation.revokedAt) {
+      return res.status(409).json({ error: 'Invitation is no longer pending' });
+    }
+
+    await prisma.adminInvitation.update({
+      where: { id: invitationId },
+      data: { revokedAt: new Date() },
+    });
+    res.json({ message: 'Invitation revoked' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to revoke invitation' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users/{id}/role:
+ *   put:
+ *     summary: Change a user's role
+ *     description: The change is recorded in the user's role history and their sessions are signed out. Admins cannot change their own role.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the user
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [STUDENT, LANDLORD, MODERATOR, ADMIN]
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       403:
+ *         description: Cannot change your own role
+ *       404:
+ *         description: User not found
+ */
+router.put('/users/:id/role', [authenticateToken, authorize('admin:access')], [
+  param('id').isInt(),
+  body('role').isIn(ASSIGNABLE_ROLES).withMessage(`role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`),
+  body('reason').optional().isString().isLength({ max: 191 }),
+], handleValidation, async (req, res) => {
+  const userId = parseInt(req.params.id);
+  try {
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (!user || user.deletedAt) return res.status(404).json({ error: 'User not found' });
+    if (!can(req.user, 'user:change-role', user)) {
+      return res.status(403).json({ error: 'You cannot change your own role' });
+    }
+
+    const updated = await changeUserRole(prisma, user, req.body.role, {
+      changedById: req.user.id,
+      reason: req.body.reason,
+    });
+    res.json({
+      message: 'Role updated',
+      user: { id: updated.id, email: updated.email, name: updated.name, role: updated.role },
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to update role' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users/{id}/role-changes:
+ *   get:
+ *     summary: Get the role history of a user
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the user
+ *     responses:
+ *       200:
+ *         description: Role changes, newest first, with the admin who made each one
+ */
+router.get('/users/:id/role-changes', [authenticateToken, authorize('admin:access')], [
+  param('id').isInt(),
+], handleValidation, async (req, res) => {
+  const userId = parseInt(req.params.id);
+  try {
+    const history = await prisma.roleChange.findMany({
+      where: { userId },
+      include: { changedBy: { select: { id: true, name: true, email: true } } },
+      orderBy: { createdAt: 'desc' },
+    });
+    res.json(history);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch role history' });
+  }
+});
+
 /**
  * @swagger
  * /admin/users/spam:
  *   get:
- *     summary: Get a list of flagged (spam) users
+ *     summary: Get users with open reports against them
+ *     description: Counts reports filed against the user's account; see /flags for reports of their listings, reviews and messages.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: List of flagged users
+ *         description: List of reported users, most reported first
  */
-router.get('/users/spam', [authenticateToken, authorizeRoles('admin')], async (req, res) => {
+router.get('/users/spam', [authenticateToken, authorize('admin:access')], async (req, res) => {
   try {
     const spamUsers = await prisma.user.findMany({
-      where: { isFlagged: true },
-      select: { id: true, email: true, name: true, role: true },
+      where: { deletedAt: null, adminFlagsReceived: { some: { status: { in: OPEN_FLAG_STATUSES } } } },
+      select: {
+        id: true,
+        email: true,
+        name: true,
+        role: true,
+        suspendedAt: true,
+        suspendedUntil: true,
+        _count: { select: { adminFlagsReceived: { where: { status: { in: OPEN_FLAG_STATUSES } } } } },
+      },
+      orderBy: { adminFlagsReceived: { _count: 'desc' } },
     });
-    res.json(spamUsers);
+    res.json(spamUsers.map(({ _count, ...user }) => ({ ...user, openReports: _count.adminFlagsReceived })));
   } catch (err) {
     res.status(500).json({ error: 'Failed to fetch spam users' });
   }
 });
 
+/**
+ * @swagger
+ * /admin/users/{id}/suspension:
+ *   put:
+ *     summary: Suspend a user
+ *     description: The user is signed out everywhere and cannot sign in or use the API until the suspension ends or is lifted. Admins and moderators cannot be suspended.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the user
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 191
+ *               until:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When the suspension ends; indefinite when omitted
+ *     responses:
+ *       200:
+ *         description: User suspended
+ *       403:
+ *         description: This user cannot be suspended
+ *       404:
+ *         description: User not found
+ */
+router.put('/users/:id/suspension', [authenticateToken, authorize('user:suspend')], [
+  param('id').isInt(),
+  body('reason').isString().trim().notEmpty().isLength({ max: 191 }),
+  body('until').optional().isISO8601().toDate()
+    .custom(value => value > new Date()).withMessage('until must be in the future'),
+], handleValidation, async (req, res) => {
+  const userId = parseInt(req.params.id);
+  try {
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (!user || user.deletedAt) return res.status(404).json({ error: 'User not found' });
+    if (!can(req.user, 'user:suspend', user)) {
+      return res.status(403).json({ error: 'This user cannot be suspended' });
+    }
+
+    const updated = await suspendUser(prisma, userId, { until: req.body.until || null, reason: req.body.reason });
+    res.json({
+      message: 'User suspended',
+      user: {
+        id: updated.id,
+        email: updated.email,
+        suspendedAt: updated.suspendedAt,
+        suspendedUntil: updated.suspendedUntil,
+        suspensionReason: updated.suspensionReason,
+      },
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to suspend user' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users/{id}/suspension:
+ *   delete:
+ *     summary: Lift a user's suspension
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the user
+ *     responses:
+ *       200:
+ *         description: Suspension lifted
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: User is not suspended
+ */
+router.delete('/users/:id/suspension', [authenticateToken, authorize('user:suspend')], [
+  param('id').isInt(),
+], handleValidation, async (req, res) => {
+  const userId = parseInt(req.params.id);
+  try {
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (!user || user.deletedAt) return res.status(404).json({ error: 'User not found' });
+    if (!isSuspended(user)) return res.status(409).json({ error: 'User is not suspended' });
+
+    await liftSuspension(prisma, userId);
+    res.json({ message: 'Suspension lifted' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to lift suspension' });
+  }
+});
+
 /**
  * @swagger
  * /admin/users/{id}:
  *   delete:
- *     summary: Delete a specific user by ID
+ *     summary: Delete a user's account
+ *     description: |
+ *       Soft-deletes the account: the user is signed out and can no longer sign in, their listings are archived
+ *       and their calendar feeds revoked, but their conversations, reviews, listings and viewings are kept.
+ *       The account can be restored unless it is anonymized. With anonymize=true the name, email, phone, photo
+ *       and credentials are scrubbed as well; this cannot be undone and also works on already deleted accounts.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -139,20 +762,94 @@ router.get('/users/spam', [authenticateToken, authorizeRoles('admin')], async (r
  *         schema:
  *           type: integer
  *         description: ID of the user to delete
+ *       - name: anonymize
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *         description: Also scrub the account's personal data
  *     responses:
  *       200:
  *         description: User deleted successfully
+ *       403:
+ *         description: You cannot delete your own account
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Account is already deleted (or anonymized)
  */
-router.delete('/users/:id', [authenticateToken, authorizeRoles('admin')], async (req, res) => {
+router.delete('/users/:id', [authenticateToken, authorize('admin:access')], [
+  param('id').isInt(),
+  query('anonymize').optional().isBoolean(),
+], handleValidation, async (req, res) => {
   const userId = parseInt(req.params.id);
+  const anonymize = req.query.anonymize === 'true';
   try {
-    await prisma.user.delete({ where: { id: userId } });
-    res.json({ message: 'User deleted' });
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (!can(req.user, 'user:delete', user)) {
+      return res.status(403).json({ error: 'You cannot delete your own account' });
+    }
+
+    if (user.deletedAt) {
+      if (!anonymize || user.anonymizedAt) {
+        return res.status(409).json({ error: user.anonymizedAt ? 'Account is already anonymized' : 'Account is already deleted' });
+      }
+      await anonymizeUser(prisma, userId);
+      return res.json({ message: 'User anonymized' });
+    }
+
+    await softDeleteUser(prisma, userId, { anonymize });
+    res.json({ message: anonymize ? 'User deleted and anonymized' : 'User deleted' });
   } catch (err) {
+    console.error(err);
     res.status(500).json({ error: 'Failed to delete user' });
   }
 });
 
+/**
+ * @swagger
+ * /admin/users/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted account
+ *     description: Only accounts that were not anonymized can be restored. Archived listings stay archived until the landlord resubmits them.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the user to restore
+ *     responses:
+ *       200:
+ *         description: User restored
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Account is not deleted, or was anonymized
+ */
+router.post('/users/:id/restore', [authenticateToken, authorize('admin:access')], [
+  param('id').isInt(),
+], handleValidation, async (req, res) => {
+  const userId = parseInt(req.params.id);
+  try {
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const result = await restoreUser(prisma, user);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({
+      message: 'User restored',
+      user: { id: result.user.id, email: result.user.email, name: result.user.name, role: result.user.role },
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to restore user' });
+  }
+});
+
 /**
  * @swagger
  * /admin/analytics:
@@ -165,10 +862,10 @@ router.delete('/users/:id', [authenticateToken, authorizeRoles('admin')], async
  *       200:
  *         description: Analytics dashboard data
  */
-router.get('/analytics', [authenticateToken, authorizeRoles('admin')], async (req, res) => {
+router.get('/analytics', [authenticateToken, authorize('admin:access')], async (req, res) => {
   try {
     const [userCount, propertyCount, bookingCount, messageCount, topListings] = await Promise.all([
-      prisma.user.count(),
+      prisma.user.count({ where: { deletedAt: null } }),
       prisma.property.count(),
       prisma.viewingRequest.count(),
       prisma.message.count(),
@@ -2,23 +2,55 @@ const express = require('express');
 const router = express.Router();
 const { PrismaClient } = require('@prisma/client');
 const bcrypt = require('bcrypt');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const cors = require('cors');
 const cookieParser = require('cookie-parser');
 const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
-const { sendVerificationEmail } = require('../utils/email');
-const jwt = require('jsonwebtoken');
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail,
+} = require('../utils/email');
+const rateLimit = require('express-rate-limit');
 
+const { generateAccessToken } = require('../utils/auth');
+const { authenticateToken } = require('../middleware/auth');
 const {
-  generateAccessToken,
-  generateRefreshToken,
-  verifyToken,
-} = require('../utils/auth');
+  REFRESH_COOKIE,
+  refreshCookieOptions,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  findSessionByToken,
+} = require('../utils/sessions');
+const { issueUserToken, consumeUserToken, hashToken } = require('../utils/tokens');
+const { SELF_ASSIGNABLE_ROLES, recordRoleChange } = require('../utils/roles');
+const { isSuspended } = require('../utils/suspensions');
+const { accountRestriction } = require('../utils/accounts');
 
 const prisma = new PrismaClient();
 
-const passwordValidator = body('password')
+const PASSWORD_RESET_TTL_MS = 30 * 60 * 1000;
+const VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
+
+// Per-IP limit on endpoints that send email to arbitrary addresses
+const emailRateLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 5,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { error: 'Too many requests, please try again later' },
+});
+
+async function sendVerification(user) {
+  const token = await issueUserToken(prisma, user.id, 'EMAIL_VERIFICATION', VERIFICATION_TTL_MS);
+  await sendVerificationEmail(user.email, token);
+}
+
+const passwordRules = (field) => body(field)
   .isLength({ min: 8 })
   .withMessage('Password must be at least 8 characters long')
   .matches(/[a-z]/)
@@ -30,6 +62,8 @@ const passwordValidator = body('password')
   .matches(/[!@#$%^&*(),.?":{}|<>]/)
   .withMessage('Password must contain at least one special character');
 
+const passwordValidator = passwordRules('password');
+
 /**
  * @swagger
  * /auth/signup:
@@ -54,7 +88,8 @@ const passwordValidator = body('password')
  *                 type: string
  *               role:
  *                 type: string
- *                 enum: [STUDENT, LANDLORD, ADMIN]
+ *                 enum: [STUDENT, LANDLORD]
+ *                 description: Admin and moderator accounts are created by invitation only
  *               name:
  *                 type: string
  *     responses:
@@ -66,7 +101,7 @@ const passwordValidator = body('password')
 router.post('/signup', [
   body('email').isEmail().withMessage('Invalid email'),
   passwordValidator,
-  body('role').isIn(['STUDENT', 'LANDLORD', 'ADMIN']).withMessage('Invalid role'),
+  body('role').isIn(SELF_ASSIGNABLE_ROLES).withMessage('Invalid role'),
   body('name').optional().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
 ], async (req, res) => {
   const errors = validationResult(req);
@@ -81,9 +116,7 @@ router.post('/signup', [
     const user = await prisma.user.create({
       data: { email, passwordHash: hashedPassword, role, name, isVerified: false },
     });
-    // Generate verification token
-    const token = jwt.sign({ userId: user.id }, process.env.ACCESS_TOKEN_SECRET, { expiresIn: '15m' });
-    await sendVerificationEmail(user.email, token);
+    await sendVerification(user);
 
     res.status(201).json({ message: 'User created. Please verify your email.' });
   } catch (err) {
@@ -104,27 +137,182 @@ router.post('/signup', [
  *         schema:
  *           type: string
  *         required: true
- *         description: Verification token sent to user's email
+ *         description: Single-use verification token sent to user's email
  *     responses:
  *       200:
  *         description: Email verified successfully
  *       400:
- *         description: Invalid or expired verification link
+ *         description: Invalid, expired or already used verification link
  */
 router.get('/verify', async (req, res) => {
   try {
-    const { token } = req.query;
-    const payload = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+    const verification = await consumeUserToken(prisma, req.query.token, 'EMAIL_VERIFICATION');
+    if (!verification) return res.status(400).send('Invalid or expired verification link.');
 
     await prisma.user.update({
-      where: { id: payload.userId },
+      where: { id: verification.userId },
       data: { isVerified: true },
     });
 
     res.send('Email verified successfully!');
   } catch (err) {
     console.error(err);
-    res.status(400).send('Invalid or expired verification link.');
+    res.status(500).send('Internal server error');
+  }
+});
+
+/**
+ * @swagger
+ * /auth/resend-verification:
+ *   post:
+ *     summary: Send a new email verification link
+ *     description: Replaces any earlier link. Responds the same way whether or not the email is registered, verified or recently sent a link, so it cannot be used to discover accounts. Limited per IP; at most one email per minute is sent per account.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: If the account exists and is unverified, a new link has been sent
+ *       400:
+ *         description: Validation error
+ *       429:
+ *         description: Too many requests from this IP
+ */
+router.post('/resend-verification', emailRateLimiter, [
+  body('email').isEmail().withMessage('Invalid email'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  try {
+    const user = await prisma.user.findUnique({ where: { email: req.body.email } });
+    if (user && !user.isVerified && !user.deletedAt) {
+      const lastSent = await prisma.userToken.findFirst({
+        where: { userId: user.id, purpose: 'EMAIL_VERIFICATION' },
+        orderBy: { createdAt: 'desc' },
+      });
+      // Within the cooldown nothing is sent, but the response stays the same
+      if (!lastSent || Date.now() - lastSent.createdAt.getTime() >= VERIFICATION_RESEND_COOLDOWN_MS) {
+        await sendVerification(user);
+      }
+    }
+
+    res.json({ message: 'If the account exists and is not yet verified, a new verification email has been sent.' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/invitations/accept:
+ *   post:
+ *     summary: Accept an admin or moderator invitation
+ *     description: Grants the invited role to the account registered with the invited email, or creates that account when there is none, in which case a password is required. The invitation link works once.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the invitation email
+ *               name:
+ *                 type: string
+ *                 description: Required when no account exists for the invited email
+ *               password:
+ *                 type: string
+ *                 description: Required when no account exists for the invited email
+ *     responses:
+ *       200:
+ *         description: Invitation accepted. Log in to continue.
+ *       400:
+ *         description: Invalid input, or the invitation is invalid, expired, revoked or already used
+ */
+router.post('/invitations/accept', [
+  body('token').isString().notEmpty().withMessage('Token is required'),
+  body('name').optional().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
+  passwordRules('password').optional(),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { token, name, password } = req.body;
+  const tokenHash = hashToken(token);
+  try {
+    const invitation = await prisma.adminInvitation.findUnique({ where: { tokenHash } });
+    if (!invitation || invitation.acceptedAt || invitation.revokedAt || invitation.expiresAt <= new Date()) {
+      return res.status(400).json({ error: 'Invalid or expired invitation' });
+    }
+
+    const existingUser = await prisma.user.findUnique({ where: { email: invitation.email } });
+    if (existingUser?.deletedAt) return res.status(400).json({ error: 'Invalid or expired invitation' });
+    if (!existingUser && (!password || !name)) {
+      return res.status(400).json({ error: 'Name and password are required to create your account' });
+    }
+
+    const roleChange = { changedById: invitation.invitedById, reason: 'Accepted invitation' };
+    const passwordHash = existingUser ? null : await bcrypt.hash(password, 10);
+    // Claiming the invitation, granting the role and recording who accepted it
+    // commit together, so a failure cannot use up the link without an account
+    const accepted = await prisma.$transaction(async (tx) => {
+      // Claim the invitation atomically so a link cannot be used twice
+      const { count } = await tx.adminInvitation.updateMany({
+        where: { tokenHash, acceptedAt: null, revokedAt: null, expiresAt: { gt: new Date() } },
+        data: { acceptedAt: new Date() },
+      });
+      if (!count) return null;
+
+      let user = existingUser;
+      if (!existingUser) {
+        // Following the emailed link proves the address, so no separate verification
+        user = await tx.user.create({
+          data: {
+            email: invitation.email,
+            name,
+            passwordHash,
+            role: invitation.role,
+            isVerified: true,
+            roleChanges: { create: { toRole: invitation.role, ...roleChange } },
+          },
+        });
+      } else if (existingUser.role !== invitation.role) {
+        user = await recordRoleChange(tx, existingUser, invitation.role, roleChange);
+      }
+
+      await tx.adminInvitation.update({
+        where: { id: invitation.id },
+        data: { acceptedById: user.id },
+      });
+      return user;
+    });
+    if (!accepted) return res.status(400).json({ error: 'Invalid or expired invitation' });
+
+    // Tokens carrying the old role must not outlive the change
+    if (existingUser && existingUser.role !== invitation.role) {
+      await revokeUserSessions(prisma, existingUser.id, { reason: 'role_changed' });
+    }
+
+    res.json({ message: 'Invitation accepted. Please log in.' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
@@ -155,7 +343,7 @@ router.get('/verify', async (req, res) => {
  *       400:
  *         description: Invalid credentials or validation error
  *       403:
- *         description: Email not verified
+ *         description: Email not verified, or the account is suspended
  */
 router.post('/login', [
   body('email').isEmail(),
@@ -170,7 +358,7 @@ router.post('/login', [
   const { email, password } = req.body;
   try {
     const user = await prisma.user.findUnique({ where: { email } });
-    if (!user) {
+    if (!user || user.deletedAt) {
       console.log('User not found for email:', email);
       return res.status(400).json({ error: 'Invalid credentials' });
     }
@@ -191,11 +379,18 @@ router.post('/login', [
       console.log('Invalid password attempt for:', email);
       return res.status(400).json({ error: 'Invalid credentials' });
     }
+    if (isSuspended(user)) {
+      return res.status(403).json({
+        error: 'Account suspended',
+        suspendedUntil: user.suspendedUntil,
+        reason: user.suspensionReason,
+      });
+    }
 
-    const accessToken = generateAccessToken(user);
-    const refreshToken = generateRefreshToken(user);
+    const { session, refreshToken } = await createSession(prisma, user, req);
+    const accessToken = generateAccessToken(user, session.id);
 
-    res.cookie('refreshToken', refreshToken, { httpOnly: true, secure: false, sameSite: 'strict' });
+    res.cookie(REFRESH_COOKIE, refreshToken, refreshCookieOptions);
     res.json({ accessToken, user: { id: user.id, email: user.email, role: user.role, name: user.name } });
   } catch (err) {
     console.error('Login error:', err);
@@ -208,26 +403,315 @@ router.post('/login', [
  * /auth/refresh-token:
  *   post:
  *     summary: Refresh access token
+ *     description: Exchanges the refresh token cookie for a new access token and rotates the refresh token. Replaying an already used refresh token revokes the whole session.
  *     tags: [Auth]
  *     responses:
  *       200:
- *         description: New access token issued
+ *         description: New access token issued and refresh token cookie rotated
  *       401:
- *         description: No refresh token provided
+ *         description: No refresh token provided, or it is invalid, expired, revoked or reused, or the account was deleted
  *       403:
- *         description: Invalid or expired refresh token
+ *         description: Account suspended
  */
 // Refresh token route
-router.post('/auth/refresh-token', (req, res) => {
-  const refreshToken = req.cookies.refreshToken;
-  if (!refreshToken) return res.sendStatus(401);
+router.post('/refresh-token', async (req, res) => {
+  const refreshToken = req.cookies[REFRESH_COOKIE];
+  if (!refreshToken) return res.status(401).json({ error: 'Refresh token required' });
 
   try {
-    const user = verifyToken(refreshToken, process.env.REFRESH_TOKEN_SECRET);
-    const accessToken = generateAccessToken(user);
+    const result = await rotateRefreshToken(prisma, refreshToken, req);
+    if (result.error) {
+      res.clearCookie(REFRESH_COOKIE, refreshCookieOptions);
+      return res.status(401).json({ error: result.error });
+    }
+
+    const restriction = accountRestriction(result.user);
+    if (restriction) {
+      const { status, ...body } = restriction;
+      res.clearCookie(REFRESH_COOKIE, refreshCookieOptions);
+      return res.status(status).json(body);
+    }
+
+    const accessToken = generateAccessToken(result.user, result.session.id);
+    res.cookie(REFRESH_COOKIE, result.refreshToken, refreshCookieOptions);
     res.json({ accessToken });
   } catch (err) {
-    res.sendStatus(403);
+    console.error('Refresh error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/sessions:
+ *   get:
+ *     summary: List the user's active sessions (signed-in devices)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, the one making the request flagged as current
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await prisma.session.findMany({
+      where: {
+        userId: req.user.id,
+        revokedAt: null,
+        expiresAt: { gt: new Date() },
+      },
+      select: {
+        id: true,
+        userAgent: true,
+        ipAddress: true,
+        createdAt: true,
+        lastUsedAt: true,
+        expiresAt: true,
+      },
+      orderBy: { lastUsedAt: 'desc' },
+    });
+
+    res.json(sessions.map(session => ({ ...session, current: session.id === req.user.sid })));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/sessions/{id}:
+ *   delete:
+ *     summary: Sign out a device by revoking its session
+ *     description: The device can no longer refresh, and its current access token is refused from the next request.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', authenticateToken, [
+  param('id').isInt(),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const sessionId = parseInt(req.params.id);
+  try {
+    const session = await prisma.session.findUnique({ where: { id: sessionId } });
+    if (!session || session.userId !== req.user.id || session.revokedAt) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await revokeSession(prisma, sessionId, 'signed_out_by_user');
+    res.json({ message: 'Session revoked' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/sessions:
+ *   delete:
+ *     summary: Sign out every other device
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions except the current one revoked
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const { count } = await revokeUserSessions(prisma, req.user.id, {
+      exceptSessionId: req.user.sid,
+      reason: 'signed_out_by_user',
+    });
+    res.json({ message: 'Other sessions revoked', revoked: count });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: Always responds the same way so it cannot be used to find out which emails are registered. Limited per IP.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: If the account exists, a reset link has been sent
+ *       400:
+ *         description: Validation error
+ *       429:
+ *         description: Too many requests
+ */
+router.post('/forgot-password', emailRateLimiter, [
+  body('email').isEmail().withMessage('Invalid email'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  try {
+    const user = await prisma.user.findUnique({ where: { email: req.body.email } });
+    if (user && !user.deletedAt) {
+      const token = await issueUserToken(prisma, user.id, 'PASSWORD_RESET', PASSWORD_RESET_TTL_MS);
+      await sendPasswordResetEmail(user.email, token);
+    }
+
+    res.json({ message: 'If an account exists for that email, a reset link has been sent.' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     summary: Set a new password with a reset token
+ *     description: The token is single-use. All existing sessions are signed out.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *       400:
+ *         description: Invalid, expired or used token, or password does not meet the rules
+ */
+router.post('/reset-password', [
+  body('token').isString().notEmpty(),
+  passwordValidator,
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { token, password } = req.body;
+  try {
+    const resetToken = await consumeUserToken(prisma, token, 'PASSWORD_RESET');
+    if (!resetToken) return res.status(400).json({ error: 'Invalid or expired reset link' });
+
+    const passwordHash = await bcrypt.hash(password, 10);
+    const user = await prisma.user.update({
+      where: { id: resetToken.userId },
+      data: { passwordHash },
+    });
+    await revokeUserSessions(prisma, user.id, { reason: 'password_reset' });
+    await sendPasswordChangedEmail(user.email);
+
+    res.json({ message: 'Password has been reset. Please log in again.' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/change-password:
+ *   post:
+ *     summary: Change the password of the logged-in user
+ *     description: Requires the current password. Other devices are signed out; the current session stays active.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       400:
+ *         description: Current password is wrong or new password does not meet the rules
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/change-password', authenticateToken, [
+  body('currentPassword').isString().notEmpty(),
+  passwordRules('newPassword'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { currentPassword, newPassword } = req.body;
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const validPassword = user.passwordHash && await bcrypt.compare(currentPassword, user.passwordHash);
+    if (!validPassword) return res.status(400).json({ error: 'Current password is incorrect' });
+    if (currentPassword === newPassword) {
+      return res.status(400).json({ error: 'New password must be different from the current one' });
+    }
+
+    const passwordHash = await bcrypt.hash(newPassword, 10);
+    await prisma.user.update({ where: { id: user.id }, data: { passwordHash } });
+    await revokeUserSessions(prisma, user.id, { exceptSessionId: req.user.sid, reason: 'password_changed' });
+    await sendPasswordChangedEmail(user.email);
+
+    res.json({ message: 'Password changed' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
@@ -256,19 +740,32 @@ router.get('/google',
  *       302:
  *         description: Redirects to frontend with tokens
  *       401:
- *         description: Google authentication failed
+ *         description: Google authentication failed, or the account was deleted
+ *       403:
+ *         description: Account suspended
  */
 router.get('/google/callback',
   passport.authenticate('google', { failureRedirect: '/login', session: false }),
-  (req, res) => {
-    // Successful login
-    const accessToken = generateAccessToken(req.user);
-    const refreshToken = generateRefreshToken(req.user);
+  async (req, res) => {
+    try {
+      const restriction = accountRestriction(req.user);
+      if (restriction) {
+        const { status, ...body } = restriction;
+        return res.status(status).json(body);
+      }
 
-    res.cookie('refreshToken', refreshToken, { httpOnly: true, secure: false, sameSite: 'strict' });
+      // Successful login
+      const { session, refreshToken } = await createSession(prisma, req.user, req);
+      const accessToken = generateAccessToken(req.user, session.id);
 
-    // Redirect to frontend with tokens (or send tokens in JSON, depends on your client)
-    res.redirect(`http://localhost:3000/oauth-success?accessToken=${accessToken}`);
+      res.cookie(REFRESH_COOKIE, refreshToken, refreshCookieOptions);
+
+      // Redirect to frontend with tokens (or send tokens in JSON, depends on your client)
+      res.redirect(`http://localhost:3000/oauth-success?accessToken=${accessToken}`);
+    } catch (err) {
+      console.error('Google login error:', err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
   }
 );
 
@@ -278,14 +775,25 @@ router.get('/google/callback',
  * /auth/logout:
  *   post:
  *     summary: Logout user
+ *     description: Revokes the session behind the refresh token cookie and clears the cookie.
  *     tags: [Auth]
  *     responses:
  *       200:
  *         description: Logged out
  */
-router.post('/logout', (req, res) => {
-  res.clearCookie('refreshToken');
-  res.json({ message: 'Logged out' });
+router.post('/logout', async (req, res) => {
+  const refreshToken = req.cookies[REFRESH_COOKIE];
+  try {
+    if (refreshToken) {
+      const sessionId = await findSessionByToken(prisma, refreshToken);
+      if (sessionId) await revokeSession(prisma, sessionId, 'logout');
+    }
+    res.clearCookie(REFRESH_COOKIE, refreshCookieOptions);
+    res.json({ message: 'Logged out' });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,291 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { body, param, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { can, ROLES } = require('../utils/policies');
+const { newToken, hashToken } = require('../utils/tokens');
+const { buildCalendar } = require('../utils/ical');
+const { DEFAULT_VIEWING_MINUTES } = require('../utils/viewings');
+const { loadAvailability } = require('../utils/availability');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// How far back feeds reach; calendar apps keep older events they already fetched
+const FEED_HISTORY_DAYS = 90;
+// Recurring availability rules are expanded this far into the future
+const FEED_AHEAD_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UID_DOMAIN = 'accommodations-app';
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  next();
+};
+
+// Subscription URLs for a raw feed token. API_BASE_URL wins over the request host
+// so links stay right behind a proxy.
+function feedUrls(req, token) {
+  const base = process.env.API_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  const url = `${base}/calendar/${token}.ics`;
+  return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') };
+}
+
+const feedSelect = {
+  id: true,
+  type: true,
+  propertyId: true,
+  createdAt: true,
+  lastAccessedAt: true,
+  property: { select: { id: true, title: true } },
+};
+
+// Approved viewings of the feed owner: their bookings as a student, or the
+// viewings of their properties as a landlord
+async function viewingEvents(user) {
+  const where = {
+    status: 'APPROVED',
+    requestedDate: { gte: new Date(Date.now() - FEED_HISTORY_DAYS * DAY_MS) },
+    ...(user.role === ROLES.LANDLORD ? { property: { landlordId: user.id } } : { studentId: user.id }),
+  };
+  const viewings = await prisma.viewingRequest.findMany({
+    where,
+    include: {
+      slot: true,
+      property: { include: { landlord: { select: { name: true, email: true } } } },
+      student: { select: { name: true, email: true } },
+    },
+    orderBy: { requestedDate: 'asc' },
+  });
+
+  return viewings.map((viewing) => {
+    const other = user.role === ROLES.LANDLORD
+      ? `Student: ${viewing.student.name || viewing.student.email}`
+      : `Landlord: ${viewing.property.landlord.name || viewing.property.landlord.email}`;
+    return {
+      uid: `viewing-${viewing.id}@${UID_DOMAIN}`,
+      start: viewing.requestedDate,
+      end: viewing.slot?.endsAt || new Date(viewing.requestedDate.getTime() + DEFAULT_VIEWING_MINUTES * 60 * 1000),
+      summary: `Viewing: ${viewing.property.title}`,
+      description: [other, viewing.message].filter(Boolean).join('\n'),
+      location: viewing.property.location,
+      status: 'CONFIRMED',
+    };
+  });
+}
+
+// One all-day event per day the property's rules or overrides mark available
+// or unavailable, from FEED_HISTORY_DAYS ago to FEED_AHEAD_DAYS ahead
+async function availabilityEvents(property) {
+  const from = new Date(Date.now() - FEED_HISTORY_DAYS * DAY_MS);
+  const to = new Date(Date.now() + FEED_AHEAD_DAYS * DAY_MS);
+  const days = await loadAvailability(prisma, property.id, from, to);
+
+  return days
+    .filter(day => day.isAvailable !== null)
+    .map(day => ({
+      uid: `availability-${property.id}-${day.date}@${UID_DOMAIN}`,
+      start: new Date(day.date),
+      end: new Date(new Date(day.date).getTime() + DAY_MS),
+      allDay: true,
+      summary: `${day.isAvailable ? 'Available' : 'Unavailable'}: ${property.title}`,
+      location: property.location,
+    }));
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: Calendar
+ *   description: iCalendar subscription feeds
+ */
+
+/**
+ * @swagger
+ * /calendar/feeds:
+ *   post:
+ *     summary: Create a calendar subscription feed
+ *     description: |
+ *       VIEWINGS feeds list the caller's approved viewings (students and landlords). AVAILABILITY feeds list
+ *       the availability of one of the landlord's properties. The returned URL contains a secret token and is
+ *       only shown once; anyone with it can read the feed until it is revoked.
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [VIEWINGS, AVAILABILITY]
+ *               propertyId:
+ *                 type: integer
+ *                 description: Required for AVAILABILITY feeds
+ *     responses:
+ *       201:
+ *         description: Feed created, with its subscription URLs
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not allowed to create this feed
+ */
+// POST /calendar/feeds - Create a feed
+router.post('/feeds', authenticateToken, [
+  body('type').isIn(['VIEWINGS', 'AVAILABILITY']),
+  body('propertyId').if(body('type').equals('AVAILABILITY')).isInt(),
+], handleValidation, async (req, res) => {
+  const { type } = req.body;
+  const propertyId = type === 'AVAILABILITY' ? parseInt(req.body.propertyId) : null;
+
+  try {
+    if (type === 'VIEWINGS' && !can(req.user, 'viewing:list')) {
+      return res.status(403).json({ error: 'Only students and landlords have viewing calendars' });
+    }
+    if (type === 'AVAILABILITY') {
+      const property = await prisma.property.findUnique({ where: { id: propertyId } });
+      if (!property || !can(req.user, 'property:update', property)) {
+        return res.status(403).json({ error: 'Unauthorized or property not found' });
+      }
+    }
+
+    const token = newToken();
+    const feed = await prisma.calendarFeed.create({
+      data: {
+        userId: req.user.id,
+        type,
+        propertyId,
+        tokenHash: hashToken(token),
+      },
+      select: feedSelect,
+    });
+    res.status(201).json({ ...feed, ...feedUrls(req, token) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to create calendar feed' });
+  }
+});
+
+/**
+ * @swagger
+ * /calendar/feeds:
+ *   get:
+ *     summary: List the caller's active calendar feeds
+ *     description: Feed URLs are not included; revoke a feed and create a new one to get a fresh URL.
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active feeds
+ */
+// GET /calendar/feeds - List feeds
+router.get('/feeds', authenticateToken, async (req, res) => {
+  try {
+    const feeds = await prisma.calendarFeed.findMany({
+      where: { userId: req.user.id, revokedAt: null },
+      select: feedSelect,
+      orderBy: { createdAt: 'desc' },
+    });
+    res.json(feeds);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch calendar feeds' });
+  }
+});
+
+/**
+ * @swagger
+ * /calendar/feeds/{id}:
+ *   delete:
+ *     summary: Revoke a calendar feed
+ *     description: Subscribed calendar apps stop receiving updates.
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Feed revoked
+ *       404:
+ *         description: Feed not found
+ */
+// DELETE /calendar/feeds/:id - Revoke a feed
+router.delete('/feeds/:id', authenticateToken, [
+  param('id').isInt(),
+], handleValidation, async (req, res) => {
+  const feedId = parseInt(req.params.id);
+  try {
+    const { count } = await prisma.calendarFeed.updateMany({
+      where: { id: feedId, userId: req.user.id, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+    if (!count) return res.status(404).json({ error: 'Feed not found' });
+    res.json({ message: 'Feed revoked' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to revoke calendar feed' });
+  }
+});
+
+/**
+ * @swagger
+ * /calendar/{token}.ics:
+ *   get:
+ *     summary: Download a calendar feed
+ *     description: Public URL for calendar apps; the secret token in the path authenticates the request.
+ *     tags: [Calendar]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: iCalendar document
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Unknown or revoked feed
+ */
+// GET /calendar/:token.ics - Feed for calendar apps
+router.get('/:token.ics', async (req, res) => {
+  try {
+    const feed = await prisma.calendarFeed.findUnique({
+      where: { tokenHash: hashToken(req.params.token) },
+      include: { user: true, property: true },
+    });
+    if (!feed || feed.revokedAt || (feed.type === 'AVAILABILITY' && !feed.property)) {
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
+
+    const calendar = feed.type === 'VIEWINGS'
+      ? { name: 'My viewings', events: await viewingEvents(feed.user) }
+      : { name: `Availability: ${feed.property.title}`, events: await availabilityEvents(feed.property) };
+
+    await prisma.calendarFeed.update({
+      where: { id: feed.id },
+      data: { lastAccessedAt: new Date() },
+    });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="calendar.ics"');
+    res.send(buildCalendar(calendar));
+  } catch (err) {
+    console.error('Calendar feed error:', err);
+    res.status(500).json({ error: 'Failed to build calendar' });
+  }
+});
+
+module.exports = router;
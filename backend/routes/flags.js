@@ -0,0 +1,485 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const {
+  paginationValidators, parsePagination, pageArgs, buildPage,
+} = require('../utils/pagination');
+const {
+  TARGET_FIELDS, OPEN_FLAG_STATUSES, STAFF_ROLES, loadReportableTarget, applyFlagAction,
+} = require('../utils/flags');
+const { notifySavedListingChange } = require('../utils/savedAlerts');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const FLAG_STATUSES = ['OPEN', 'IN_REVIEW', 'RESOLVED', 'DISMISSED'];
+const FLAG_ACTIONS = ['HIDE_LISTING', 'SUSPEND_USER'];
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  next();
+};
+
+const userSummary = { select: { id: true, name: true, email: true } };
+
+// What staff see of a flag and its target
+const triageInclude = {
+  flaggedBy: userSummary,
+  assignedTo: userSummary,
+  resolvedBy: userSummary,
+  property: { select: { id: true, title: true, status: true, landlordId: true } },
+  user: { select: { id: true, name: true, email: true, role: true, suspendedAt: true, suspendedUntil: true } },
+  review: { select: { id: true, rating: true, comment: true, studentId: true, propertyId: true } },
+  message: { select: { id: true, content: true, senderId: true, receiverId: true, conversationId: true, createdAt: true } },
+};
+
+// What reporters see of their own reports: the outcome, not staff notes
+const reporterSelect = {
+  id: true,
+  targetType: true,
+  propertyId: true,
+  userId: true,
+  reviewId: true,
+  messageId: true,
+  reason: true,
+  details: true,
+  status: true,
+  action: true,
+  resolvedAt: true,
+  createdAt: true,
+};
+
+// where clause for ?assignee= on the queue: me, none or a staff user ID
+function assigneeFilter(assignee, user) {
+  if (assignee === undefined) return {};
+  if (assignee === 'me') return { assignedToId: user.id };
+  if (assignee === 'none') return { assignedToId: null };
+  return { assignedToId: parseInt(assignee) };
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: Flags
+ *   description: Reporting listings, users, reviews and messages, and the staff triage queue
+ */
+
+/**
+ * @swagger
+ * /flags:
+ *   post:
+ *     summary: Report a listing, user, review or message
+ *     description: Messages can only be reported by someone in the conversation. Each item can only have one open report per reporter.
+ *     tags: [Flags]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - targetType
+ *               - targetId
+ *               - reason
+ *             properties:
+ *               targetType:
+ *                 type: string
+ *                 enum: [PROPERTY, USER, REVIEW, MESSAGE]
+ *               targetId:
+ *                 type: integer
+ *               reason:
+ *                 type: string
+ *                 maxLength: 191
+ *               details:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       201:
+ *         description: Report submitted
+ *       400:
+ *         description: Validation error, or reporting yourself or your own content
+ *       404:
+ *         description: Reported item not found
+ *       409:
+ *         description: You already have an open report for this item
+ */
+// POST /flags - Report something
+router.post('/', authenticateToken, authorize('flag:create'), [
+  body('targetType').isIn(Object.keys(TARGET_FIELDS)),
+  body('targetId').isInt(),
+  body('reason').isString().trim().notEmpty().isLength({ max: 191 }),
+  body('details').optional().isString().isLength({ max: 2000 }),
+], handleValidation, async (req, res) => {
+  const { targetType, reason, details } = req.body;
+  const targetId = parseInt(req.body.targetId);
+  const targetField = TARGET_FIELDS[targetType];
+
+  try {
+    const result = await loadReportableTarget(prisma, req.user, targetType, targetId);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    const existing = await prisma.adminFlag.findFirst({
+      where: {
+        flaggedById: req.user.id,
+        [targetField]: targetId,
+        status: { in: OPEN_FLAG_STATUSES },
+      },
+    });
+    if (existing) return res.status(409).json({ error: 'You already reported this' });
+
+    const flag = await prisma.adminFlag.create({
+      data: {
+        flaggedById: req.user.id,
+        targetType,
+        [targetField]: targetId,
+        reason,
+        details,
+      },
+      select: reporterSelect,
+    });
+    res.status(201).json({ message: 'Report submitted', flag });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to submit report' });
+  }
+});
+
+/**
+ * @swagger
+ * /flags/mine:
+ *   get:
+ *     summary: List your reports and their outcome
+ *     tags: [Flags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Order'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: Paginated list of your reports, newest first
+ */
+// GET /flags/mine - Reporter's own reports
+router.get('/mine', authenticateToken, paginationValidators(['createdAt']), handleValidation, async (req, res) => {
+  const pagination = parsePagination(req.query);
+  const where = { flaggedById: req.user.id };
+  try {
+    const [total, flags] = await prisma.$transaction([
+      prisma.adminFlag.count({ where }),
+      prisma.adminFlag.findMany({
+        where,
+        select: reporterSelect,
+        ...pageArgs(pagination),
+      }),
+    ]);
+    res.json(buildPage(flags, total, pagination));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch reports' });
+  }
+});
+
+/**
+ * @swagger
+ * /flags:
+ *   get:
+ *     summary: Triage queue of reports (admins and moderators)
+ *     tags: [Flags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [OPEN, IN_REVIEW, RESOLVED, DISMISSED]
+ *         required: false
+ *         description: Only return reports in this status; open and in-review reports when omitted
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           enum: [PROPERTY, USER, REVIEW, MESSAGE]
+ *         required: false
+ *       - in: query
+ *         name: assignee
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: me, none, or a staff user ID
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, updatedAt]
+ *         required: false
+ *         description: Sort key (default createdAt, oldest first)
+ *       - $ref: '#/components/parameters/Order'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: Paginated list of reports with their targets
+ *       403:
+ *         description: Forbidden
+ */
+// GET /flags - Staff triage queue
+router.get('/', authenticateToken, authorize('flag:triage'), [
+  query('status').optional().isIn(FLAG_STATUSES),
+  query('targetType').optional().isIn(Object.keys(TARGET_FIELDS)),
+  query('assignee').optional().custom(value => ['me', 'none'].includes(value) || /^\d+$/.test(value))
+    .withMessage('assignee must be me, none or a user ID'),
+  ...paginationValidators(['createdAt', 'updatedAt']),
+], handleValidation, async (req, res) => {
+  const { status, targetType, assignee } = req.query;
+  // Oldest first so the queue is worked in order
+  const pagination = parsePagination(req.query, { defaultOrder: 'asc' });
+  const where = {
+    status: status || { in: OPEN_FLAG_STATUSES },
+    ...(targetType && { targetType }),
+    ...assigneeFilter(assignee, req.user),
+  };
+
+  try {
+    const [total, flags] = await prisma.$transaction([
+      prisma.adminFlag.count({ where }),
+      prisma.adminFlag.findMany({
+        where,
+        include: triageInclude,
+        ...pageArgs(pagination),
+      }),
+    ]);
+    res.json(buildPage(flags, total, pagination));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch reports' });
+  }
+});
+
+/**
+ * @swagger
+ * /flags/{id}:
+ *   get:
+ *     summary: Get a report with its target and other open reports of the same item (admins and moderators)
+ *     tags: [Flags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Report details
+ *       404:
+ *         description: Report not found
+ */
+// GET /flags/:id - Report details for staff
+router.get('/:id', authenticateToken, authorize('flag:triage'), [
+  param('id').isInt(),
+], handleValidation, async (req, res) => {
+  const flagId = parseInt(req.params.id);
+  try {
+    const flag = await prisma.adminFlag.findUnique({ where: { id: flagId }, include: triageInclude });
+    if (!flag) return res.status(404).json({ error: 'Report not found' });
+
+    const targetField = TARGET_FIELDS[flag.targetType];
+    const otherOpenReports = flag[targetField] === null ? 0 : await prisma.adminFlag.count({
+      where: {
+        id: { not: flag.id },
+        [targetField]: flag[targetField],
+        status: { in: OPEN_FLAG_STATUSES },
+      },
+    });
+    res.json({ ...flag, otherOpenReports });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch report' });
+  }
+});
+
+/**
+ * @swagger
+ * /flags/{id}/assign:
+ *   put:
+ *     summary: Assign an open report to a staff member, or unassign it (admins and moderators)
+ *     description: Assigning moves the report to IN_REVIEW; unassigning moves it back to OPEN.
+ *     tags: [Flags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - assigneeId
+ *             properties:
+ *               assigneeId:
+ *                 type: integer
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Report assigned
+ *       400:
+ *         description: Assignee is not an admin or moderator
+ *       404:
+ *         description: Report not found
+ *       409:
+ *         description: Report is already closed
+ */
+// PUT /flags/:id/assign - Assign a report
+router.put('/:id/assign', authenticateToken, authorize('flag:triage'), [
+  param('id').isInt(),
+  body('assigneeId').exists().bail().custom(value => value === null || /^\d+$/.test(String(value)))
+    .withMessage('assigneeId must be a user ID or null'),
+], handleValidation, async (req, res) => {
+  const flagId = parseInt(req.params.id);
+  const assigneeId = req.body.assigneeId === null ? null : parseInt(req.body.assigneeId);
+
+  try {
+    const flag = await prisma.adminFlag.findUnique({ where: { id: flagId } });
+    if (!flag) return res.status(404).json({ error: 'Report not found' });
+
+    if (assigneeId !== null) {
+      const assignee = await prisma.user.findUnique({ where: { id: assigneeId } });
+      if (!assignee || !STAFF_ROLES.includes(assignee.role)) {
+        return res.status(400).json({ error: 'Reports can only be assigned to admins and moderators' });
+      }
+    }
+
+    const { count } = await prisma.adminFlag.updateMany({
+      where: { id: flagId, status: { in: OPEN_FLAG_STATUSES } },
+      data: { assignedToId: assigneeId, status: assigneeId === null ? 'OPEN' : 'IN_REVIEW' },
+    });
+    if (!count) return res.status(409).json({ error: `Report is already ${flag.status}` });
+
+    const updated = await prisma.adminFlag.findUnique({ where: { id: flagId }, include: triageInclude });
+    res.json({ message: assigneeId === null ? 'Report unassigned' : 'Report assigned', flag: updated });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to assign report' });
+  }
+});
+
+/**
+ * @swagger
+ * /flags/{id}/resolve:
+ *   put:
+ *     summary: Resolve or dismiss a report, optionally taking action (admins and moderators)
+ *     description: |
+ *       HIDE_LISTING hides a reported listing until staff approve it again. SUSPEND_USER suspends the reported
+ *       user, the listing's landlord, the review's author or the message's sender, for suspendDays or until lifted.
+ *       Actions can only be taken when resolving.
+ *     tags: [Flags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [RESOLVED, DISMISSED]
+ *               action:
+ *                 type: string
+ *                 enum: [HIDE_LISTING, SUSPEND_USER]
+ *               suspendDays:
+ *                 type: integer
+ *                 minimum: 1
+ *               note:
+ *                 type: string
+ *                 maxLength: 191
+ *                 description: Internal resolution note; also used as the hide or suspension reason
+ *     responses:
+ *       200:
+ *         description: Report closed
+ *       400:
+ *         description: Validation error, or the action does not apply to this report
+ *       404:
+ *         description: Report not found
+ *       409:
+ *         description: Report is already closed, or the action cannot be applied
+ */
+// PUT /flags/:id/resolve - Close a report
+router.put('/:id/resolve', authenticateToken, authorize('flag:triage'), [
+  param('id').isInt(),
+  body('status').isIn(['RESOLVED', 'DISMISSED']),
+  body('action').optional().isIn(FLAG_ACTIONS),
+  body('suspendDays').optional().isInt({ min: 1 }),
+  body('note').optional().isString().isLength({ max: 191 }),
+], handleValidation, async (req, res) => {
+  const flagId = parseInt(req.params.id);
+  const { status, action, note } = req.body;
+  const suspendDays = req.body.suspendDays ? parseInt(req.body.suspendDays) : null;
+
+  if (action && status !== 'RESOLVED') {
+    return res.status(400).json({ error: 'Actions can only be taken when resolving a report' });
+  }
+  if (suspendDays && action !== 'SUSPEND_USER') {
+    return res.status(400).json({ error: 'suspendDays only applies to SUSPEND_USER' });
+  }
+
+  try {
+    const flag = await prisma.adminFlag.findUnique({ where: { id: flagId } });
+    if (!flag) return res.status(404).json({ error: 'Report not found' });
+    if (!OPEN_FLAG_STATUSES.includes(flag.status)) {
+      return res.status(409).json({ error: `Report is already ${flag.status}` });
+    }
+
+    // Closing the report and taking the action commit together, so a listing is
+    // never left hidden or a user suspended while the report still looks open
+    const result = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.adminFlag.updateMany({
+        where: { id: flagId, status: { in: OPEN_FLAG_STATUSES } },
+        data: {
+          status,
+          action: action || null,
+          resolutionNote: note,
+          resolvedById: req.user.id,
+          resolvedAt: new Date(),
+        },
+      });
+      if (!count) throw { status: 409, error: 'Report was closed by someone else' };
+      if (!action) return {};
+
+      const outcome = await applyFlagAction(tx, flag, action, req.user, { note, suspendDays });
+      // Throwing rolls back the report update too
+      if (outcome.error) throw outcome;
+      return outcome;
+    });
+    if (result.listingChange) notifySavedListingChange(prisma, ...result.listingChange);
+
+    const updated = await prisma.adminFlag.findUnique({ where: { id: flagId }, include: triageInclude });
+    res.json({ message: `Report ${status.toLowerCase()}`, flag: updated });
+  } catch (err) {
+    if (err.status && err.error) return res.status(err.status).json({ error: err.error });
+    console.error(err);
+    res.status(500).json({ error: 'Failed to resolve report' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,97 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { param, validationResult } = require('express-validator');
+const { ROLES } = require('../utils/policies');
+const { ratingSummary } = require('../utils/ratings');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  next();
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Landlords
+ *   description: Public landlord profiles
+ */
+
+/**
+ * @swagger
+ * /landlords/{id}:
+ *   get:
+ *     summary: Get a landlord's public profile
+ *     description: Includes their approved listings and the rating summary across reviews of all their properties.
+ *     tags: [Landlords]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Landlord ID
+ *     responses:
+ *       200:
+ *         description: Landlord profile
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                 name:
+ *                   type: string
+ *                 profilePicture:
+ *                   type: string
+ *                 createdAt:
+ *                   type: string
+ *                   format: date-time
+ *                 properties:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 ratingSummary:
+ *                   $ref: '#/components/schemas/RatingSummary'
+ *       404:
+ *         description: Landlord not found
+ */
+// GET /landlords/:id - Public landlord profile
+router.get('/:id', [
+  param('id').isInt(),
+], handleValidation, async (req, res) => {
+  const id = parseInt(req.params.id);
+  try {
+    const landlord = await prisma.user.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        name: true,
+        role: true,
+        deletedAt: true,
+        profilePicture: true,
+        createdAt: true,
+        properties: {
+          where: { status: 'APPROVED' },
+          select: { id: true, title: true, location: true, price: true, averageRating: true },
+          orderBy: { createdAt: 'desc' },
+        },
+      },
+    });
+    if (!landlord || landlord.role !== ROLES.LANDLORD || landlord.deletedAt) {
+      return res.status(404).json({ error: 'Landlord not found' });
+    }
+
+    const { role, deletedAt, ...profile } = landlord;
+    const summary = await ratingSummary(prisma, { property: { landlordId: id } });
+    res.json({ ...profile, ratingSummary: summary });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch landlord' });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,24 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
+const { body, param, validationResult } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
+const {
+  paginationValidators, parsePagination, pageArgs, buildPage,
+} = require('../utils/pagination');
+const {
+  MAX_MESSAGE_LENGTH, findConversationForUser, sendMessage, markConversationRead, unreadCounts,
+} = require('../utils/chat');
+const { publishMessage, publishRead } = require('../utils/realtime');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  next();
+};
+
 /**
  * @swagger
  * /chat/conversations:
@@ -13,38 +27,161 @@ const prisma = new PrismaClient();
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [updatedAt, createdAt]
+ *         required: false
+ *         description: Sort key (default updatedAt, most recent activity first)
+ *       - $ref: '#/components/parameters/Order'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
  *     responses:
  *       200:
- *         description: List of conversations
+ *         description: Paginated list of conversations, each with the latest message and an unreadCount for the user
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *       401:
  *         description: Unauthorized
  */
-router.get('/conversations', authenticateToken, async (req, res) => {
+router.get('/conversations', authenticateToken, paginationValidators(['updatedAt', 'createdAt']), handleValidation, async (req, res) => {
   const userId = req.user.id;
+  const pagination = parsePagination(req.query, { defaultSort: 'updatedAt' });
+  const where = {
+    OR: [{ studentId: userId }, { landlordId: userId }],
+  };
 
   try {
-    const conversations = await prisma.conversation.findMany({
-      where: {
-        OR: [{ studentId: userId }, { landlordId: userId }],
-      },
-      include: {
-        messages: {
-          orderBy: { createdAt: 'desc' },
-          take: 1, // Latest message preview
+    const [total, conversations] = await prisma.$transaction([
+      prisma.conversation.count({ where }),
+      prisma.conversation.findMany({
+        where,
+        include: {
+          messages: {
+            orderBy: { createdAt: 'desc' },
+            take: 1, // Latest message preview
+          },
+          student: { select: { id: true, name: true, email: true } },
+          landlord: { select: { id: true, name: true, email: true } },
         },
-        student: { select: { id: true, name: true, email: true } },
-        landlord: { select: { id: true, name: true, email: true } },
-      },
-      orderBy: { updatedAt: 'desc' },
-    });
+        ...pageArgs(pagination),
+      }),
+    ]);
+
+    const page = buildPage(conversations, total, pagination);
+    const unread = await unreadCounts(prisma, userId, page.data.map(conversation => conversation.id));
+    page.data = page.data.map(conversation => ({ ...conversation, unreadCount: unread.get(conversation.id) || 0 }));
+
+    res.json(page);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /chat/conversations/{id}/read:
+ *   post:
+ *     summary: Mark messages in a conversation as read
+ *     description: Marks every message the user received in the conversation as read, or only those up to upToMessageId. The other participant is notified over the chat socket.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Conversation ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               upToMessageId:
+ *                 type: integer
+ *                 description: Last message the user has seen
+ *     responses:
+ *       200:
+ *         description: Messages marked as read
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ */
+router.post('/conversations/:id/read', authenticateToken, [
+  param('id').isInt(),
+  body('upToMessageId').optional().isInt({ min: 1 }),
+], handleValidation, async (req, res) => {
+  const userId = req.user.id;
+  const conversationId = parseInt(req.params.id);
+  const upToMessageId = req.body?.upToMessageId ? parseInt(req.body.upToMessageId) : null;
+
+  try {
+    const conversation = await findConversationForUser(prisma, conversationId, userId);
+    if (!conversation) return res.status(403).json({ error: 'Access denied' });
+
+    const { count, readAt } = await markConversationRead(prisma, conversation, userId, upToMessageId);
+    if (count) publishRead(conversation, userId, upToMessageId, readAt);
 
-    res.json(conversations);
+    const unread = await unreadCounts(prisma, userId, [conversationId]);
+    res.json({ conversationId, markedRead: count, unreadCount: unread.get(conversationId) || 0 });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /chat/unread-count:
+ *   get:
+ *     summary: Total unread messages for the logged-in user
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unread badge counts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                   description: Unread messages across all conversations
+ *                 conversations:
+ *                   type: integer
+ *                   description: Conversations with at least one unread message
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/unread-count', authenticateToken, async (req, res) => {
+  try {
+    const unread = await unreadCounts(prisma, req.user.id);
+    let total = 0;
+    for (const count of unread.values()) total += count;
+
+    res.json({ total, conversations: unread.size });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Internal server error' });
@@ -66,15 +203,30 @@ router.get('/conversations', authenticateToken, async (req, res) => {
  *           type: integer
  *         required: true
  *         description: Conversation ID
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *         required: false
+ *         description: Oldest first (asc, default) or newest first (desc) for loading history upwards
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
  *     responses:
  *       200:
- *         description: List of messages
+ *         description: Paginated list of messages
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *       400:
  *         description: conversationId is required
  *       401:
@@ -82,27 +234,26 @@ router.get('/conversations', authenticateToken, async (req, res) => {
  *       403:
  *         description: Access denied
  */
-router.get('/messages', authenticateToken, async (req, res) => {
+router.get('/messages', authenticateToken, paginationValidators(['createdAt']), handleValidation, async (req, res) => {
   const userId = req.user.id;
   const conversationId = parseInt(req.query.conversationId);
+  const pagination = parsePagination(req.query, { defaultOrder: 'asc' });
 
   if (!conversationId) return res.status(400).json({ error: 'conversationId is required' });
 
   try {
-    const conversation = await prisma.conversation.findUnique({
-      where: { id: conversationId },
-    });
+    const conversation = await findConversationForUser(prisma, conversationId, userId);
+    if (!conversation) return res.status(403).json({ error: 'Access denied' });
 
-    if (!conversation || (conversation.studentId !== userId && conversation.landlordId !== userId)) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+    const [total, messages] = await prisma.$transaction([
+      prisma.message.count({ where: { conversationId } }),
+      prisma.message.findMany({
+        where: { conversationId },
+        ...pageArgs(pagination),
+      }),
+    ]);
 
-    const messages = await prisma.message.findMany({
-      where: { conversationId },
-      orderBy: { createdAt: 'asc' },
-    });
-
-    res.json(messages);
+    res.json(buildPage(messages, total, pagination));
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Internal server error' });
@@ -128,70 +279,75 @@ router.get('/messages', authenticateToken, async (req, res) => {
  *               - content
  *             properties:
  *               recipientId:
- *                 type: string
+ *                 type: integer
  *                 description: User ID of the recipient
  *               content:
  *                 type: string
- *                 description: Message content
+ *                 maxLength: 5000
+ *                 description: Message content; surrounding whitespace is trimmed
  *     responses:
  *       201:
  *         description: Message sent
  *       400:
- *         description: Recipient and content required, or invalid recipient/roles
+ *         description: Recipient and content required, content too long, or invalid recipient/roles
  *       401:
  *         description: Unauthorized
  *       500:
  *         description: Internal server error
  */
-router.post('/messages', authenticateToken, async (req, res) => {
-  const senderId = req.user.id;
+router.post('/messages', authenticateToken, [
+  body('recipientId').isInt(),
+  body('content').isString().trim().notEmpty().isLength({ max: MAX_MESSAGE_LENGTH }),
+], handleValidation, async (req, res) => {
   const { recipientId, content } = req.body;
 
-  if (!recipientId || !content) {
-    return res.status(400).json({ error: 'Recipient and content required' });
-  }
-
   try {
-    const recipient = await prisma.user.findUnique({ where: { id: recipientId } });
-    if (!recipient || recipient.id === senderId) {
-      return res.status(400).json({ error: 'Invalid recipient' });
-    }
-
-    // Determine roles
-    let studentId, landlordId;
-    if (req.user.role === 'student' && recipient.role === 'landlord') {
-      studentId = senderId;
-      landlordId = recipientId;
-    } else if (req.user.role === 'landlord' && recipient.role === 'student') {
-      studentId = recipientId;
-      landlordId = senderId;
-    } else {
-      return res.status(400).json({ error: 'Messages only allowed between students and landlords' });
-    }
-
-    // Find or create conversation
-    let conversation = await prisma.conversation.upsert({
-      where: {
-        studentId_landlordId: { studentId, landlordId },
-      },
-      update: {},
-      create: { studentId, landlordId },
-    });
-
-    // Create message
-    const message = await prisma.message.create({
-      data: {
-        conversationId: conversation.id,
-        senderId,
-        content,
-      },
-    });
-
-    res.status(201).json({ message });
+    const result = await sendMessage(prisma, req.user, { recipientId: parseInt(recipientId), content });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    // Push to both participants over the chat socket
+    publishMessage(result.message);
+
+    res.status(201).json({ message: result.message });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+/**
+ * @swagger
+ * /chat/ws:
+ *   get:
+ *     summary: Real-time chat WebSocket
+ *     description: |
+ *       Upgrade to a WebSocket, authenticated with the same access token as the REST API,
+ *       passed as `?token=<accessToken>` or an `Authorization: Bearer` header.
+ *       Frames are JSON `{ "type": string, "data": object }`.
+ *
+ *       Client events: `message:send` `{ recipientId, content, clientId? }`,
+ *       `typing` `{ conversationId, isTyping }`, `message:delivered` `{ messageId }`,
+ *       `conversation:read` `{ conversationId, upToMessageId? }`.
+ *
+ *       Server events: `message:new` (message, sent to both participants),
+ *       `message:sent` `{ clientId, message }` (ack to the sending socket),
+ *       `typing` `{ conversationId, userId, isTyping }`,
+ *       `message:delivered` `{ messageId, conversationId, deliveredAt }` (to the sender),
+ *       `conversation:read` `{ conversationId, readerId, upToMessageId, readAt }` (to the other participant),
+ *       `error` `{ error, clientId? }`.
+ *     tags: [Messages]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Access token (JWT)
+ *     responses:
+ *       101:
+ *         description: Switching protocols
+ *       401:
+ *         description: Missing or invalid access token
+ */
+
 module.exports = router;
@@ -1,7 +1,28 @@
 const express = require('express');
-const { PrismaClient } = require('@prisma/client');
-const { body, param, query, validationResult } = require('express-validator');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { PrismaClient, Prisma, RoomType } = require('@prisma/client');
+const {
+  body, param, query, validationResult, matchedData,
+} = require('express-validator');
+const { authenticateToken, optionalAuth, authorize } = require('../middleware/auth');
+const { can } = require('../utils/policies');
+const { canLandlordTransition, statusChangeData, needsReReview } = require('../utils/listingStatus');
+const { boundingBox, parseBbox, boxFilter, distanceTo } = require('../utils/geo');
+const {
+  paginationValidators, parsePagination, pageArgs, buildPage, paginateArray,
+} = require('../utils/pagination');
+const { getStorage } = require('../utils/storage');
+const { MAX_EXPAND_DAYS, loadAvailability } = require('../utils/availability');
+const { RATING_CATEGORIES, categoryColumn, ratingSummary } = require('../utils/ratings');
+const { notifySavedListingChange } = require('../utils/savedAlerts');
+const { createVersionedProperty, updateVersionedProperty, priceHistory } = require('../utils/propertyVersions');
+const { propertyFilters, searchProperties, highlightProperty } = require('../utils/propertySearch');
+const {
+  attributeValidators, attributeFilterValidators, attributeFilters,
+  tallyFacets, facetGroups, facetsFromGroups,
+} = require('../utils/amenities');
+const {
+  handleUpload, validateUpload, storeUpload, removeStoredMedia,
+} = require('../utils/media');
 
 const prisma = new PrismaClient();
 const router = express.Router();
@@ -13,6 +34,103 @@ const handleValidation = (req, res, next) => {
   next();
 };
 
+// Body validators for the fields landlords write through POST, PUT and PATCH.
+// With partial (PATCH) the fields a listing needs become optional.
+const propertyValidators = ({ partial = false } = {}) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+  return [
+    field('title').isString().trim().notEmpty().isLength({ max: 191 }),
+    field('description').isString().trim().isLength({ max: 191 }),
+    field('price').isFloat({ min: 0 }).toFloat(),
+    field('roomType').isIn(Object.values(RoomType)),
+    field('location').isString().trim().notEmpty().isLength({ max: 191 }),
+    body('latitude').optional({ values: 'null' }).isFloat({ min: -90, max: 90 }).toFloat(),
+    body('longitude').optional({ values: 'null' }).isFloat({ min: -180, max: 180 }).toFloat(),
+    ...attributeValidators,
+  ];
+};
+
+// Only the validated body fields that were sent (null included, to clear a
+// value). Everything else, like landlordId or the moderation fields, is dropped.
+const writableFields = (req) => Object.fromEntries(
+  Object.entries(matchedData(req, { locations: ['body'], includeOptionals: true }))
+    .filter(([, value]) => value !== undefined),
+);
+
+// Media in the order the landlord arranged it
+const orderedMedia = { orderBy: [{ position: 'asc' }, { id: 'asc' }] };
+
+// Public sort keys for property lists and the columns behind them
+const SORT_COLUMNS = { price: 'price', createdAt: 'createdAt', rating: 'averageRating' };
+
+// Query parameter holding the minimum average for a rating category, e.g. minCleanlinessRating
+const minRatingParam = (category) => `min${category[0].toUpperCase()}${category.slice(1)}Rating`;
+
+// Orders in-memory results the same way the database would for SORT_COLUMNS,
+// plus distance and relevance; rows missing the value go last
+const compareBy = (sort, order) => (a, b) => {
+  const value = (item) => {
+    const raw = sort === 'distance' || sort === 'relevance' ? item[sort] : item[SORT_COLUMNS[sort]];
+    return raw === null || raw === undefined ? null : Number(raw instanceof Date ? raw.getTime() : raw);
+  };
+  const [x, y] = [value(a), value(b)];
+  if (x === y) return order === 'asc' ? a.id - b.id : b.id - a.id;
+  if (x === null) return 1;
+  if (y === null) return -1;
+  return order === 'asc' ? x - y : y - x;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PropertyAttributes:
+ *       type: object
+ *       description: Amenities and lease terms students can filter on; all optional
+ *       properties:
+ *         furnished:
+ *           type: boolean
+ *         wifi:
+ *           type: boolean
+ *         utilitiesIncluded:
+ *           type: boolean
+ *         parking:
+ *           type: boolean
+ *         petsAllowed:
+ *           type: boolean
+ *         genderRestriction:
+ *           type: string
+ *           enum: [NONE, FEMALE_ONLY, MALE_ONLY]
+ *           default: NONE
+ *         leaseMonths:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 60
+ *           nullable: true
+ *           description: Shortest lease offered in months; null when there is no minimum
+ *         availableFrom:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           description: Earliest move-in date; null when available now
+ *     SearchFacets:
+ *       type: object
+ *       description: Number of matching listings per amenity, room type and gender restriction
+ *       properties:
+ *         amenities:
+ *           type: object
+ *           additionalProperties:
+ *             type: integer
+ *         roomType:
+ *           type: object
+ *           additionalProperties:
+ *             type: integer
+ *         genderRestriction:
+ *           type: object
+ *           additionalProperties:
+ *             type: integer
+ */
+
 /**
  * @swagger
  * /properties:
@@ -21,6 +139,17 @@ const handleValidation = (req, res, next) => {
  *     tags: [Properties]
  *     parameters:
  *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *           maxLength: 200
+ *         required: false
+ *         description: |
+ *           Keywords to search for in the title, description and location. Words match as prefixes and small
+ *           typos are tolerated. Results are sorted by relevance by default and each has `relevance` and
+ *           `highlights` (HTML-escaped title, location and description snippet with matches in `<mark>`).
+ *           Combines with every other filter.
+ *       - in: query
  *         name: location
  *         schema:
  *           type: string
@@ -44,32 +173,282 @@ const handleValidation = (req, res, next) => {
  *           type: string
  *         required: false
  *         description: Room type
+ *       - in: query
+ *         name: minCleanlinessRating
+ *         schema:
+ *           type: number
+ *           minimum: 1
+ *           maximum: 5
+ *         required: false
+ *         description: Minimum average cleanliness rating
+ *       - in: query
+ *         name: minResponsivenessRating
+ *         schema:
+ *           type: number
+ *           minimum: 1
+ *           maximum: 5
+ *         required: false
+ *         description: Minimum average landlord responsiveness rating
+ *       - in: query
+ *         name: minValueRating
+ *         schema:
+ *           type: number
+ *           minimum: 1
+ *           maximum: 5
+ *         required: false
+ *         description: Minimum average value for money rating
+ *       - in: query
+ *         name: minSafetyRating
+ *         schema:
+ *           type: number
+ *           minimum: 1
+ *           maximum: 5
+ *         required: false
+ *         description: Minimum average safety rating
+ *       - in: query
+ *         name: minLocationRating
+ *         schema:
+ *           type: number
+ *           minimum: 1
+ *           maximum: 5
+ *         required: false
+ *         description: Minimum average location rating
+ *       - in: query
+ *         name: amenities
+ *         schema:
+ *           type: string
+ *           example: wifi,furnished
+ *         required: false
+ *         description: Comma-separated amenities (furnished, wifi, utilitiesIncluded, parking, petsAllowed) a listing must all have
+ *       - in: query
+ *         name: genderRestriction
+ *         schema:
+ *           type: string
+ *           enum: [NONE, FEMALE_ONLY, MALE_ONLY]
+ *         required: false
+ *       - in: query
+ *         name: maxLeaseMonths
+ *         schema:
+ *           type: integer
+ *         required: false
+ *         description: Only listings whose minimum lease is at most this many months (or that have none)
+ *       - in: query
+ *         name: moveInBy
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: false
+ *         description: Only listings available to move into on or before this date
+ *       - in: query
+ *         name: lat
+ *         schema:
+ *           type: number
+ *         required: false
+ *         description: Latitude to search around; results are sorted by distance from it
+ *       - in: query
+ *         name: lng
+ *         schema:
+ *           type: number
+ *         required: false
+ *         description: Longitude to search around
+ *       - in: query
+ *         name: distance
+ *         schema:
+ *           type: number
+ *         required: false
+ *         description: Search radius in kilometres around lat/lng
+ *       - in: query
+ *         name: bbox
+ *         schema:
+ *           type: string
+ *           example: 30.05,-1.97,30.12,-1.92
+ *         required: false
+ *         description: Map viewport as minLng,minLat,maxLng,maxLat
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [price, createdAt, rating, distance, relevance]
+ *         required: false
+ *         description: |
+ *           Sort key. Defaults to relevance when q is given, then distance when lat/lng are given, otherwise
+ *           createdAt. distance requires lat/lng and relevance requires q.
+ *       - $ref: '#/components/parameters/Order'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
  *     responses:
  *       200:
- *         description: List of properties
+ *         description: |
+ *           Paginated list of properties. When lat/lng are given each item has a distance in kilometres; when q
+ *           is given, a relevance score and highlights.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 facets:
+ *                   $ref: '#/components/schemas/SearchFacets'
+ *       400:
+ *         description: Validation error
  *       500:
  *         description: Failed to fetch properties
  */
 // GET /properties - Search & filter
 router.get('/', [
+  query('q').optional().isString().isLength({ max: 200 }),
   query('location').optional().isString(),
   query('minPrice').optional().isFloat(),
   query('maxPrice').optional().isFloat(),
   query('roomType').optional().isString(),
-  query('distance').optional().isFloat(),
+  ...RATING_CATEGORIES.map(category => query(minRatingParam(category)).optional().isFloat({ min: 1, max: 5 })),
+  ...attributeFilterValidators,
+  query('lat').optional().isFloat({ min: -90, max: 90 }),
+  query('lng').optional().isFloat({ min: -180, max: 180 }),
+  query('distance').optional().isFloat({ gt: 0 }),
+  query('bbox').optional().custom(value => parseBbox(value) !== null)
+    .withMessage('bbox must be minLng,minLat,maxLng,maxLat'),
+  ...paginationValidators([...Object.keys(SORT_COLUMNS), 'distance', 'relevance']),
 ], handleValidation, async (req, res) => {
-  const { location, minPrice, maxPrice, roomType } = req.query;
+  const { location, minPrice, maxPrice, roomType, lat, lng, distance, bbox } = req.query;
+  const keywords = req.query.q?.trim() || null;
+
+  if ((lat === undefined) !== (lng === undefined)) {
+    return res.status(400).json({ error: 'lat and lng must be provided together' });
+  }
+  if (distance && lat === undefined) {
+    return res.status(400).json({ error: 'lat and lng are required when filtering by distance' });
+  }
+
+  const origin = lat !== undefined ? { lat: parseFloat(lat), lng: parseFloat(lng) } : null;
+  const radius = distance ? parseFloat(distance) : null;
+  if (req.query.sort === 'distance' && !origin) {
+    return res.status(400).json({ error: 'lat and lng are required to sort by distance' });
+  }
+  if (req.query.sort === 'relevance' && !keywords) {
+    return res.status(400).json({ error: 'q is required to sort by relevance' });
+  }
+  const defaultSort = keywords ? 'relevance' : origin ? 'distance' : 'createdAt';
+  const pagination = parsePagination(req.query, {
+    defaultSort,
+    defaultOrder: (req.query.sort || defaultSort) === 'distance' ? 'asc' : 'desc',
+  });
+
+  // Box pre-filters keep the exact distance check to nearby rows
+  const boxes = [];
+  if (bbox) boxes.push(boxFilter(parseBbox(bbox)));
+  if (radius) boxes.push(boxFilter(boundingBox(origin, radius)));
+
+  const where = {
+    ...propertyFilters({ location, minPrice, maxPrice, roomType }),
+    ...Object.fromEntries(RATING_CATEGORIES
+      .filter(category => req.query[minRatingParam(category)] !== undefined)
+      .map(category => [categoryColumn(category), { gte: parseFloat(req.query[minRatingParam(category)]) }])),
+    AND: [...boxes, ...attributeFilters(req.query)],
+    status: 'APPROVED',
+  };
+
   try {
-    const properties = await prisma.property.findMany({
-      where: {
-        ...(location && { location: { contains: location, mode: 'insensitive' } }),
-        ...(minPrice && { price: { gte: parseFloat(minPrice) } }),
-        ...(maxPrice && { price: { lte: parseFloat(maxPrice) } }),
-        ...(roomType && { roomType }),
-      },
-      include: { media: true },
-    });
-    res.json(properties);
+    // Keyword matches are ranked by the full-text index, then narrowed by the other filters
+    const search = keywords ? await searchProperties(prisma, keywords) : null;
+    if (search) where.id = { in: [...search.scores.keys()] };
+
+    if (!origin && !search) {
+      const [total, properties, groups] = await prisma.$transaction([
+        prisma.property.count({ where }),
+        prisma.property.findMany({
+          where,
+          include: { media: orderedMedia },
+          ...pageArgs(pagination, SORT_COLUMNS),
+        }),
+        facetGroups(prisma, where),
+      ]);
+      return res.json({ ...buildPage(properties, total, pagination), facets: facetsFromGroups(groups) });
+    }
+
+    // Exact distances and relevance are computed outside the query, so geo and
+    // keyword searches sort and page in memory
+    const properties = await prisma.property.findMany({ where, include: { media: orderedMedia } });
+    const results = properties
+      .map(property => ({
+        ...property,
+        ...(origin && { distance: distanceTo(origin, property) }),
+        ...(search && { relevance: search.scores.get(property.id) }),
+      }))
+      .filter(property => radius === null || (property.distance !== null && property.distance <= radius))
+      .sort(compareBy(pagination.sort, pagination.order));
+
+    const page = paginateArray(results, pagination);
+    if (search) {
+      page.data = page.data.map(property => ({ ...property, highlights: highlightProperty(property, search.terms) }));
+    }
+    res.json({ ...page, facets: tallyFacets(results) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch properties' });
+  }
+});
+
+/**
+ * @swagger
+ * /properties/mine:
+ *   get:
+ *     summary: List the logged-in landlord's properties in every status
+ *     tags: [Properties]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [DRAFT, PENDING, APPROVED, DECLINED, ARCHIVED, HIDDEN]
+ *         required: false
+ *         description: Only return listings in this status
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [price, createdAt, rating]
+ *         required: false
+ *       - $ref: '#/components/parameters/Order'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: Paginated list of the landlord's properties
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Failed to fetch properties
+ */
+// GET /properties/mine - Landlord's own listings, including unpublished ones
+router.get('/mine', authenticateToken, authorize('property:list-own'), [
+  query('status').optional().isIn(['DRAFT', 'PENDING', 'APPROVED', 'DECLINED', 'ARCHIVED', 'HIDDEN']),
+  ...paginationValidators(Object.keys(SORT_COLUMNS)),
+], handleValidation, async (req, res) => {
+  const { status } = req.query;
+  const pagination = parsePagination(req.query);
+  const where = {
+    landlordId: req.user.id,
+    ...(status && { status }),
+  };
+  try {
+    const [total, properties] = await prisma.$transaction([
+      prisma.property.count({ where }),
+      prisma.property.findMany({
+        where,
+        include: { media: orderedMedia },
+        ...pageArgs(pagination, SORT_COLUMNS),
+      }),
+    ]);
+    res.json(buildPage(properties, total, pagination));
   } catch (err) {
     res.status(500).json({ error: 'Failed to fetch properties' });
   }
@@ -90,14 +469,14 @@ router.get('/', [
  *         description: Property ID
  *     responses:
  *       200:
- *         description: Property details
+ *         description: Property details, with a ratingSummary of its reviews
  *       404:
  *         description: Property not found
  *       500:
  *         description: Failed to fetch property
  */
 // GET /properties/:id - Property details
-router.get('/:id', [
+router.get('/:id', optionalAuth, [
   param('id').isInt(),
 ], handleValidation, async (req, res) => {
   const id = parseInt(req.params.id);
@@ -105,18 +484,117 @@ router.get('/:id', [
     const property = await prisma.property.findUnique({
       where: { id },
       include: {
-        media: true,
+        media: orderedMedia,
         availability: true,
         reviews: true,
       },
     });
     if (!property) return res.status(404).json({ error: 'Property not found' });
-    res.json(property);
+
+    // Unpublished listings are only visible to their landlord and admins
+    if (!can(req.user, 'property:view', property)) {
+      return res.status(404).json({ error: 'Property not found' });
+    }
+    res.json({ ...property, ratingSummary: await ratingSummary(prisma, { propertyId: id }) });
   } catch (err) {
     res.status(500).json({ error: 'Failed to fetch property' });
   }
 });
 
+/**
+ * @swagger
+ * /properties/{id}/price-history:
+ *   get:
+ *     summary: Get the price history of a property
+ *     description: |
+ *       Every price the listing was publicly listed at, oldest first, with when it took effect. Prices of
+ *       unpublished edits, drafts and declined listings are left out.
+ *     tags: [Properties]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Property ID
+ *     responses:
+ *       200:
+ *         description: Current price and price history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 propertyId:
+ *                   type: integer
+ *                 currentPrice:
+ *                   type: string
+ *                 history:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       price:
+ *                         type: string
+ *                       changedAt:
+ *                         type: string
+ *                         format: date-time
+ *       404:
+ *         description: Property not found
+ */
+// GET /properties/:id/price-history - Price changes over time
+router.get('/:id/price-history', optionalAuth, [
+  param('id').isInt(),
+], handleValidation, async (req, res) => {
+  const id = parseInt(req.params.id);
+  try {
+    const property = await prisma.property.findUnique({ where: { id } });
+    if (!property || !can(req.user, 'property:view', property)) {
+      return res.status(404).json({ error: 'Property not found' });
+    }
+    res.json({
+      propertyId: id,
+      currentPrice: property.price.toString(),
+      history: await priceHistory(prisma, id),
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch price history' });
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PropertyInput:
+ *       type: object
+ *       description: Fields landlords can set on a listing. Anything else in the body is ignored.
+ *       properties:
+ *         title:
+ *           type: string
+ *           maxLength: 191
+ *         description:
+ *           type: string
+ *           maxLength: 191
+ *         price:
+ *           type: number
+ *           minimum: 0
+ *         roomType:
+ *           type: string
+ *           enum: [SINGLE, SHARED, STUDIO]
+ *         location:
+ *           type: string
+ *           maxLength: 191
+ *         latitude:
+ *           type: number
+ *           nullable: true
+ *         longitude:
+ *           type: number
+ *           nullable: true
+ *       allOf:
+ *         - $ref: '#/components/schemas/PropertyAttributes'
+ */
+
 /**
  * @swagger
  * /properties:
@@ -130,24 +608,19 @@ router.get('/:id', [
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - title
- *               - description
- *               - price
- *               - roomType
- *               - location
- *             properties:
- *               title:
- *                 type: string
- *               description:
- *                 type: string
- *               price:
- *                 type: number
- *               roomType:
- *                 type: string
- *               location:
- *                 type: string
+ *             allOf:
+ *               - $ref: '#/components/schemas/PropertyInput'
+ *               - type: object
+ *                 required:
+ *                   - title
+ *                   - description
+ *                   - price
+ *                   - roomType
+ *                   - location
+ *                 properties:
+ *                   draft:
+ *                     type: boolean
+ *                     description: Save as a draft instead of submitting for review
  *     responses:
  *       201:
  *         description: Property created
@@ -158,26 +631,17 @@ router.get('/:id', [
  *       500:
  *         description: Failed to create property
  */
-router.post('/', authenticateToken, authorizeRoles('LANDLORD'), [
-  body('title').isString(),
-  body('description').isString(),
-  body('price').isFloat({ min: 0 }),
-  body('roomType').isString(),
-  body('location').isString(),
+router.post('/', authenticateToken, authorize('property:create'), [
+  ...propertyValidators(),
+  body('draft').optional().isBoolean().toBoolean(),
 ], handleValidation, async (req, res) => {
-  const { title, description, price, roomType, location } = req.body;
+  const { draft, ...data } = writableFields(req);
   try {
-    console.log('Creating property for user:', req.user);
-    const property = await prisma.property.create({
-      data: {
-        title,
-        description,
-        price,
-        roomType,
-        location,
-        landlordId: req.user.id,
-      },
-    });
+    const property = await createVersionedProperty(prisma, {
+      ...data,
+      landlordId: req.user.id,
+      ...statusChangeData(draft ? 'DRAFT' : 'PENDING'),
+    }, req.user.id);
 
     res.status(201).json(property);
   } catch (err) {
@@ -186,11 +650,43 @@ router.post('/', authenticateToken, authorizeRoles('LANDLORD'), [
   }
 });
 
+// Saves validated changes to a listing for PUT and PATCH and records them as a
+// new version. Approved listings whose reviewed fields change go back to
+// PENDING for moderation.
+async function updateProperty(req, res) {
+  const id = parseInt(req.params.id);
+  const { submit, ...changes } = writableFields(req);
+  try {
+    const property = await prisma.property.findUnique({ where: { id } });
+    if (!property || !can(req.user, 'property:update', property)) {
+      return res.status(403).json({ error: 'Unauthorized or property not found' });
+    }
+
+    if (submit && !canLandlordTransition(property.status, 'PENDING')) {
+      return res.status(409).json({ error: `Cannot submit a ${property.status.toLowerCase()} listing for review` });
+    }
+
+    const updated = await updateVersionedProperty(prisma, property, {
+      ...changes,
+      ...((submit || needsReReview(property, changes)) && statusChangeData('PENDING')),
+    }, req.user.id);
+    notifySavedListingChange(prisma, property, updated);
+    res.json(updated);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update property' });
+  }
+}
+
 /**
  * @swagger
  * /properties/{id}:
  *   put:
  *     summary: Update a property (landlord only)
+ *     description: |
+ *       Takes the same fields as POST /properties, with title, description, price, roomType and location
+ *       required; optional fields that are left out keep their value. Use PATCH to send only some fields.
+ *       Changing the title, description, price, location or room type of an approved listing sends it back
+ *       to PENDING for review.
  *     tags: [Properties]
  *     security:
  *       - bearerAuth: []
@@ -206,7 +702,19 @@ router.post('/', authenticateToken, authorizeRoles('LANDLORD'), [
  *       content:
  *         application/json:
  *           schema:
- *             type: object
+ *             allOf:
+ *               - $ref: '#/components/schemas/PropertyInput'
+ *               - type: object
+ *                 required:
+ *                   - title
+ *                   - description
+ *                   - price
+ *                   - roomType
+ *                   - location
+ *                 properties:
+ *                   submit:
+ *                     type: boolean
+ *                     description: Submit a draft or declined listing for review after saving
  *     responses:
  *       200:
  *         description: Property updated
@@ -216,35 +724,15 @@ router.post('/', authenticateToken, authorizeRoles('LANDLORD'), [
  *         description: Unauthorized
  *       403:
  *         description: Unauthorized or property not found
+ *       409:
+ *         description: The listing cannot be submitted for review from its current status
  *       500:
  *         description: Failed to update property
- */
-// PUT /properties/:id - Update property
-router.put('/:id', authenticateToken, authorizeRoles('LANDLORD'), [
-  param('id').isInt(),
-], handleValidation, async (req, res) => {
-  const id = parseInt(req.params.id);
-  try {
-    const property = await prisma.property.findUnique({ where: { id } });
-    if (!property || property.landlordId !== req.user.id) {
-      return res.status(403).json({ error: 'Unauthorized or property not found' });
-    }
-
-    const updated = await prisma.property.update({
-      where: { id },
-      data: req.body,
-    });
-    res.json(updated);
-  } catch (err) {
-    res.status(500).json({ error: 'Failed to update property' });
-  }
-});
-
-/**
- * @swagger
- * /properties/{id}:
- *   delete:
- *     summary: Delete a property (landlord only)
+ *   patch:
+ *     summary: Partially update a property (landlord only)
+ *     description: |
+ *       Like PUT, but every field is optional and only the fields sent change. Changing the title,
+ *       description, price, location or room type of an approved listing sends it back to PENDING for review.
  *     tags: [Properties]
  *     security:
  *       - bearerAuth: []
@@ -255,39 +743,52 @@ router.put('/:id', authenticateToken, authorizeRoles('LANDLORD'), [
  *           type: integer
  *         required: true
  *         description: Property ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/PropertyInput'
+ *               - type: object
+ *                 properties:
+ *                   submit:
+ *                     type: boolean
+ *                     description: Submit a draft or declined listing for review after saving
  *     responses:
  *       200:
- *         description: Property deleted
+ *         description: Property updated
+ *       400:
+ *         description: Validation error
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Unauthorized or property not found
+ *       409:
+ *         description: The listing cannot be submitted for review from its current status
  *       500:
- *         description: Failed to delete property
+ *         description: Failed to update property
  */
-// DELETE /properties/:id - Delete property
-router.delete('/:id', authenticateToken, authorizeRoles('landlord'), [
+// PUT /properties/:id - Update property
+router.put('/:id', authenticateToken, [
   param('id').isInt(),
-], handleValidation, async (req, res) => {
-  const id = parseInt(req.params.id);
-  try {
-    const property = await prisma.property.findUnique({ where: { id } });
-    if (!property || property.landlordId !== req.user.id) {
-      return res.status(403).json({ error: 'Unauthorized or property not found' });
-    }
+  ...propertyValidators(),
+  body('submit').optional().isBoolean().toBoolean(),
+], handleValidation, updateProperty);
 
-    await prisma.property.delete({ where: { id } });
-    res.json({ message: 'Property deleted' });
-  } catch (err) {
-    res.status(500).json({ error: 'Failed to delete property' });
-  }
-});
+// PATCH /properties/:id - Update some fields of a property
+router.patch('/:id', authenticateToken, [
+  param('id').isInt(),
+  ...propertyValidators({ partial: true }),
+  body('submit').optional().isBoolean().toBoolean(),
+], handleValidation, updateProperty);
 
 /**
  * @swagger
- * /properties/{id}/media:
- *   post:
- *     summary: Upload media for a property (landlord only)
+ * /properties/{id}/status:
+ *   put:
+ *     summary: Move a listing through its lifecycle (landlord only)
+ *     description: Submit for review (PENDING), withdraw to DRAFT or ARCHIVE a listing. Approval and decline are admin decisions.
  *     tags: [Properties]
  *     security:
  *       - bearerAuth: []
@@ -305,52 +806,414 @@ router.delete('/:id', authenticateToken, authorizeRoles('landlord'), [
  *           schema:
  *             type: object
  *             required:
- *               - url
- *               - type
+ *               - status
  *             properties:
- *               url:
- *                 type: string
- *                 format: uri
- *               type:
+ *               status:
  *                 type: string
- *                 enum: [image, video]
+ *                 enum: [DRAFT, PENDING, ARCHIVED]
  *     responses:
- *       201:
- *         description: Media uploaded
+ *       200:
+ *         description: Listing status updated
  *       400:
  *         description: Validation error
- *       401:
- *         description: Unauthorized
+ *       403:
+ *         description: Unauthorized or property not found
+ *       409:
+ *         description: Transition not allowed from the current status
  *       500:
- *         description: Failed to upload media
+ *         description: Failed to update listing status
  */
-// POST /properties/:id/media - Upload images/videos
-router.post('/:id/media', authenticateToken, authorizeRoles('landlord'), [
+// PUT /properties/:id/status - Landlord lifecycle transitions
+router.put('/:id/status', authenticateToken, [
   param('id').isInt(),
-  body('url').isURL(),
-  body('type').isIn(['image', 'video']),
+  body('status').isIn(['DRAFT', 'PENDING', 'ARCHIVED']),
 ], handleValidation, async (req, res) => {
   const id = parseInt(req.params.id);
-  const { url, type } = req.body;
+  const { status } = req.body;
   try {
-    const media = await prisma.propertyMedia.create({
-      data: {
-        propertyId: id,
-        url,
-        type,
-      },
-    });
-    res.status(201).json(media);
-  } catch (err) {
+    const property = await prisma.property.findUnique({ where: { id } });
+    if (!property || !can(req.user, 'property:update', property)) {
+      return res.status(403).json({ error: 'Unauthorized or property not found' });
+    }
+    if (!canLandlordTransition(property.status, status)) {
+      return res.status(409).json({ error: `Cannot move listing from ${property.status} to ${status}` });
+    }
+
+    const updated = await prisma.property.update({
+      where: { id },
+      data: statusChangeData(status),
+    });
+    notifySavedListingChange(prisma, property, updated);
+    res.json(updated);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update listing status' });
+  }
+});
+
+/**
+ * @swagger
+ * /properties/{id}:
+ *   delete:
+ *     summary: Delete a property (landlord only)
+ *     description: |
+ *       Archives the listing rather than removing it, so its viewings, reviews, media and moderation
+ *       history are kept. An archived listing is no longer shown to students; the landlord can bring it
+ *       back as a draft through PUT /properties/{id}/status.
+ *     tags: [Properties]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Property ID
+ *     responses:
+ *       200:
+ *         description: Property deleted (archived)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Unauthorized or property not found
+ *       409:
+ *         description: The listing is already archived
+ *       500:
+ *         description: Failed to delete property
+ */
+// DELETE /properties/:id - Delete property by archiving it
+router.delete('/:id', authenticateToken, [
+  param('id').isInt(),
+], handleValidation, async (req, res) => {
+  const id = parseInt(req.params.id);
+  try {
+    const property = await prisma.property.findUnique({ where: { id } });
+    if (!property || !can(req.user, 'property:delete', property)) {
+      return res.status(403).json({ error: 'Unauthorized or property not found' });
+    }
+
+    if (!canLandlordTransition(property.status, 'ARCHIVED')) {
+      return res.status(409).json({ error: 'Listing is already archived' });
+    }
+
+    // Archived rather than removed: moderation history, viewings, reviews and
+    // other records still reference the listing
+    const updated = await prisma.property.update({
+      where: { id },
+      data: statusChangeData('ARCHIVED'),
+    });
+    notifySavedListingChange(prisma, property, updated);
+    res.json({ message: 'Property deleted' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete property' });
+  }
+});
+
+/**
+ * @swagger
+ * /properties/{id}/media:
+ *   post:
+ *     summary: Upload images and videos for a property (landlord only)
+ *     description: |
+ *       Accepts up to 10 files per request in the "files" field. Images (JPEG, PNG, WebP, up to 10MB)
+ *       get a 320x240 thumbnail and WebP copies 640, 1024 and 1600 pixels wide (sizes larger than the original are skipped).
+ *       Videos (MP4, QuickTime, WebM, up to 50MB) must carry their format's file signature and are stored as uploaded. New media is added after the
+ *       existing media, and the first image uploaded to a property becomes its cover.
+ *     tags: [Properties]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Property ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - files
+ *             properties:
+ *               files:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: The created media records
+ *       400:
+ *         description: No files, unsupported type, file too large or not a valid image
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Unauthorized or property not found
+ *       500:
+ *         description: Failed to upload media
+ */
+// POST /properties/:id/media - Upload images/videos
+router.post('/:id/media', authenticateToken, [
+  param('id').isInt(),
+], handleValidation, async (req, res, next) => {
+  // Check ownership before reading any file data
+  const id = parseInt(req.params.id);
+  try {
+    const property = await prisma.property.findUnique({ where: { id } });
+    if (!property || !can(req.user, 'property:update', property)) {
+      return res.status(403).json({ error: 'Unauthorized or property not found' });
+    }
+    next();
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to upload media' });
+  }
+}, handleUpload, async (req, res) => {
+  const id = parseInt(req.params.id);
+  const files = req.files || [];
+  if (!files.length) return res.status(400).json({ error: 'At least one file is required' });
+
+  for (const file of files) {
+    const error = await validateUpload(file);
+    if (error) return res.status(400).json({ error });
+  }
+
+  const storage = getStorage();
+  const stored = [];
+  try {
+    for (const file of files) {
+      stored.push(await storeUpload(storage, id, file));
+    }
+
+    const [last, cover] = await Promise.all([
+      prisma.propertyMedia.findFirst({ where: { propertyId: id }, orderBy: { position: 'desc' } }),
+      prisma.propertyMedia.findFirst({ where: { propertyId: id, isCover: true } }),
+    ]);
+    const firstImage = cover ? -1 : stored.findIndex(item => item.mediaType === 'IMAGE');
+    const start = last ? last.position + 1 : 0;
+
+    const media = await prisma.$transaction(stored.map((item, index) => prisma.propertyMedia.create({
+      data: {
+        ...item,
+        propertyId: id,
+        position: start + index,
+        isCover: index === firstImage,
+      },
+    })));
+    res.status(201).json(media);
+  } catch (err) {
+    console.error('Media upload error:', err);
+    for (const item of stored) await removeStoredMedia(storage, item);
     res.status(500).json({ error: 'Failed to upload media' });
   }
 });
 
+/**
+ * @swagger
+ * /properties/{id}/media/order:
+ *   put:
+ *     summary: Reorder a property's media (landlord only)
+ *     tags: [Properties]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Property ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mediaIds
+ *             properties:
+ *               mediaIds:
+ *                 type: array
+ *                 description: Every media ID of the property, in the new order
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: The property's media in the new order
+ *       400:
+ *         description: mediaIds must list each of the property's media exactly once
+ *       403:
+ *         description: Unauthorized or property not found
+ */
+// PUT /properties/:id/media/order - Reorder media
+router.put('/:id/media/order', authenticateToken, [
+  param('id').isInt(),
+  body('mediaIds').isArray({ min: 1 }),
+  body('mediaIds.*').isInt(),
+], handleValidation, async (req, res) => {
+  const id = parseInt(req.params.id);
+  const mediaIds = req.body.mediaIds.map(Number);
+  try {
+    const property = await prisma.property.findUnique({ where: { id }, include: { media: true } });
+    if (!property || !can(req.user, 'property:update', property)) {
+      return res.status(403).json({ error: 'Unauthorized or property not found' });
+    }
+
+    const existing = new Set(property.media.map(item => item.id));
+    if (new Set(mediaIds).size !== mediaIds.length
+      || mediaIds.length !== existing.size
+      || !mediaIds.every(mediaId => existing.has(mediaId))) {
+      return res.status(400).json({ error: 'mediaIds must list each of the property\'s media exactly once' });
+    }
+
+    await prisma.$transaction(mediaIds.map((mediaId, position) => prisma.propertyMedia.update({
+      where: { id: mediaId },
+      data: { position },
+    })));
+    const media = await prisma.propertyMedia.findMany({ where: { propertyId: id }, ...orderedMedia });
+    res.json(media);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to reorder media' });
+  }
+});
+
+/**
+ * @swagger
+ * /properties/{id}/media/{mediaId}/cover:
+ *   put:
+ *     summary: Set the cover image of a property (landlord only)
+ *     tags: [Properties]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Property ID
+ *       - in: path
+ *         name: mediaId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID of the image to use as cover
+ *     responses:
+ *       200:
+ *         description: Cover image updated
+ *       400:
+ *         description: Only images can be the cover
+ *       403:
+ *         description: Unauthorized or property not found
+ *       404:
+ *         description: Media not found
+ */
+// PUT /properties/:id/media/:mediaId/cover - Set cover image
+router.put('/:id/media/:mediaId/cover', authenticateToken, [
+  param('id').isInt(),
+  param('mediaId').isInt(),
+], handleValidation, async (req, res) => {
+  const id = parseInt(req.params.id);
+  const mediaId = parseInt(req.params.mediaId);
+  try {
+    const property = await prisma.property.findUnique({ where: { id } });
+    if (!property || !can(req.user, 'property:update', property)) {
+      return res.status(403).json({ error: 'Unauthorized or property not found' });
+    }
+
+    const media = await prisma.propertyMedia.findFirst({ where: { id: mediaId, propertyId: id } });
+    if (!media) return res.status(404).json({ error: 'Media not found' });
+    if (media.mediaType !== 'IMAGE') return res.status(400).json({ error: 'Only images can be the cover' });
+
+    const [, cover] = await prisma.$transaction([
+      prisma.propertyMedia.updateMany({ where: { propertyId: id, isCover: true }, data: { isCover: false } }),
+      prisma.propertyMedia.update({ where: { id: mediaId }, data: { isCover: true } }),
+    ]);
+    res.json(cover);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to set cover image' });
+  }
+});
+
+/**
+ * @swagger
+ * /properties/{id}/media/{mediaId}:
+ *   delete:
+ *     summary: Delete a property's image or video (landlord only)
+ *     description: Removes the stored files too. Deleting the cover makes the next image the cover.
+ *     tags: [Properties]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Property ID
+ *       - in: path
+ *         name: mediaId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Media ID
+ *     responses:
+ *       200:
+ *         description: Media deleted
+ *       403:
+ *         description: Unauthorized or property not found
+ *       404:
+ *         description: Media not found
+ */
+// DELETE /properties/:id/media/:mediaId - Delete media
+router.delete('/:id/media/:mediaId', authenticateToken, [
+  param('id').isInt(),
+  param('mediaId').isInt(),
+], handleValidation, async (req, res) => {
+  const id = parseInt(req.params.id);
+  const mediaId = parseInt(req.params.mediaId);
+  try {
+    const property = await prisma.property.findUnique({ where: { id } });
+    if (!property || !can(req.user, 'property:update', property)) {
+      return res.status(403).json({ error: 'Unauthorized or property not found' });
+    }
+
+    const media = await prisma.propertyMedia.findFirst({ where: { id: mediaId, propertyId: id } });
+    if (!media) return res.status(404).json({ error: 'Media not found' });
+
+    // The row and the cover handover commit together so the listing never
+    // points at a deleted cover; files are only removed once that has committed
+    await prisma.$transaction(async (tx) => {
+      const { count } = await tx.propertyMedia.deleteMany({ where: { id: mediaId, propertyId: id } });
+      if (!count) throw { status: 404, error: 'Media not found' };
+      if (!media.isCover) return;
+
+      const next = await tx.propertyMedia.findFirst({
+        where: { propertyId: id, mediaType: 'IMAGE' },
+        ...orderedMedia,
+      });
+      if (next) await tx.propertyMedia.update({ where: { id: next.id }, data: { isCover: true } });
+    });
+    await removeStoredMedia(getStorage(), media);
+
+    res.json({ message: 'Media deleted' });
+  } catch (err) {
+    if (err.status && err.error) return res.status(err.status).json({ error: err.error });
+    res.status(500).json({ error: 'Failed to delete media' });
+  }
+});
+
 /**
  * @swagger
  * /properties/{id}/availability:
  *   get:
  *     summary: Get property availability
+ *     description: |
+ *       Without from/to, returns the single-day availability entries. With from and to (at most 366 days apart),
+ *       expands the availability rules and day entries into one row per day; a day entry wins over rules and
+ *       newer rules win over older ones. Days nothing covers have isAvailable null.
  *     tags: [Properties]
  *     parameters:
  *       - in: path
@@ -359,22 +1222,62 @@ router.post('/:id/media', authenticateToken, authorizeRoles('landlord'), [
  *           type: integer
  *         required: true
  *         description: Property ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day to expand (requires to)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day to expand, inclusive (requires from)
  *     responses:
  *       200:
- *         description: List of availability dates
+ *         description: Availability entries, or { from, to, days } when expanding a range
+ *       400:
+ *         description: Invalid range
+ *       404:
+ *         description: Property not found
  *       500:
  *         description: Failed to fetch availability
  */
 // GET /properties/:id/availability - View availability
-router.get('/:id/availability', [
+router.get('/:id/availability', optionalAuth, [
   param('id').isInt(),
+  query('from').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }),
+  query('to').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }),
 ], handleValidation, async (req, res) => {
   const id = parseInt(req.params.id);
+  const { from, to } = req.query;
+  if (Boolean(from) !== Boolean(to)) {
+    return res.status(400).json({ error: 'from and to must be given together' });
+  }
+
   try {
-    const availability = await prisma.availability.findMany({
-      where: { propertyId: id },
-    });
-    res.json(availability);
+    const property = await prisma.property.findUnique({ where: { id } });
+    if (!property || !can(req.user, 'property:view', property)) {
+      return res.status(404).json({ error: 'Property not found' });
+    }
+
+    if (!from) {
+      const availability = await prisma.availability.findMany({
+        where: { propertyId: id },
+        orderBy: { date: 'asc' },
+      });
+      return res.json(availability);
+    }
+
+    const [start, end] = [new Date(from), new Date(to)];
+    const span = (end - start) / (24 * 60 * 60 * 1000) + 1;
+    if (span < 1 || span > MAX_EXPAND_DAYS) {
+      return res.status(400).json({ error: `to must be on or after from and at most ${MAX_EXPAND_DAYS} days later` });
+    }
+
+    const days = await loadAvailability(prisma, id, start, end);
+    res.json({ from, to, days });
   } catch (err) {
     res.status(500).json({ error: 'Failed to fetch availability' });
   }
@@ -384,7 +1287,10 @@ router.get('/:id/availability', [
  * @swagger
  * /properties/{id}/availability:
  *   put:
- *     summary: Update property availability (landlord only)
+ *     summary: Set availability for individual days (landlord only)
+ *     description: |
+ *       Only the listed days change; other days and rules are kept. A day with isAvailable null goes back to
+ *       whatever the rules say. All changes are applied together or not at all.
  *     tags: [Properties]
  *     security:
  *       - bearerAuth: []
@@ -412,9 +1318,12 @@ router.get('/:id/availability', [
  *                   format: date
  *                 isAvailable:
  *                   type: boolean
+ *                   nullable: true
  *     responses:
  *       200:
  *         description: Availability updated
+ *       400:
+ *         description: Validation error
  *       401:
  *         description: Unauthorized
  *       403:
@@ -423,35 +1332,317 @@ router.get('/:id/availability', [
  *         description: Failed to update availability
  */
 // PUT /properties/:id/availability - Update availability
-router.put('/:id/availability', authenticateToken, authorizeRoles('landlord'), [
+router.put('/:id/availability', authenticateToken, [
   param('id').isInt(),
-  body().isArray(),
+  body().isArray({ min: 1, max: MAX_EXPAND_DAYS }),
+  body('*.date').isDate({ format: 'YYYY-MM-DD', strictMode: true }),
+  body('*.isAvailable').optional({ values: 'null' }).isBoolean({ strict: true }),
 ], handleValidation, async (req, res) => {
   const id = parseInt(req.params.id);
-  const availabilityArray = req.body;
+  const days = req.body;
+
+  if (new Set(days.map(day => day.date)).size !== days.length) {
+    return res.status(400).json({ error: 'Each date can only appear once' });
+  }
 
   try {
     const property = await prisma.property.findUnique({ where: { id } });
-    if (!property || property.landlordId !== req.user.id) {
+    if (!property || !can(req.user, 'property:update', property)) {
       return res.status(403).json({ error: 'Unauthorized or property not found' });
     }
 
-    // Delete old availability
-    await prisma.availability.deleteMany({ where: { propertyId: id } });
-
-    // Insert new availability
-    await prisma.availability.createMany({
-      data: availabilityArray.map(dateObj => ({
-        propertyId: id,
-        date: new Date(dateObj.date),
-        isAvailable: dateObj.isAvailable,
+    const cleared = days.filter(day => day.isAvailable === null || day.isAvailable === undefined);
+    const updates = days.filter(day => typeof day.isAvailable === 'boolean');
+    await prisma.$transaction([
+      ...(cleared.length ? [prisma.availability.deleteMany({
+        where: { propertyId: id, date: { in: cleared.map(day => new Date(day.date)) } },
+      })] : []),
+      ...updates.map(day => prisma.availability.upsert({
+        where: { propertyId_date: { propertyId: id, date: new Date(day.date) } },
+        update: { isAvailable: day.isAvailable },
+        create: { propertyId: id, date: new Date(day.date), isAvailable: day.isAvailable },
       })),
-    });
+    ]);
 
-    res.json({ message: 'Availability updated' });
+    res.json({ message: 'Availability updated', updated: updates.length, cleared: cleared.length });
   } catch (err) {
     res.status(500).json({ error: 'Failed to update availability' });
   }
 });
 
+// Shared body rules for creating (all required) and editing (all optional) availability rules
+const availabilityRuleValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('startDate').isDate({ format: 'YYYY-MM-DD', strictMode: true }),
+    field('endDate').isDate({ format: 'YYYY-MM-DD', strictMode: true }),
+    field('isAvailable').isBoolean({ strict: true }),
+    body('weekdays').optional({ values: 'null' }).isArray({ max: 7 }),
+    body('weekdays.*').isInt({ min: 0, max: 6 }),
+    body('excludedDates').optional({ values: 'null' }).isArray(),
+    body('excludedDates.*').isDate({ format: 'YYYY-MM-DD', strictMode: true }),
+    body('note').optional({ values: 'null' }).isString().isLength({ max: 191 }),
+  ];
+};
+
+// The AvailabilityRule columns present in a validated request body. Empty or null
+// weekdays / excludedDates are stored as SQL NULL.
+function availabilityRuleData(input) {
+  const data = {};
+  if (input.startDate !== undefined) data.startDate = new Date(input.startDate);
+  if (input.endDate !== undefined) data.endDate = new Date(input.endDate);
+  if (input.isAvailable !== undefined) data.isAvailable = input.isAvailable;
+  if (input.weekdays !== undefined) data.weekdays = input.weekdays?.length ? [...new Set(input.weekdays.map(Number))].sort((a, b) => a - b) : Prisma.DbNull;
+  if (input.excludedDates !== undefined) data.excludedDates = input.excludedDates?.length ? [...new Set(input.excludedDates)].sort() : Prisma.DbNull;
+  if (input.note !== undefined) data.note = input.note;
+  return data;
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AvailabilityRule:
+ *       type: object
+ *       properties:
+ *         startDate:
+ *           type: string
+ *           format: date
+ *         endDate:
+ *           type: string
+ *           format: date
+ *           description: Last day the rule applies to, inclusive
+ *         isAvailable:
+ *           type: boolean
+ *         weekdays:
+ *           type: array
+ *           nullable: true
+ *           description: Days of the week the rule applies to, 0 (Sunday) to 6 (Saturday); every day when empty
+ *           items:
+ *             type: integer
+ *         excludedDates:
+ *           type: array
+ *           nullable: true
+ *           description: Days inside the range the rule skips, e.g. holidays
+ *           items:
+ *             type: string
+ *             format: date
+ *         note:
+ *           type: string
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /properties/{id}/availability/rules:
+ *   get:
+ *     summary: List a property's availability rules
+ *     tags: [Properties]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Property ID
+ *     responses:
+ *       200:
+ *         description: Rules ordered by start date
+ *       404:
+ *         description: Property not found
+ */
+// GET /properties/:id/availability/rules - List rules
+router.get('/:id/availability/rules', optionalAuth, [
+  param('id').isInt(),
+], handleValidation, async (req, res) => {
+  const id = parseInt(req.params.id);
+  try {
+    const property = await prisma.property.findUnique({ where: { id } });
+    if (!property || !can(req.user, 'property:view', property)) {
+      return res.status(404).json({ error: 'Property not found' });
+    }
+
+    const rules = await prisma.availabilityRule.findMany({
+      where: { propertyId: id },
+      orderBy: [{ startDate: 'asc' }, { id: 'asc' }],
+    });
+    res.json(rules);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch availability rules' });
+  }
+});
+
+/**
+ * @swagger
+ * /properties/{id}/availability/rules:
+ *   post:
+ *     summary: Add an availability rule (landlord only)
+ *     description: e.g. available on weekdays from 2026-09-01 to 2026-12-20 except public holidays.
+ *     tags: [Properties]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Property ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/AvailabilityRule'
+ *               - required: [startDate, endDate, isAvailable]
+ *     responses:
+ *       201:
+ *         description: Rule created
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Unauthorized or property not found
+ */
+// POST /properties/:id/availability/rules - Add a rule
+router.post('/:id/availability/rules', authenticateToken, [
+  param('id').isInt(),
+  ...availabilityRuleValidators(false),
+], handleValidation, async (req, res) => {
+  const id = parseInt(req.params.id);
+  const data = availabilityRuleData(req.body);
+  if (data.endDate < data.startDate) {
+    return res.status(400).json({ error: 'endDate must be on or after startDate' });
+  }
+
+  try {
+    const property = await prisma.property.findUnique({ where: { id } });
+    if (!property || !can(req.user, 'property:update', property)) {
+      return res.status(403).json({ error: 'Unauthorized or property not found' });
+    }
+
+    const rule = await prisma.availabilityRule.create({ data: { ...data, propertyId: id } });
+    res.status(201).json(rule);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to create availability rule' });
+  }
+});
+
+/**
+ * @swagger
+ * /properties/{id}/availability/rules/{ruleId}:
+ *   put:
+ *     summary: Edit an availability rule (landlord only)
+ *     description: Only the fields sent are changed.
+ *     tags: [Properties]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Property ID
+ *       - in: path
+ *         name: ruleId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AvailabilityRule'
+ *     responses:
+ *       200:
+ *         description: Rule updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Unauthorized or property not found
+ *       404:
+ *         description: Rule not found
+ */
+// PUT /properties/:id/availability/rules/:ruleId - Edit a rule
+router.put('/:id/availability/rules/:ruleId', authenticateToken, [
+  param('id').isInt(),
+  param('ruleId').isInt(),
+  ...availabilityRuleValidators(true),
+], handleValidation, async (req, res) => {
+  const id = parseInt(req.params.id);
+  const ruleId = parseInt(req.params.ruleId);
+
+  try {
+    const property = await prisma.property.findUnique({ where: { id } });
+    if (!property || !can(req.user, 'property:update', property)) {
+      return res.status(403).json({ error: 'Unauthorized or property not found' });
+    }
+
+    const rule = await prisma.availabilityRule.findFirst({ where: { id: ruleId, propertyId: id } });
+    if (!rule) return res.status(404).json({ error: 'Rule not found' });
+
+    const data = availabilityRuleData(req.body);
+    if ((data.endDate || rule.endDate) < (data.startDate || rule.startDate)) {
+      return res.status(400).json({ error: 'endDate must be on or after startDate' });
+    }
+
+    const updated = await prisma.availabilityRule.update({ where: { id: ruleId }, data });
+    res.json(updated);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update availability rule' });
+  }
+});
+
+/**
+ * @swagger
+ * /properties/{id}/availability/rules/{ruleId}:
+ *   delete:
+ *     summary: Delete an availability rule (landlord only)
+ *     tags: [Properties]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Property ID
+ *       - in: path
+ *         name: ruleId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Rule deleted
+ *       403:
+ *         description: Unauthorized or property not found
+ *       404:
+ *         description: Rule not found
+ */
+// DELETE /properties/:id/availability/rules/:ruleId - Delete a rule
+router.delete('/:id/availability/rules/:ruleId', authenticateToken, [
+  param('id').isInt(),
+  param('ruleId').isInt(),
+], handleValidation, async (req, res) => {
+  const id = parseInt(req.params.id);
+  const ruleId = parseInt(req.params.ruleId);
+
+  try {
+    const property = await prisma.property.findUnique({ where: { id } });
+    if (!property || !can(req.user, 'property:update', property)) {
+      return res.status(403).json({ error: 'Unauthorized or property not found' });
+    }
+
+    const { count } = await prisma.availabilityRule.deleteMany({ where: { id: ruleId, propertyId: id } });
+    if (!count) return res.status(404).json({ error: 'Rule not found' });
+    res.json({ message: 'Rule deleted' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete availability rule' });
+  }
+});
+
 module.exports = router;
@@ -1,7 +1,17 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { body, param, validationResult } = require('express-validator');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { can, ROLES } = require('../utils/policies');
+const {
+  paginationValidators, parsePagination, pageArgs, buildPage,
+} = require('../utils/pagination');
+const {
+  ACTIVE_STATUSES, resolveViewingTime, lockPropertySchedule, claimSlot, releaseSlot,
+} = require('../utils/viewings');
+const {
+  viewingSide, cancelledStatus, recordViewingCreated, transitionViewing,
+} = require('../utils/viewingStatus');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -18,6 +28,9 @@ const handleValidation = (req, res, next) => {
  * /viewing-requests:
  *   post:
  *     summary: Book a viewing appointment (student only)
+ *     description: |
+ *       Book one of the property's published slots with slotId. Properties without upcoming slots accept a
+ *       requestedDate instead, which must not clash with another viewing. Days the landlord marked unavailable are rejected.
  *     tags: [ViewingRequests]
  *     security:
  *       - bearerAuth: []
@@ -29,13 +42,18 @@ const handleValidation = (req, res, next) => {
  *             type: object
  *             required:
  *               - propertyId
- *               - scheduledAt
  *             properties:
  *               propertyId:
  *                 type: integer
- *               scheduledAt:
+ *               slotId:
+ *                 type: integer
+ *                 description: Slot to book (see GET /viewing-slots)
+ *               requestedDate:
  *                 type: string
  *                 format: date-time
+ *                 description: Used when the property has no slots
+ *               message:
+ *                 type: string
  *     responses:
  *       201:
  *         description: Viewing request created
@@ -44,31 +62,61 @@ const handleValidation = (req, res, next) => {
  *       401:
  *         description: Unauthorized
  *       404:
- *         description: Property not found
+ *         description: Property or slot not found
+ *       409:
+ *         description: Slot already booked, time conflict, unavailable day or an existing request for this property
  *       500:
  *         description: Failed to create viewing request
  */
-router.post('/', authenticateToken, authorizeRoles('student'), [
+router.post('/', authenticateToken, authorize('viewing:create'), [
   body('propertyId').isInt(),
-  body('scheduledAt').isISO8601().toDate(),
+  body('slotId').optional().isInt(),
+  body('requestedDate').optional().isISO8601(),
+  body('message').optional().isString().isLength({ max: 191 }),
 ], handleValidation, async (req, res) => {
-  const { propertyId, scheduledAt } = req.body;
+  const propertyId = parseInt(req.body.propertyId);
+  const slotId = req.body.slotId ? parseInt(req.body.slotId) : null;
+  const requestedDate = req.body.requestedDate ? new Date(req.body.requestedDate) : null;
 
   try {
     const property = await prisma.property.findUnique({ where: { id: propertyId } });
-    if (!property) return res.status(404).json({ error: 'Property not found' });
+    if (!property || !can(req.user, 'property:view', property)) {
+      return res.status(404).json({ error: 'Property not found' });
+    }
 
-    const request = await prisma.viewingRequest.create({
-      data: {
-        propertyId,
-        studentId: req.user.id,
-        scheduledAt,
-        status: 'pending',
-      },
+    // Checking the time and booking it happen under the property's lock, so a
+    // concurrent request cannot take the same time in between
+    const request = await prisma.$transaction(async (tx) => {
+      await lockPropertySchedule(tx, propertyId);
+
+      const existing = await tx.viewingRequest.findFirst({
+        where: { propertyId, studentId: req.user.id, status: { in: ACTIVE_STATUSES } },
+      });
+      if (existing) throw { status: 409, error: 'You already have a viewing request for this property' };
+
+      const time = await resolveViewingTime(tx, propertyId, { slotId, requestedDate });
+      if (time.error) throw time;
+      if (time.slot && !(await claimSlot(tx, time.slot.id))) {
+        throw { status: 409, error: 'Slot is already booked' };
+      }
+
+      return tx.viewingRequest.create({
+        data: {
+          propertyId,
+          studentId: req.user.id,
+          requestedDate: time.date,
+          slotId: time.slot?.id,
+          message: req.body.message,
+          status: 'PENDING',
+        },
+        include: { slot: true },
+      });
     });
 
+    await recordViewingCreated(prisma, request.id, req.user.id);
     res.status(201).json(request);
   } catch (err) {
+    if (err.status && err.error) return res.status(err.status).json({ error: err.error });
     res.status(500).json({ error: 'Failed to create viewing request' });
   }
 });
@@ -81,9 +129,32 @@ router.post('/', authenticateToken, authorizeRoles('student'), [
  *     tags: [ViewingRequests]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [requestedDate, createdAt]
+ *         required: false
+ *         description: Sort key (default requestedDate, soonest first)
+ *       - $ref: '#/components/parameters/Order'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
  *     responses:
  *       200:
- *         description: List of viewing requests
+ *         description: Paginated list of viewing requests
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *       401:
  *         description: Unauthorized
  *       403:
@@ -91,41 +162,36 @@ router.post('/', authenticateToken, authorizeRoles('student'), [
  *       500:
  *         description: Failed to fetch viewing requests
  */
-router.get('/', authenticateToken, async (req, res) => {
-  try {
-    let requests;
-
-    if (req.user.role === 'landlord') {
-      // Fetch properties owned by landlord
-      const properties = await prisma.property.findMany({
-        where: { landlordId: req.user.id },
-        select: { id: true },
-      });
-      const propertyIds = properties.map(p => p.id);
+router.get('/', authenticateToken, authorize('viewing:list'), paginationValidators(['requestedDate', 'createdAt']), handleValidation, async (req, res) => {
+  const pagination = parsePagination(req.query, { defaultSort: 'requestedDate', defaultOrder: 'asc' });
 
-      requests = await prisma.viewingRequest.findMany({
-        where: { propertyId: { in: propertyIds } },
-        include: {
-          property: true,
-          student: { select: { id: true, name: true, email: true } },
-        },
-        orderBy: { scheduledAt: 'asc' },
-      });
+  try {
+    let where;
+    let include;
 
-    } else if (req.user.role === 'student') {
-      // Fetch bookings made by student
-      requests = await prisma.viewingRequest.findMany({
-        where: { studentId: req.user.id },
-        include: {
-          property: { include: { landlord: true } },
-        },
-        orderBy: { scheduledAt: 'asc' },
-      });
+    if (req.user.role === ROLES.LANDLORD) {
+      // Requests for properties owned by the landlord
+      where = { property: { landlordId: req.user.id } };
+      include = {
+        property: true,
+        slot: true,
+        student: { select: { id: true, name: true, email: true } },
+      };
     } else {
-      return res.status(403).json({ error: 'Access denied' });
+      // Bookings made by the student
+      where = { studentId: req.user.id };
+      include = {
+        property: { include: { landlord: true } },
+        slot: true,
+      };
     }
 
-    res.json(requests);
+    const [total, requests] = await prisma.$transaction([
+      prisma.viewingRequest.count({ where }),
+      prisma.viewingRequest.findMany({ where, include, ...pageArgs(pagination) }),
+    ]);
+
+    res.json(buildPage(requests, total, pagination));
   } catch (err) {
     res.status(500).json({ error: 'Failed to fetch viewing requests' });
   }
@@ -135,7 +201,12 @@ router.get('/', authenticateToken, async (req, res) => {
  * @swagger
  * /viewing-requests/{id}:
  *   put:
- *     summary: Confirm or decline a viewing request (landlord only)
+ *     summary: Change the status of a viewing request
+ *     description: |
+ *       Landlords approve or reject pending requests, and mark approved viewings COMPLETED or NO_SHOW once
+ *       the viewing time has passed. Either side can cancel a pending or approved viewing with the
+ *       CANCELLED_BY_STUDENT / CANCELLED_BY_LANDLORD status matching their side. Every change is recorded in
+ *       the request's history and emailed to the other participant.
  *     tags: [ViewingRequests]
  *     security:
  *       - bearerAuth: []
@@ -157,7 +228,9 @@ router.get('/', authenticateToken, async (req, res) => {
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [confirmed, declined]
+ *                 enum: [APPROVED, REJECTED, CANCELLED_BY_STUDENT, CANCELLED_BY_LANDLORD, COMPLETED, NO_SHOW]
+ *               reason:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Viewing request updated
@@ -169,35 +242,307 @@ router.get('/', authenticateToken, async (req, res) => {
  *         description: Not authorized to update this request
  *       404:
  *         description: Request not found
+ *       409:
+ *         description: Transition not allowed from the current status
  *       500:
  *         description: Failed to update request
  */
-router.put('/:id', authenticateToken, authorizeRoles('landlord'), [
+router.put('/:id', authenticateToken, [
   param('id').isInt(),
-  body('status').isIn(['confirmed', 'declined']),
+  body('status').isIn(['APPROVED', 'REJECTED', 'CANCELLED_BY_STUDENT', 'CANCELLED_BY_LANDLORD', 'COMPLETED', 'NO_SHOW']),
+  body('reason').optional().isString().isLength({ max: 191 }),
 ], handleValidation, async (req, res) => {
   const requestId = parseInt(req.params.id);
-  const { status } = req.body;
+  const { status, reason } = req.body;
 
   try {
     const request = await prisma.viewingRequest.findUnique({
       where: { id: requestId },
       include: { property: true },
     });
+    if (!request) return res.status(404).json({ error: 'Request not found' });
 
+    const result = await transitionViewing(prisma, request, req.user, status, reason);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json(result.request);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update request' });
+  }
+});
+
+/**
+ * @swagger
+ * /viewing-requests/{id}/history:
+ *   get:
+ *     summary: Get the status history of a viewing request
+ *     tags: [ViewingRequests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Viewing request ID
+ *     responses:
+ *       200:
+ *         description: Status changes, oldest first, with who made each one
+ *       403:
+ *         description: Not authorized to view this request
+ *       404:
+ *         description: Request not found
+ */
+router.get('/:id/history', authenticateToken, [
+  param('id').isInt(),
+], handleValidation, async (req, res) => {
+  const requestId = parseInt(req.params.id);
+
+  try {
+    const request = await prisma.viewingRequest.findUnique({
+      where: { id: requestId },
+      include: { property: true },
+    });
+    if (!request) return res.status(404).json({ error: 'Request not found' });
+    if (!can(req.user, 'viewing:view', request)) {
+      return res.status(403).json({ error: 'Not authorized to view this request' });
+    }
+
+    const history = await prisma.viewingStatusHistory.findMany({
+      where: { viewingRequestId: requestId },
+      include: { changedBy: { select: { id: true, name: true, role: true } } },
+      orderBy: { createdAt: 'asc' },
+    });
+    res.json(history);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch request history' });
+  }
+});
+
+/**
+ * @swagger
+ * /viewing-requests/{id}/reschedule:
+ *   post:
+ *     summary: Propose a new time for a viewing (student or landlord)
+ *     description: Replaces any earlier proposal. The viewing keeps its current time until the other side accepts.
+ *     tags: [ViewingRequests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Viewing request ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               slotId:
+ *                 type: integer
+ *               requestedDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Used when the property has no slots
+ *     responses:
+ *       200:
+ *         description: Proposal recorded
+ *       400:
+ *         description: Validation error or the viewing can no longer be rescheduled
+ *       403:
+ *         description: Not authorized to reschedule this request
+ *       404:
+ *         description: Request or slot not found
+ *       409:
+ *         description: Proposed time is taken or unavailable
+ */
+router.post('/:id/reschedule', authenticateToken, [
+  param('id').isInt(),
+  body('slotId').optional().isInt(),
+  body('requestedDate').optional().isISO8601(),
+], handleValidation, async (req, res) => {
+  const requestId = parseInt(req.params.id);
+  const slotId = req.body.slotId ? parseInt(req.body.slotId) : null;
+  const requestedDate = req.body.requestedDate ? new Date(req.body.requestedDate) : null;
+
+  try {
+    const request = await prisma.viewingRequest.findUnique({
+      where: { id: requestId },
+      include: { property: true },
+    });
     if (!request) return res.status(404).json({ error: 'Request not found' });
-    if (request.property.landlordId !== req.user.id) {
-      return res.status(403).json({ error: 'Not authorized to update this request' });
+    if (!can(req.user, 'viewing:reschedule', request)) {
+      return res.status(403).json({ error: 'Not authorized to reschedule this request' });
+    }
+    if (!ACTIVE_STATUSES.includes(request.status)) {
+      return res.status(400).json({ error: 'This viewing can no longer be rescheduled' });
+    }
+
+    const time = await resolveViewingTime(prisma, request.propertyId, { slotId, requestedDate }, request.id);
+    if (time.error) return res.status(time.status).json({ error: time.error });
+    if (time.date.getTime() === request.requestedDate.getTime()) {
+      return res.status(400).json({ error: 'The viewing is already at this time' });
     }
 
     const updated = await prisma.viewingRequest.update({
       where: { id: requestId },
-      data: { status },
+      data: {
+        proposedDate: time.date,
+        proposedSlotId: time.slot?.id ?? null,
+        proposedById: req.user.id,
+        proposedAt: new Date(),
+      },
+      include: { slot: true, proposedSlot: true },
+    });
+    res.json(updated);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to propose new time' });
+  }
+});
+
+/**
+ * @swagger
+ * /viewing-requests/{id}/reschedule/accept:
+ *   post:
+ *     summary: Accept the other side's proposed time
+ *     description: Moves the viewing to the proposed time and frees the slot it held.
+ *     tags: [ViewingRequests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Viewing request ID
+ *     responses:
+ *       200:
+ *         description: Viewing moved to the proposed time
+ *       400:
+ *         description: No proposal to accept
+ *       403:
+ *         description: Only the other participant can accept a proposal
+ *       404:
+ *         description: Request not found
+ *       409:
+ *         description: The proposed time is no longer available
+ */
+router.post('/:id/reschedule/accept', authenticateToken, [
+  param('id').isInt(),
+], handleValidation, async (req, res) => {
+  const requestId = parseInt(req.params.id);
+
+  try {
+    const request = await prisma.viewingRequest.findUnique({
+      where: { id: requestId },
+      include: { property: true },
+    });
+    if (!request) return res.status(404).json({ error: 'Request not found' });
+    if (!request.proposedDate || !ACTIVE_STATUSES.includes(request.status)) {
+      return res.status(400).json({ error: 'There is no proposal to accept' });
+    }
+    if (!can(req.user, 'viewing:reschedule', request) || request.proposedById === req.user.id) {
+      return res.status(403).json({ error: 'Only the other participant can accept a proposal' });
+    }
+
+    // The proposed time was free when proposed; check again now, under the
+    // property's lock so no other booking can take it before the move
+    const updated = await prisma.$transaction(async (tx) => {
+      await lockPropertySchedule(tx, request.propertyId);
+
+      const time = await resolveViewingTime(tx, request.propertyId, {
+        slotId: request.proposedSlotId,
+        requestedDate: request.proposedDate,
+      }, request.id);
+      if (time.error) {
+        throw { status: time.status === 400 ? 409 : time.status, error: `Proposed time is no longer available: ${time.error}` };
+      }
+      if (time.slot && !(await claimSlot(tx, time.slot.id))) {
+        throw { status: 409, error: 'Proposed time is no longer available: Slot is already booked' };
+      }
+
+      const moved = await tx.viewingRequest.update({
+        where: { id: requestId },
+        data: {
+          requestedDate: time.date,
+          slotId: time.slot?.id ?? null,
+          proposedDate: null,
+          proposedSlotId: null,
+          proposedById: null,
+          proposedAt: null,
+        },
+        include: { slot: true },
+      });
+      await releaseSlot(tx, request.slotId);
+      return moved;
     });
 
     res.json(updated);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to update request' });
+    if (err.status && err.error) return res.status(err.status).json({ error: err.error });
+    res.status(500).json({ error: 'Failed to accept proposal' });
+  }
+});
+
+/**
+ * @swagger
+ * /viewing-requests/{id}/reschedule/decline:
+ *   post:
+ *     summary: Decline or withdraw a proposed time
+ *     description: The viewing keeps its current time.
+ *     tags: [ViewingRequests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Viewing request ID
+ *     responses:
+ *       200:
+ *         description: Proposal cleared
+ *       400:
+ *         description: No proposal to decline
+ *       403:
+ *         description: Not authorized to reschedule this request
+ *       404:
+ *         description: Request not found
+ */
+router.post('/:id/reschedule/decline', authenticateToken, [
+  param('id').isInt(),
+], handleValidation, async (req, res) => {
+  const requestId = parseInt(req.params.id);
+
+  try {
+    const request = await prisma.viewingRequest.findUnique({
+      where: { id: requestId },
+      include: { property: true },
+    });
+    if (!request) return res.status(404).json({ error: 'Request not found' });
+    if (!can(req.user, 'viewing:reschedule', request)) {
+      return res.status(403).json({ error: 'Not authorized to reschedule this request' });
+    }
+    if (!request.proposedDate) return res.status(400).json({ error: 'There is no proposal to decline' });
+
+    const updated = await prisma.viewingRequest.update({
+      where: { id: requestId },
+      data: {
+        proposedDate: null,
+        proposedSlotId: null,
+        proposedById: null,
+        proposedAt: null,
+      },
+    });
+    res.json(updated);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to decline proposal' });
   }
 });
 
@@ -206,6 +551,7 @@ router.put('/:id', authenticateToken, authorizeRoles('landlord'), [
  * /viewing-requests/{id}:
  *   delete:
  *     summary: Cancel a viewing request (by student or landlord)
+ *     description: Same as PUT with the cancelled status for the caller's side. The request is kept with its history.
  *     tags: [ViewingRequests]
  *     security:
  *       - bearerAuth: []
@@ -216,6 +562,15 @@ router.put('/:id', authenticateToken, authorizeRoles('landlord'), [
  *           type: integer
  *         required: true
  *         description: Viewing request ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Viewing request cancelled
@@ -225,11 +580,14 @@ router.put('/:id', authenticateToken, authorizeRoles('landlord'), [
  *         description: Not authorized to cancel this request
  *       404:
  *         description: Request not found
+ *       409:
+ *         description: The viewing is already over or cancelled
  *       500:
  *         description: Failed to cancel request
  */
 router.delete('/:id', authenticateToken, [
   param('id').isInt(),
+  body('reason').optional().isString().isLength({ max: 191 }),
 ], handleValidation, async (req, res) => {
   const requestId = parseInt(req.params.id);
 
@@ -241,15 +599,14 @@ router.delete('/:id', authenticateToken, [
 
     if (!request) return res.status(404).json({ error: 'Request not found' });
 
-    const isOwner = req.user.id === request.studentId;
-    const isLandlord = req.user.id === request.property.landlordId;
-
-    if (!isOwner && !isLandlord) {
+    if (!can(req.user, 'viewing:cancel', request)) {
       return res.status(403).json({ error: 'Not authorized to cancel this request' });
     }
 
-    await prisma.viewingRequest.delete({ where: { id: requestId } });
-    res.json({ message: 'Viewing request cancelled' });
+    const status = cancelledStatus(viewingSide(req.user, request));
+    const result = await transitionViewing(prisma, request, req.user, status, req.body?.reason);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ message: 'Viewing request cancelled', request: result.request });
   } catch (err) {
     res.status(500).json({ error: 'Failed to cancel request' });
   }
@@ -1,16 +1,90 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { can } = require('../utils/policies');
+const {
+  paginationValidators, parsePagination, pageArgs, buildPage,
+} = require('../utils/pagination');
+const { RATING_CATEGORIES, categoryColumn, refreshPropertyRating } = require('../utils/ratings');
 
 const prisma = new PrismaClient();
 const router = express.Router();
 
+// Authors can edit or delete their review for this long after posting it
+const REVIEW_EDIT_WINDOW_DAYS = 14;
+const REVIEW_EDIT_WINDOW_MS = REVIEW_EDIT_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+
+const withinEditWindow = (review) => Date.now() - review.createdAt.getTime() <= REVIEW_EDIT_WINDOW_MS;
+
+// The student's viewing of a property that entitles them to review it: completed,
+// or approved with the viewing time already passed
+const findQualifyingViewing = (studentId, propertyId) => prisma.viewingRequest.findFirst({
+  where: {
+    studentId,
+    propertyId,
+    OR: [
+      { status: 'COMPLETED' },
+      { status: 'APPROVED', requestedDate: { lte: new Date() } },
+    ],
+  },
+  orderBy: { requestedDate: 'desc' },
+});
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  next();
+};
+
+// Optional `ratings` object with a 1-5 score per category; null clears one
+const categoryRatingValidators = [
+  body('ratings').optional().isObject(),
+  ...RATING_CATEGORIES.map(category => body(`ratings.${category}`).optional({ values: 'null' }).isInt({ min: 1, max: 5 })),
+];
+
+// Review columns for the categories present in ratings
+const categoryRatingData = (ratings = {}) => Object.fromEntries(RATING_CATEGORIES
+  .filter(category => ratings[category] !== undefined)
+  .map(category => [categoryColumn(category), ratings[category] === null ? null : parseInt(ratings[category])]));
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReviewCategoryRatings:
+ *       type: object
+ *       description: Optional 1-5 scores per category, alongside the overall rating
+ *       properties:
+ *         cleanliness:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         responsiveness:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *           description: How quickly and helpfully the landlord responds
+ *         value:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         safety:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         location:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ */
+
 /**
  * @swagger
  * /reviews:
  *   post:
- *     summary: Leave a review on a property and landlord (student only)
+ *     summary: Leave a review on a property and its landlord (student only)
+ *     description: Only students whose viewing of the property was approved and has taken place (or was completed) can review it.
  *     tags: [Reviews]
  *     security:
  *       - bearerAuth: []
@@ -22,17 +96,16 @@ const router = express.Router();
  *             type: object
  *             required:
  *               - propertyId
- *               - landlordId
  *               - rating
  *             properties:
  *               propertyId:
  *                 type: integer
- *               landlordId:
- *                 type: integer
  *               rating:
- *                 type: number
+ *                 type: integer
  *                 minimum: 1
  *                 maximum: 5
+ *               ratings:
+ *                 $ref: '#/components/schemas/ReviewCategoryRatings'
  *               comment:
  *                 type: string
  *                 maxLength: 1000
@@ -42,7 +115,7 @@ const router = express.Router();
  *       400:
  *         description: Validation error
  *       403:
- *         description: You cannot review your own listing
+ *         description: You cannot review your own listing, or you have not viewed this property
  *       404:
  *         description: Property not found
  *       409:
@@ -50,28 +123,38 @@ const router = express.Router();
  *       500:
  *         description: Internal server error
  */
+/**
+ * POST /reviews
+ * Leave a review
+ */
 router.post(
   '/',
   authenticateToken,
-  authorizeRoles('student'),
+  authorize('review:create'),
   [
     body('propertyId').isInt(),
-    body('landlordId').isInt(),
-    body('rating').isFloat({ min: 1, max: 5 }),
+    body('rating').isInt({ min: 1, max: 5 }),
+    ...categoryRatingValidators,
     body('comment').optional().isString().isLength({ max: 1000 }),
   ],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-    const { propertyId, landlordId, rating, comment } = req.body;
+    const propertyId = parseInt(req.body.propertyId);
+    const rating = parseInt(req.body.rating);
+    const { comment } = req.body;
     const studentId = req.user.id;
 
     try {
       // Prevent self-reviews
       const property = await prisma.property.findUnique({ where: { id: propertyId } });
       if (!property) return res.status(404).json({ error: 'Property not found' });
-      if (property.landlordId === studentId) return res.status(403).json({ error: 'You cannot review your own listing' });
+      if (!can(req.user, 'review:create', property)) return res.status(403).json({ error: 'You cannot review your own listing' });
+
+      // Only verified visitors can review
+      const viewing = await findQualifyingViewing(studentId, propertyId);
+      if (!viewing) return res.status(403).json({ error: 'You can only review properties you have viewed' });
 
       // Check for duplicate review
       const existing = await prisma.review.findFirst({
@@ -82,16 +165,18 @@ router.post(
       });
       if (existing) return res.status(409).json({ error: 'You already reviewed this property' });
 
-      // Create review
+      // Create review; the landlord is always the property's landlord
       const review = await prisma.review.create({
         data: {
           propertyId,
-          landlordId,
           studentId,
+          viewingRequestId: viewing.id,
           rating,
+          ...categoryRatingData(req.body.ratings),
           comment,
         },
       });
+      await refreshPropertyRating(prisma, propertyId);
 
       res.status(201).json({ message: 'Review submitted', review });
     } catch (err) {
@@ -103,7 +188,251 @@ router.post(
 
 /**
  * @swagger
- * /properties/{id}/reviews:
+ * /reviews/{id}:
+ *   put:
+ *     summary: Edit your review
+ *     description: Allowed for 14 days after posting.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Review ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               ratings:
+ *                 $ref: '#/components/schemas/ReviewCategoryRatings'
+ *               comment:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Review updated
+ *       403:
+ *         description: Not your review, or the edit window has closed
+ *       404:
+ *         description: Review not found
+ */
+/**
+ * PUT /reviews/:id
+ * Edit your review
+ */
+router.put('/:id', authenticateToken, [
+  param('id').isInt(),
+  body('rating').optional().isInt({ min: 1, max: 5 }),
+  ...categoryRatingValidators,
+  body('comment').optional({ values: 'null' }).isString().isLength({ max: 1000 }),
+], handleValidation, async (req, res) => {
+  const reviewId = parseInt(req.params.id);
+
+  try {
+    const review = await prisma.review.findUnique({ where: { id: reviewId } });
+    if (!review) return res.status(404).json({ error: 'Review not found' });
+    if (!can(req.user, 'review:edit', review)) {
+      return res.status(403).json({ error: 'You can only edit your own reviews' });
+    }
+    if (!withinEditWindow(review)) {
+      return res.status(403).json({ error: `Reviews can only be edited within ${REVIEW_EDIT_WINDOW_DAYS} days of posting` });
+    }
+
+    const updated = await prisma.review.update({
+      where: { id: reviewId },
+      data: {
+        ...(req.body.rating !== undefined && { rating: parseInt(req.body.rating) }),
+        ...categoryRatingData(req.body.ratings),
+        ...(req.body.comment !== undefined && { comment: req.body.comment }),
+      },
+    });
+    await refreshPropertyRating(prisma, review.propertyId);
+
+    res.json({ message: 'Review updated', review: updated });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /reviews/{id}:
+ *   delete:
+ *     summary: Delete a review
+ *     description: Authors can delete their review within 14 days of posting; admins and moderators at any time.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Review ID
+ *     responses:
+ *       200:
+ *         description: Review deleted
+ *       403:
+ *         description: Not allowed to delete this review
+ *       404:
+ *         description: Review not found
+ */
+/**
+ * DELETE /reviews/:id
+ * Delete a review
+ */
+router.delete('/:id', authenticateToken, [
+  param('id').isInt(),
+], handleValidation, async (req, res) => {
+  const reviewId = parseInt(req.params.id);
+
+  try {
+    const review = await prisma.review.findUnique({ where: { id: reviewId } });
+    if (!review) return res.status(404).json({ error: 'Review not found' });
+    if (!can(req.user, 'review:delete', review)) {
+      return res.status(403).json({ error: 'You can only delete your own reviews' });
+    }
+    if (review.studentId === req.user.id && !withinEditWindow(review)) {
+      return res.status(403).json({ error: `Reviews can only be deleted within ${REVIEW_EDIT_WINDOW_DAYS} days of posting` });
+    }
+
+    await prisma.review.delete({ where: { id: reviewId } });
+    await refreshPropertyRating(prisma, review.propertyId);
+
+    res.json({ message: 'Review deleted' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /reviews/{id}/reply:
+ *   put:
+ *     summary: Publicly reply to a review of your property (landlord only)
+ *     description: Replaces any earlier reply.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Review ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reply
+ *             properties:
+ *               reply:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       200:
+ *         description: Reply saved
+ *       403:
+ *         description: Only the property's landlord can reply
+ *       404:
+ *         description: Review not found
+ */
+/**
+ * PUT /reviews/:id/reply
+ * Reply to a review
+ */
+router.put('/:id/reply', authenticateToken, [
+  param('id').isInt(),
+  body('reply').isString().trim().notEmpty().isLength({ max: 2000 }),
+], handleValidation, async (req, res) => {
+  const reviewId = parseInt(req.params.id);
+
+  try {
+    const review = await prisma.review.findUnique({ where: { id: reviewId }, include: { property: true } });
+    if (!review) return res.status(404).json({ error: 'Review not found' });
+    if (!can(req.user, 'review:reply', review)) {
+      return res.status(403).json({ error: 'Only the property\'s landlord can reply' });
+    }
+
+    const updated = await prisma.review.update({
+      where: { id: reviewId },
+      data: { landlordReply: req.body.reply, repliedAt: new Date() },
+    });
+    res.json({ message: 'Reply saved', review: updated });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /reviews/{id}/reply:
+ *   delete:
+ *     summary: Remove your reply to a review (landlord only)
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Review ID
+ *     responses:
+ *       200:
+ *         description: Reply removed
+ *       403:
+ *         description: Only the property's landlord can reply
+ *       404:
+ *         description: Review not found
+ */
+/**
+ * DELETE /reviews/:id/reply
+ * Remove a reply
+ */
+router.delete('/:id/reply', authenticateToken, [
+  param('id').isInt(),
+], handleValidation, async (req, res) => {
+  const reviewId = parseInt(req.params.id);
+
+  try {
+    const review = await prisma.review.findUnique({ where: { id: reviewId }, include: { property: true } });
+    if (!review) return res.status(404).json({ error: 'Review not found' });
+    if (!can(req.user, 'review:reply', review)) {
+      return res.status(403).json({ error: 'Only the property\'s landlord can reply' });
+    }
+
+    const updated = await prisma.review.update({
+      where: { id: reviewId },
+      data: { landlordReply: null, repliedAt: null },
+    });
+    res.json({ message: 'Reply removed', review: updated });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /reviews/properties/{id}/reviews:
  *   get:
  *     summary: List reviews for a property
  *     tags: [Reviews]
@@ -114,31 +443,57 @@ router.post(
  *           type: integer
  *         required: true
  *         description: Property ID
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, rating]
+ *         required: false
+ *         description: Sort key (default createdAt, newest first)
+ *       - $ref: '#/components/parameters/Order'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
  *     responses:
  *       200:
- *         description: List of reviews for the property
+ *         description: Paginated list of reviews for the property
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *       500:
  *         description: Internal server error
  */
 /**
- * GET /properties/:id/reviews
+ * GET /reviews/properties/:id/reviews
  * List reviews for a property
  */
-router.get('/properties/:id/reviews', async (req, res) => {
+router.get('/properties/:id/reviews', paginationValidators(['createdAt', 'rating']), handleValidation, async (req, res) => {
   const propertyId = parseInt(req.params.id);
+  const pagination = parsePagination(req.query);
 
   try {
-    const reviews = await prisma.review.findMany({
-      where: { propertyId },
-      include: {
-        student: {
-          select: { id: true, name: true },
+    const [total, reviews] = await prisma.$transaction([
+      prisma.review.count({ where: { propertyId } }),
+      prisma.review.findMany({
+        where: { propertyId },
+        include: {
+          student: {
+            select: { id: true, name: true },
+          },
         },
-      },
-      orderBy: { createdAt: 'desc' },
-    });
+        ...pageArgs(pagination),
+      }),
+    ]);
 
-    res.json({ propertyId, reviews });
+    res.json(buildPage(reviews, total, pagination));
   } catch (err) {
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -146,7 +501,7 @@ router.get('/properties/:id/reviews', async (req, res) => {
 
 /**
  * @swagger
- * /landlords/{id}/reviews:
+ * /reviews/landlords/{id}/reviews:
  *   get:
  *     summary: List reviews for a landlord
  *     tags: [Reviews]
@@ -157,34 +512,60 @@ router.get('/properties/:id/reviews', async (req, res) => {
  *           type: integer
  *         required: true
  *         description: Landlord ID
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, rating]
+ *         required: false
+ *         description: Sort key (default createdAt, newest first)
+ *       - $ref: '#/components/parameters/Order'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
  *     responses:
  *       200:
- *         description: List of reviews for the landlord
+ *         description: Paginated list of reviews for the landlord
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *       500:
  *         description: Internal server error
  */
 /**
- * GET /landlords/:id/reviews
+ * GET /reviews/landlords/:id/reviews
  * List reviews for a landlord
  */
-router.get('/landlords/:id/reviews', async (req, res) => {
+router.get('/landlords/:id/reviews', paginationValidators(['createdAt', 'rating']), handleValidation, async (req, res) => {
   const landlordId = parseInt(req.params.id);
+  const pagination = parsePagination(req.query);
 
   try {
-    const reviews = await prisma.review.findMany({
-      where: { landlordId },
-      include: {
-        student: {
-          select: { id: true, name: true },
-        },
-        property: {
-          select: { id: true, title: true },
+    const [total, reviews] = await prisma.$transaction([
+      prisma.review.count({ where: { property: { landlordId } } }),
+      prisma.review.findMany({
+        where: { property: { landlordId } },
+        include: {
+          student: {
+            select: { id: true, name: true },
+          },
+          property: {
+            select: { id: true, title: true },
+          },
         },
-      },
-      orderBy: { createdAt: 'desc' },
-    });
+        ...pageArgs(pagination),
+      }),
+    ]);
 
-    res.json({ landlordId, reviews });
+    res.json(buildPage(reviews, total, pagination));
   } catch (err) {
     res.status(500).json({ error: 'Internal server error' });
   }
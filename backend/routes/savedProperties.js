@@ -1,10 +1,358 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { can } = require('../utils/policies');
+const { newToken, hashToken } = require('../utils/tokens');
+const {
+  paginationValidators, parsePagination, pageArgs, buildPage,
+} = require('../utils/pagination');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  next();
+};
+
+const orderedMedia = { orderBy: [{ position: 'asc' }, { id: 'asc' }] };
+
+// Link a roommate can open to see a shared collection. SHARED_COLLECTION_URL points
+// at the frontend page; without it the link goes straight to the API.
+function shareUrl(req, token) {
+  if (process.env.SHARED_COLLECTION_URL) return `${process.env.SHARED_COLLECTION_URL}${token}`;
+  const base = process.env.API_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base}/saved-properties/shared/${token}`;
+}
+
+const collectionSelect = {
+  id: true,
+  name: true,
+  sharedAt: true,
+  createdAt: true,
+  updatedAt: true,
+  _count: { select: { items: true } },
+};
+
+// Loads one of the student's collections, or null
+async function findOwnCollection(user, id) {
+  const collection = await prisma.savedCollection.findUnique({ where: { id } });
+  return collection && can(user, 'saved:collection', collection) ? collection : null;
+}
+
+// Validates a collectionId from the body: null (unsorted) or one of the student's collections
+async function checkCollectionId(user, collectionId) {
+  if (collectionId === undefined || collectionId === null) return null;
+  const collection = await findOwnCollection(user, parseInt(collectionId));
+  return collection ? null : 'Collection not found';
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: SavedProperties
+ *   description: Saved properties, collections and shared collection links
+ */
+
+/**
+ * @swagger
+ * /saved-properties/collections:
+ *   get:
+ *     summary: List the student's collections
+ *     tags: [SavedProperties]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Collections with their number of saved properties
+ */
+// GET /saved-properties/collections - List collections
+router.get('/collections', authenticateToken, authorize('saved:manage'), async (req, res) => {
+  try {
+    const collections = await prisma.savedCollection.findMany({
+      where: { studentId: req.user.id },
+      select: collectionSelect,
+      orderBy: { name: 'asc' },
+    });
+    res.json(collections.map(({ _count, ...collection }) => ({ ...collection, itemCount: _count.items })));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch collections' });
+  }
+});
+
+/**
+ * @swagger
+ * /saved-properties/collections:
+ *   post:
+ *     summary: Create a collection, e.g. "Top picks" or "Near campus"
+ *     tags: [SavedProperties]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *     responses:
+ *       201:
+ *         description: Collection created
+ *       409:
+ *         description: You already have a collection with this name
+ */
+// POST /saved-properties/collections - Create a collection
+router.post('/collections', authenticateToken, authorize('saved:manage'), [
+  body('name').isString().trim().notEmpty().isLength({ max: 100 }),
+], handleValidation, async (req, res) => {
+  try {
+    const collection = await prisma.savedCollection.create({
+      data: { studentId: req.user.id, name: req.body.name },
+      select: collectionSelect,
+    });
+    const { _count, ...created } = collection;
+    res.status(201).json({ ...created, itemCount: _count.items });
+  } catch (err) {
+    if (err.code === 'P2002') return res.status(409).json({ error: 'You already have a collection with this name' });
+    res.status(500).json({ error: 'Failed to create collection' });
+  }
+});
+
+/**
+ * @swagger
+ * /saved-properties/collections/{id}:
+ *   put:
+ *     summary: Rename a collection
+ *     tags: [SavedProperties]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *     responses:
+ *       200:
+ *         description: Collection renamed
+ *       404:
+ *         description: Collection not found
+ *       409:
+ *         description: You already have a collection with this name
+ */
+// PUT /saved-properties/collections/:id - Rename a collection
+router.put('/collections/:id', authenticateToken, authorize('saved:manage'), [
+  param('id').isInt(),
+  body('name').isString().trim().notEmpty().isLength({ max: 100 }),
+], handleValidation, async (req, res) => {
+  const collectionId = parseInt(req.params.id);
+  try {
+    if (!await findOwnCollection(req.user, collectionId)) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+    const { _count, ...collection } = await prisma.savedCollection.update({
+      where: { id: collectionId },
+      data: { name: req.body.name },
+      select: collectionSelect,
+    });
+    res.json({ ...collection, itemCount: _count.items });
+  } catch (err) {
+    if (err.code === 'P2002') return res.status(409).json({ error: 'You already have a collection with this name' });
+    res.status(500).json({ error: 'Failed to rename collection' });
+  }
+});
+
+/**
+ * @swagger
+ * /saved-properties/collections/{id}:
+ *   delete:
+ *     summary: Delete a collection
+ *     description: The properties in it stay saved, without a collection. Its share link stops working.
+ *     tags: [SavedProperties]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Collection deleted
+ *       404:
+ *         description: Collection not found
+ */
+// DELETE /saved-properties/collections/:id - Delete a collection
+router.delete('/collections/:id', authenticateToken, authorize('saved:manage'), [
+  param('id').isInt(),
+], handleValidation, async (req, res) => {
+  const collectionId = parseInt(req.params.id);
+  try {
+    if (!await findOwnCollection(req.user, collectionId)) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+    await prisma.savedCollection.delete({ where: { id: collectionId } });
+    res.json({ message: 'Collection deleted' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete collection' });
+  }
+});
+
+/**
+ * @swagger
+ * /saved-properties/collections/{id}/share:
+ *   post:
+ *     summary: Create a share link for a collection
+ *     description: |
+ *       Anyone with the link can see the collection's name and its listed properties, but not your notes.
+ *       The link is only shown once; creating a new one replaces the old link.
+ *     tags: [SavedProperties]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       201:
+ *         description: Share link created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 url:
+ *                   type: string
+ *       404:
+ *         description: Collection not found
+ */
+// POST /saved-properties/collections/:id/share - Share a collection by link
+router.post('/collections/:id/share', authenticateToken, authorize('saved:manage'), [
+  param('id').isInt(),
+], handleValidation, async (req, res) => {
+  const collectionId = parseInt(req.params.id);
+  try {
+    if (!await findOwnCollection(req.user, collectionId)) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+    const token = newToken();
+    await prisma.savedCollection.update({
+      where: { id: collectionId },
+      data: { shareTokenHash: hashToken(token), sharedAt: new Date() },
+    });
+    res.status(201).json({ message: 'Share link created', url: shareUrl(req, token) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to share collection' });
+  }
+});
+
+/**
+ * @swagger
+ * /saved-properties/collections/{id}/share:
+ *   delete:
+ *     summary: Stop sharing a collection
+ *     tags: [SavedProperties]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Share link revoked
+ *       404:
+ *         description: Collection not found
+ */
+// DELETE /saved-properties/collections/:id/share - Revoke the share link
+router.delete('/collections/:id/share', authenticateToken, authorize('saved:manage'), [
+  param('id').isInt(),
+], handleValidation, async (req, res) => {
+  const collectionId = parseInt(req.params.id);
+  try {
+    if (!await findOwnCollection(req.user, collectionId)) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+    await prisma.savedCollection.update({
+      where: { id: collectionId },
+      data: { shareTokenHash: null, sharedAt: null },
+    });
+    res.json({ message: 'Share link revoked' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to revoke share link' });
+  }
+});
+
+/**
+ * @swagger
+ * /saved-properties/shared/{token}:
+ *   get:
+ *     summary: View a collection someone shared with you
+ *     description: Public; the token in the link grants access. Only properties that are currently listed are shown.
+ *     tags: [SavedProperties]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The collection and its properties
+ *       404:
+ *         description: Unknown or revoked link
+ */
+// GET /saved-properties/shared/:token - Shared collection
+router.get('/shared/:token', async (req, res) => {
+  try {
+    const collection = await prisma.savedCollection.findUnique({
+      where: { shareTokenHash: hashToken(req.params.token) },
+      include: {
+        student: { select: { name: true } },
+        items: {
+          where: { property: { status: 'APPROVED' } },
+          include: { property: { include: { media: orderedMedia } } },
+          orderBy: { createdAt: 'desc' },
+        },
+      },
+    });
+    if (!collection) return res.status(404).json({ error: 'Shared collection not found' });
+
+    res.json({
+      name: collection.name,
+      sharedBy: collection.student.name,
+      sharedAt: collection.sharedAt,
+      properties: collection.items.map(item => item.property),
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch shared collection' });
+  }
+});
+
 /**
  * @swagger
  * /saved-properties/{propertyId}:
@@ -20,32 +368,55 @@ const prisma = new PrismaClient();
  *           type: integer
  *         required: true
  *         description: Property ID to save
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               collectionId:
+ *                 type: integer
+ *                 nullable: true
+ *               note:
+ *                 type: string
+ *                 maxLength: 2000
+ *                 description: Private note, only visible to you
  *     responses:
  *       201:
  *         description: Property saved
  *       401:
  *         description: Unauthorized
  *       404:
- *         description: Property not found
+ *         description: Property or collection not found
  *       409:
  *         description: Property already saved
  *       500:
  *         description: Internal server error
  */
-router.post('/:propertyId', authenticateToken, authorizeRoles('student'), async (req, res) => {
-  const userId = req.user.id;
+router.post('/:propertyId', authenticateToken, authorize('saved:manage'), [
+  param('propertyId').isInt(),
+  body('collectionId').optional({ values: 'null' }).isInt(),
+  body('note').optional({ values: 'null' }).isString().isLength({ max: 2000 }),
+], handleValidation, async (req, res) => {
+  const studentId = req.user.id;
   const propertyId = parseInt(req.params.propertyId);
+  const { collectionId, note } = req.body || {};
 
   try {
     // Check if property exists
     const property = await prisma.property.findUnique({ where: { id: propertyId } });
-    if (!property) return res.status(404).json({ error: 'Property not found' });
+    if (!property || !can(req.user, 'property:view', property)) {
+      return res.status(404).json({ error: 'Property not found' });
+    }
+    const collectionError = await checkCollectionId(req.user, collectionId);
+    if (collectionError) return res.status(404).json({ error: collectionError });
 
     // Check for duplicate
-    const exists = await prisma.savedProperties.findUnique({
+    const exists = await prisma.savedProperty.findUnique({
       where: {
-        userId_propertyId: {
-          userId,
+        studentId_propertyId: {
+          studentId,
           propertyId,
         },
       },
@@ -53,10 +424,14 @@ router.post('/:propertyId', authenticateToken, authorizeRoles('student'), async
 
     if (exists) return res.status(409).json({ error: 'Property already saved' });
 
-    const saved = await prisma.savedProperties.create({
+    const saved = await prisma.savedProperty.create({
       data: {
-        userId,
+        studentId,
         propertyId,
+        collectionId: collectionId ? parseInt(collectionId) : null,
+        note,
+        // Lets the student see how the price has moved since they saved it
+        priceAtSave: property.price,
       },
     });
 
@@ -75,9 +450,31 @@ router.post('/:propertyId', authenticateToken, authorizeRoles('student'), async
  *     tags: [SavedProperties]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: collectionId
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Only return properties in this collection, or "none" for those not in any collection
+ *       - $ref: '#/components/parameters/Order'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
  *     responses:
  *       200:
- *         description: List of saved properties
+ *         description: Paginated list of saved properties, most recently saved first by default, each with your note, collection and the price when saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *       401:
  *         description: Unauthorized
  *       500:
@@ -87,24 +484,123 @@ router.post('/:propertyId', authenticateToken, authorizeRoles('student'), async
  * GET /saved-properties
  * List saved properties for the student
  */
-router.get('/', authenticateToken, authorizeRoles('student'), async (req, res) => {
-  const userId = req.user.id;
+router.get('/', authenticateToken, authorize('saved:manage'), [
+  query('collectionId').optional().custom(value => value === 'none' || /^\d+$/.test(value))
+    .withMessage('collectionId must be a collection ID or none'),
+  ...paginationValidators(['createdAt']),
+], handleValidation, async (req, res) => {
+  const studentId = req.user.id;
+  const pagination = parsePagination(req.query);
+  const { collectionId } = req.query;
+  const where = {
+    studentId,
+    ...(collectionId && { collectionId: collectionId === 'none' ? null : parseInt(collectionId) }),
+  };
 
   try {
-    const saved = await prisma.savedProperties.findMany({
-      where: { userId },
-      include: {
-        property: {
-          include: {
-            media: true,
+    const [total, saved] = await prisma.$transaction([
+      prisma.savedProperty.count({ where }),
+      prisma.savedProperty.findMany({
+        where,
+        include: {
+          property: {
+            include: {
+              media: orderedMedia,
+            },
           },
+          collection: { select: { id: true, name: true } },
         },
-      },
-      orderBy: { createdAt: 'desc' },
+        ...pageArgs(pagination),
+      }),
+    ]);
+
+    // Cursors refer to the saved entry, so it is kept alongside the property
+    const page = buildPage(saved, total, pagination);
+    res.json({
+      ...page,
+      data: page.data.map(item => ({
+        ...item.property,
+        savedId: item.id,
+        savedAt: item.createdAt,
+        collection: item.collection,
+        note: item.note,
+        priceAtSave: item.priceAtSave,
+        alertsEnabled: item.alertsEnabled,
+      })),
     });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    res.json(saved.map(item => item.property));
+/**
+ * @swagger
+ * /saved-properties/{propertyId}:
+ *   put:
+ *     summary: Move a saved property to a collection, edit its note or turn its alerts on or off
+ *     tags: [SavedProperties]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               collectionId:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: null removes it from its collection
+ *               note:
+ *                 type: string
+ *                 nullable: true
+ *                 maxLength: 2000
+ *               alertsEnabled:
+ *                 type: boolean
+ *                 description: Email me when the price drops or the listing is taken down
+ *     responses:
+ *       200:
+ *         description: Saved property updated
+ *       404:
+ *         description: Saved property or collection not found
+ */
+// PUT /saved-properties/:propertyId - Update a saved property
+router.put('/:propertyId', authenticateToken, authorize('saved:manage'), [
+  param('propertyId').isInt(),
+  body('collectionId').optional({ values: 'null' }).isInt(),
+  body('note').optional({ values: 'null' }).isString().isLength({ max: 2000 }),
+  body('alertsEnabled').optional().isBoolean().toBoolean(),
+], handleValidation, async (req, res) => {
+  const studentId = req.user.id;
+  const propertyId = parseInt(req.params.propertyId);
+  const { collectionId, note, alertsEnabled } = req.body;
+
+  try {
+    const collectionError = await checkCollectionId(req.user, collectionId);
+    if (collectionError) return res.status(404).json({ error: collectionError });
+
+    const saved = await prisma.savedProperty.update({
+      where: { studentId_propertyId: { studentId, propertyId } },
+      data: {
+        ...(collectionId !== undefined && { collectionId: collectionId === null ? null : parseInt(collectionId) }),
+        ...(note !== undefined && { note }),
+        ...(alertsEnabled !== undefined && { alertsEnabled }),
+      },
+      include: { collection: { select: { id: true, name: true } } },
+    });
+    res.json({ message: 'Saved property updated', saved });
   } catch (err) {
+    if (err.code === 'P2025') {
+      return res.status(404).json({ error: 'Saved property not found' });
+    }
     console.error(err);
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -139,15 +635,15 @@ router.get('/', authenticateToken, authorizeRoles('student'), async (req, res) =
  * DELETE /saved-properties/:propertyId
  * Remove bookmark
  */
-router.delete('/:propertyId', authenticateToken, authorizeRoles('student'), async (req, res) => {
-  const userId = req.user.id;
+router.delete('/:propertyId', authenticateToken, authorize('saved:manage'), async (req, res) => {
+  const studentId = req.user.id;
   const propertyId = parseInt(req.params.propertyId);
 
   try {
-    await prisma.savedProperties.delete({
+    await prisma.savedProperty.delete({
       where: {
-        userId_propertyId: {
-          userId,
+        studentId_propertyId: {
+          studentId,
           propertyId,
         },
       },
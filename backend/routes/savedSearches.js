@@ -0,0 +1,356 @@
+const express = require('express');
+const { PrismaClient, RoomType } = require('@prisma/client');
+const { body, param, validationResult } = require('express-validator');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { can } = require('../utils/policies');
+const { verifySignedId } = require('../utils/tokens');
+const { normalizeFilters } = require('../utils/propertySearch');
+const { UNSUBSCRIBE_PURPOSE } = require('../utils/savedSearchAlerts');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const FREQUENCIES = ['INSTANT', 'DAILY', 'WEEKLY'];
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  next();
+};
+
+const searchSelect = {
+  id: true,
+  name: true,
+  filters: true,
+  frequency: true,
+  alertsEnabled: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+// The same checks GET /properties applies to its query parameters
+const filterValidators = [
+  body('filters').optional().isObject(),
+  body('filters.location').optional({ values: 'null' }).isString().trim().isLength({ max: 255 }),
+  body('filters.minPrice').optional({ values: 'null' }).isFloat({ min: 0 }),
+  body('filters.maxPrice').optional({ values: 'null' }).isFloat({ min: 0 })
+    .custom((value, { req }) => (
+      req.body.filters.minPrice === undefined || req.body.filters.minPrice === null
+      || parseFloat(value) >= parseFloat(req.body.filters.minPrice)
+    ))
+    .withMessage('maxPrice must not be below minPrice'),
+  body('filters.roomType').optional({ values: 'null' }).isIn(Object.values(RoomType)),
+];
+
+// Loads one of the student's saved searches, or null
+async function findOwnSearch(user, id) {
+  const search = await prisma.savedSearch.findUnique({ where: { id } });
+  return search && can(user, 'saved:search', search) ? search : null;
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: SavedSearches
+ *   description: Saved property searches and new-listing email alerts
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SavedSearchFilters:
+ *       type: object
+ *       description: The GET /properties filters to match; omitted filters match everything
+ *       properties:
+ *         location:
+ *           type: string
+ *         minPrice:
+ *           type: number
+ *         maxPrice:
+ *           type: number
+ *         roomType:
+ *           type: string
+ *           enum: [SINGLE, SHARED, STUDIO]
+ */
+
+/**
+ * @swagger
+ * /saved-searches:
+ *   get:
+ *     summary: List the student's saved searches
+ *     tags: [SavedSearches]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Saved searches, newest first
+ */
+// GET /saved-searches - List saved searches
+router.get('/', authenticateToken, authorize('saved:manage'), async (req, res) => {
+  try {
+    const searches = await prisma.savedSearch.findMany({
+      where: { studentId: req.user.id },
+      select: searchSelect,
+      orderBy: { createdAt: 'desc' },
+    });
+    res.json(searches);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch saved searches' });
+  }
+});
+
+/**
+ * @swagger
+ * /saved-searches:
+ *   post:
+ *     summary: Save a property search
+ *     description: |
+ *       Listings approved after the search is saved and matching its filters are emailed to the student:
+ *       straight away (INSTANT, within a few minutes), or as a DAILY or WEEKLY digest.
+ *     tags: [SavedSearches]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               filters:
+ *                 $ref: '#/components/schemas/SavedSearchFilters'
+ *               frequency:
+ *                 type: string
+ *                 enum: [INSTANT, DAILY, WEEKLY]
+ *                 default: DAILY
+ *               alertsEnabled:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Search saved
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: You already have a saved search with this name
+ */
+// POST /saved-searches - Save a search
+router.post('/', authenticateToken, authorize('saved:manage'), [
+  body('name').isString().trim().notEmpty().isLength({ max: 100 }),
+  ...filterValidators,
+  body('frequency').optional().isIn(FREQUENCIES),
+  body('alertsEnabled').optional().isBoolean().toBoolean(),
+], handleValidation, async (req, res) => {
+  const { name, filters, frequency, alertsEnabled } = req.body;
+  try {
+    const search = await prisma.savedSearch.create({
+      data: {
+        studentId: req.user.id,
+        name,
+        filters: normalizeFilters(filters),
+        frequency,
+        alertsEnabled,
+      },
+      select: searchSelect,
+    });
+    res.status(201).json(search);
+  } catch (err) {
+    if (err.code === 'P2002') return res.status(409).json({ error: 'You already have a saved search with this name' });
+    res.status(500).json({ error: 'Failed to save search' });
+  }
+});
+
+/**
+ * @swagger
+ * /saved-searches/unsubscribe/{token}:
+ *   get:
+ *     summary: Confirmation page for the unsubscribe link in a digest email
+ *     description: |
+ *       Changes nothing, so mail scanners and link prefetchers following the link cannot unsubscribe anyone.
+ *       The page's button POSTs to the same URL.
+ *     tags: [SavedSearches]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: HTML page with an unsubscribe button
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Invalid link
+ *   post:
+ *     summary: Turn off alerts for a saved search
+ *     description: |
+ *       Public one-click unsubscribe (RFC 8058); the signed token in the path identifies the search. Mail clients
+ *       call it from the List-Unsubscribe-Post header and the confirmation page's button submits to it.
+ *     tags: [SavedSearches]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Alerts turned off
+ *       404:
+ *         description: Invalid link or the search was deleted
+ */
+// GET /saved-searches/unsubscribe/:token - Confirm unsubscribing from an email link
+router.get('/unsubscribe/:token', (req, res) => {
+  if (!verifySignedId(UNSUBSCRIBE_PURPOSE, req.params.token)) {
+    return res.status(404).json({ error: 'Invalid unsubscribe link' });
+  }
+  res.type('html').send(`<!DOCTYPE html>
+<html>
+  <head><meta charset="utf-8"><title>Unsubscribe</title></head>
+  <body>
+    <h2>Stop emails for this saved search?</h2>
+    <form method="post">
+      <button type="submit">Unsubscribe</button>
+    </form>
+  </body>
+</html>`);
+});
+
+// POST /saved-searches/unsubscribe/:token - Turn off alerts (one-click or from the confirmation page)
+router.post('/unsubscribe/:token', async (req, res) => {
+  const searchId = verifySignedId(UNSUBSCRIBE_PURPOSE, req.params.token);
+  if (!searchId) return res.status(404).json({ error: 'Invalid unsubscribe link' });
+  try {
+    const { count } = await prisma.savedSearch.updateMany({
+      where: { id: searchId },
+      data: { alertsEnabled: false },
+    });
+    if (!count) return res.status(404).json({ error: 'Saved search not found' });
+    res.json({ message: 'You will no longer get emails for this search' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to unsubscribe' });
+  }
+});
+
+/**
+ * @swagger
+ * /saved-searches/{id}:
+ *   put:
+ *     summary: Update a saved search
+ *     description: |
+ *       Only the fields given change; filters are replaced as a whole. Turning alerts back on starts from
+ *       now, so listings approved while they were off are not sent.
+ *     tags: [SavedSearches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               filters:
+ *                 $ref: '#/components/schemas/SavedSearchFilters'
+ *               frequency:
+ *                 type: string
+ *                 enum: [INSTANT, DAILY, WEEKLY]
+ *               alertsEnabled:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Search updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Saved search not found
+ *       409:
+ *         description: You already have a saved search with this name
+ */
+// PUT /saved-searches/:id - Update a saved search
+router.put('/:id', authenticateToken, authorize('saved:manage'), [
+  param('id').isInt(),
+  body('name').optional().isString().trim().notEmpty().isLength({ max: 100 }),
+  ...filterValidators,
+  body('frequency').optional().isIn(FREQUENCIES),
+  body('alertsEnabled').optional().isBoolean().toBoolean(),
+], handleValidation, async (req, res) => {
+  const searchId = parseInt(req.params.id);
+  const { name, filters, frequency, alertsEnabled } = req.body;
+  try {
+    const search = await findOwnSearch(req.user, searchId);
+    if (!search) return res.status(404).json({ error: 'Saved search not found' });
+
+    const updated = await prisma.savedSearch.update({
+      where: { id: searchId },
+      data: {
+        name,
+        frequency,
+        alertsEnabled,
+        ...(filters !== undefined && { filters: normalizeFilters(filters) }),
+        ...(alertsEnabled && !search.alertsEnabled && { lastCheckedAt: new Date() }),
+      },
+      select: searchSelect,
+    });
+    res.json(updated);
+  } catch (err) {
+    if (err.code === 'P2002') return res.status(409).json({ error: 'You already have a saved search with this name' });
+    res.status(500).json({ error: 'Failed to update saved search' });
+  }
+});
+
+/**
+ * @swagger
+ * /saved-searches/{id}:
+ *   delete:
+ *     summary: Delete a saved search
+ *     tags: [SavedSearches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Search deleted
+ *       404:
+ *         description: Saved search not found
+ */
+// DELETE /saved-searches/:id - Delete a saved search
+router.delete('/:id', authenticateToken, authorize('saved:manage'), [
+  param('id').isInt(),
+], handleValidation, async (req, res) => {
+  const searchId = parseInt(req.params.id);
+  try {
+    if (!await findOwnSearch(req.user, searchId)) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+    await prisma.savedSearch.delete({ where: { id: searchId } });
+    res.json({ message: 'Saved search deleted' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete saved search' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,232 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { can } = require('../utils/policies');
+const { checkAvailability, checkSlotOverlaps, lockPropertySchedule } = require('../utils/viewings');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const MAX_SLOTS_PER_REQUEST = 100;
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  next();
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: ViewingSlots
+ *   description: Viewing times published by landlords
+ */
+
+/**
+ * @swagger
+ * /viewing-slots:
+ *   get:
+ *     summary: List a property's upcoming viewing slots
+ *     tags: [ViewingSlots]
+ *     parameters:
+ *       - in: query
+ *         name: propertyId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Earliest start (default now)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Latest start
+ *       - in: query
+ *         name: available
+ *         schema:
+ *           type: boolean
+ *         description: Only slots that are not booked yet
+ *     responses:
+ *       200:
+ *         description: Slots ordered by start time
+ *       404:
+ *         description: Property not found
+ */
+// GET /viewing-slots - Upcoming slots of a property
+router.get('/', optionalAuth, [
+  query('propertyId').isInt(),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('available').optional().isBoolean(),
+], handleValidation, async (req, res) => {
+  const propertyId = parseInt(req.query.propertyId);
+  const from = req.query.from ? new Date(req.query.from) : new Date();
+  const to = req.query.to ? new Date(req.query.to) : null;
+
+  try {
+    const property = await prisma.property.findUnique({ where: { id: propertyId } });
+    if (!property || !can(req.user, 'property:view', property)) {
+      return res.status(404).json({ error: 'Property not found' });
+    }
+
+    const slots = await prisma.viewingSlot.findMany({
+      where: {
+        propertyId,
+        startsAt: { gte: from, ...(to && { lte: to }) },
+        ...(req.query.available === 'true' && { isBooked: false }),
+      },
+      orderBy: { startsAt: 'asc' },
+    });
+    res.json(slots);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch viewing slots' });
+  }
+});
+
+/**
+ * @swagger
+ * /viewing-slots:
+ *   post:
+ *     summary: Publish viewing slots for a property (landlord only)
+ *     description: Slots must be in the future, must not overlap each other or existing slots and cannot fall on days marked unavailable.
+ *     tags: [ViewingSlots]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - propertyId
+ *               - slots
+ *             properties:
+ *               propertyId:
+ *                 type: integer
+ *               slots:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - startsAt
+ *                     - endsAt
+ *                   properties:
+ *                     startsAt:
+ *                       type: string
+ *                       format: date-time
+ *                     endsAt:
+ *                       type: string
+ *                       format: date-time
+ *     responses:
+ *       201:
+ *         description: Slots created
+ *       400:
+ *         description: Validation error or overlapping slots
+ *       403:
+ *         description: Unauthorized or property not found
+ *       409:
+ *         description: Overlaps an existing slot or booked viewing, or falls on an unavailable day
+ */
+// POST /viewing-slots - Publish slots
+router.post('/', authenticateToken, [
+  body('propertyId').isInt(),
+  body('slots').isArray({ min: 1, max: MAX_SLOTS_PER_REQUEST }),
+  body('slots.*.startsAt').isISO8601(),
+  body('slots.*.endsAt').isISO8601(),
+], handleValidation, async (req, res) => {
+  const propertyId = parseInt(req.body.propertyId);
+  const ranges = req.body.slots.map(slot => ({
+    startsAt: new Date(slot.startsAt),
+    endsAt: new Date(slot.endsAt),
+  }));
+
+  if (ranges.some(({ startsAt, endsAt }) => endsAt <= startsAt)) {
+    return res.status(400).json({ error: 'Each slot must end after it starts' });
+  }
+  if (ranges.some(({ startsAt }) => startsAt <= new Date())) {
+    return res.status(400).json({ error: 'Slots must be in the future' });
+  }
+
+  try {
+    const property = await prisma.property.findUnique({ where: { id: propertyId } });
+    if (!property || !can(req.user, 'viewing:manage-slots', property)) {
+      return res.status(403).json({ error: 'Unauthorized or property not found' });
+    }
+
+    // Under the property's lock so overlapping slots cannot be added concurrently
+    const slots = await prisma.$transaction(async (tx) => {
+      await lockPropertySchedule(tx, propertyId);
+
+      const overlap = await checkSlotOverlaps(tx, propertyId, ranges);
+      if (overlap) throw overlap;
+      for (const { startsAt, endsAt } of ranges) {
+        const unavailable = await checkAvailability(tx, propertyId, startsAt, endsAt);
+        if (unavailable) throw unavailable;
+      }
+
+      const created = [];
+      for (const range of ranges) {
+        created.push(await tx.viewingSlot.create({ data: { propertyId, ...range } }));
+      }
+      return created;
+    });
+    res.status(201).json(slots);
+  } catch (err) {
+    if (err.status && err.error) return res.status(err.status).json({ error: err.error });
+    res.status(500).json({ error: 'Failed to create viewing slots' });
+  }
+});
+
+/**
+ * @swagger
+ * /viewing-slots/{id}:
+ *   delete:
+ *     summary: Remove a viewing slot that has not been booked (landlord only)
+ *     tags: [ViewingSlots]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Slot removed
+ *       403:
+ *         description: Unauthorized or slot not found
+ *       409:
+ *         description: Slot is booked; cancel the viewing first
+ */
+// DELETE /viewing-slots/:id - Remove an unbooked slot
+router.delete('/:id', authenticateToken, [
+  param('id').isInt(),
+], handleValidation, async (req, res) => {
+  const slotId = parseInt(req.params.id);
+  try {
+    const slot = await prisma.viewingSlot.findUnique({
+      where: { id: slotId },
+      include: { property: true },
+    });
+    if (!slot || !can(req.user, 'viewing:manage-slots', slot.property)) {
+      return res.status(403).json({ error: 'Unauthorized or slot not found' });
+    }
+
+    // Conditional delete so a booking made in the meantime is not lost
+    const { count } = await prisma.viewingSlot.deleteMany({ where: { id: slotId, isBooked: false } });
+    if (!count) return res.status(409).json({ error: 'Slot is booked; cancel the viewing first' });
+    res.json({ message: 'Slot removed' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to remove slot' });
+  }
+});
+
+module.exports = router;
@@ -23,6 +23,62 @@ const options = {
           bearerFormat: 'JWT',
         },
       },
+      // Shared by every paginated list endpoint
+      parameters: {
+        Page: {
+          in: 'query',
+          name: 'page',
+          schema: { type: 'integer', minimum: 1, default: 1 },
+          description: 'Page number (ignored when cursor is set)',
+        },
+        Limit: {
+          in: 'query',
+          name: 'limit',
+          schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+          description: 'Items per page',
+        },
+        Cursor: {
+          in: 'query',
+          name: 'cursor',
+          schema: { type: 'integer' },
+          description: 'nextCursor from the previous page, for infinite scrolling',
+        },
+        Order: {
+          in: 'query',
+          name: 'order',
+          schema: { type: 'string', enum: ['asc', 'desc'] },
+          description: 'Sort direction',
+        },
+      },
+      schemas: {
+        Pagination: {
+          type: 'object',
+          properties: {
+            total: { type: 'integer' },
+            limit: { type: 'integer' },
+            page: { type: 'integer', nullable: true },
+            hasMore: { type: 'boolean' },
+            nextCursor: { type: 'integer', nullable: true },
+          },
+        },
+        RatingSummary: {
+          type: 'object',
+          properties: {
+            averageRating: { type: 'number', nullable: true },
+            reviewCount: { type: 'integer' },
+            distribution: {
+              type: 'object',
+              description: 'Number of reviews per star rating, keyed 1 to 5',
+              additionalProperties: { type: 'integer' },
+            },
+            categories: {
+              type: 'object',
+              description: 'Average per rating category (cleanliness, responsiveness, value, safety, location); null when nobody rated it',
+              additionalProperties: { type: 'number', nullable: true },
+            },
+          },
+        },
+      },
     },
     security: [{ bearerAuth: [] }],
   },
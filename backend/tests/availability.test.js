@@ -0,0 +1,94 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  toDay, dayKey, ruleMatches, expandAvailability,
+} = require('../utils/availability');
+
+const day = (key) => new Date(`${key}T00:00:00Z`);
+
+const rule = (fields) => ({
+  id: 1,
+  startDate: day('2026-09-01'),
+  endDate: day('2026-09-30'),
+  weekdays: [],
+  excludedDates: [],
+  isAvailable: true,
+  createdAt: new Date('2026-01-01T00:00:00Z'),
+  ...fields,
+});
+
+describe('toDay and dayKey', () => {
+  it('truncate to the UTC day', () => {
+    assert.deepEqual(toDay(new Date('2026-09-14T23:59:59Z')), day('2026-09-14'));
+    assert.equal(dayKey(new Date('2026-09-14T08:30:00Z')), '2026-09-14');
+  });
+});
+
+describe('ruleMatches', () => {
+  it('covers its date range inclusively', () => {
+    assert.equal(ruleMatches(rule(), day('2026-09-01')), true);
+    assert.equal(ruleMatches(rule(), day('2026-09-30')), true);
+    assert.equal(ruleMatches(rule(), day('2026-08-31')), false);
+    assert.equal(ruleMatches(rule(), day('2026-10-01')), false);
+  });
+
+  it('is limited to its weekdays when it has any', () => {
+    const weekdays = rule({ weekdays: [1, 2, 3, 4, 5] });
+    // 2026-09-14 is a Monday, 2026-09-13 a Sunday
+    assert.equal(ruleMatches(weekdays, day('2026-09-14')), true);
+    assert.equal(ruleMatches(weekdays, day('2026-09-13')), false);
+  });
+
+  it('skips excluded dates', () => {
+    const holiday = rule({ excludedDates: ['2026-09-14'] });
+    assert.equal(ruleMatches(holiday, day('2026-09-14')), false);
+    assert.equal(ruleMatches(holiday, day('2026-09-15')), true);
+  });
+});
+
+describe('expandAvailability', () => {
+  it('returns one entry per day, inclusive of both ends', () => {
+    const days = expandAvailability([], [], day('2026-09-01'), day('2026-09-03'));
+    assert.deepEqual(days, [
+      { date: '2026-09-01', isAvailable: null, source: null },
+      { date: '2026-09-02', isAvailable: null, source: null },
+      { date: '2026-09-03', isAvailable: null, source: null },
+    ]);
+  });
+
+  it('resolves days from matching rules', () => {
+    const days = expandAvailability([rule({ weekdays: [1] })], [], day('2026-09-13'), day('2026-09-14'));
+    assert.deepEqual(days, [
+      { date: '2026-09-13', isAvailable: null, source: null },
+      { date: '2026-09-14', isAvailable: true, source: 'rule', ruleId: 1 },
+    ]);
+  });
+
+  it('lets the newest rule win', () => {
+    const older = rule({ id: 1, isAvailable: true });
+    const newer = rule({ id: 2, isAvailable: false, createdAt: new Date('2026-02-01T00:00:00Z') });
+    for (const rules of [[older, newer], [newer, older]]) {
+      const [result] = expandAvailability(rules, [], day('2026-09-10'), day('2026-09-10'));
+      assert.deepEqual(result, { date: '2026-09-10', isAvailable: false, source: 'rule', ruleId: 2 });
+    }
+  });
+
+  it('breaks ties between rules created together by id', () => {
+    const rules = [rule({ id: 3, isAvailable: false }), rule({ id: 4, isAvailable: true })];
+    assert.equal(expandAvailability(rules, [], day('2026-09-10'), day('2026-09-10'))[0].ruleId, 4);
+  });
+
+  it('lets a day override win over every rule', () => {
+    const overrides = [{ date: new Date('2026-09-10T00:00:00Z'), isAvailable: false }];
+    const days = expandAvailability([rule()], overrides, day('2026-09-09'), day('2026-09-10'));
+    assert.deepEqual(days, [
+      { date: '2026-09-09', isAvailable: true, source: 'rule', ruleId: 1 },
+      { date: '2026-09-10', isAvailable: false, source: 'override' },
+    ]);
+  });
+
+  it('expands from the start of the first day when given times of day', () => {
+    const days = expandAvailability([], [], new Date('2026-09-01T18:00:00Z'), new Date('2026-09-02T06:00:00Z'));
+    assert.deepEqual(days.map(entry => entry.date), ['2026-09-01', '2026-09-02']);
+  });
+});
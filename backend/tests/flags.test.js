@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  TARGET_FIELDS, ACTIONS_BY_TARGET, OPEN_FLAG_STATUSES, targetOwnerId,
+} = require('../utils/flags');
+
+describe('targetOwnerId', () => {
+  it('finds the user responsible for each kind of target', () => {
+    assert.equal(targetOwnerId('PROPERTY', { id: 1, landlordId: 7 }), 7);
+    assert.equal(targetOwnerId('USER', { id: 7 }), 7);
+    assert.equal(targetOwnerId('REVIEW', { id: 1, studentId: 7 }), 7);
+    assert.equal(targetOwnerId('MESSAGE', { id: 1, senderId: 7, receiverId: 8 }), 7);
+  });
+
+  it('is null for unknown target types', () => {
+    assert.equal(targetOwnerId('COMMENT', { id: 1 }), null);
+  });
+});
+
+describe('ACTIONS_BY_TARGET', () => {
+  it('covers every target type', () => {
+    assert.deepEqual(Object.keys(ACTIONS_BY_TARGET).sort(), Object.keys(TARGET_FIELDS).sort());
+  });
+
+  it('only allows hiding listings and suspends the owner of anything', () => {
+    for (const [targetType, actions] of Object.entries(ACTIONS_BY_TARGET)) {
+      assert.ok(actions.includes('SUSPEND_USER'), targetType);
+      assert.equal(actions.includes('HIDE_LISTING'), targetType === 'PROPERTY', targetType);
+    }
+  });
+});
+
+describe('OPEN_FLAG_STATUSES', () => {
+  it('are the statuses still waiting for a decision', () => {
+    assert.deepEqual(OPEN_FLAG_STATUSES, ['OPEN', 'IN_REVIEW']);
+  });
+});
@@ -0,0 +1,79 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  haversineKm, boundingBox, parseBbox, boxFilter, distanceTo,
+} = require('../utils/geo');
+
+const london = { lat: 51.5074, lng: -0.1278 };
+const paris = { lat: 48.8566, lng: 2.3522 };
+
+describe('haversineKm', () => {
+  it('is zero between a point and itself', () => {
+    assert.equal(haversineKm(london, london), 0);
+  });
+
+  it('measures great-circle distances', () => {
+    assert.ok(Math.abs(haversineKm(london, paris) - 343.5) < 1);
+    assert.equal(haversineKm(london, paris), haversineKm(paris, london));
+  });
+});
+
+describe('boundingBox', () => {
+  it('contains every point within the radius', () => {
+    const box = boundingBox(london, 10);
+    for (const bearing of [0, 90, 180, 270]) {
+      const radians = (bearing * Math.PI) / 180;
+      // About 9.9km away in each direction
+      const point = {
+        lat: london.lat + (9.9 / 111.2) * Math.cos(radians),
+        lng: london.lng + (9.9 / (111.2 * Math.cos((london.lat * Math.PI) / 180))) * Math.sin(radians),
+      };
+      assert.ok(haversineKm(london, point) < 10);
+      assert.ok(point.lat >= box.minLat && point.lat <= box.maxLat, `bearing ${bearing}`);
+      assert.ok(point.lng >= box.minLng && point.lng <= box.maxLng, `bearing ${bearing}`);
+    }
+  });
+
+  it('is clamped to valid coordinates near the poles', () => {
+    const box = boundingBox({ lat: 89.9, lng: 179.9 }, 100);
+    assert.equal(box.maxLat, 90);
+    assert.equal(box.maxLng, 180);
+  });
+});
+
+describe('parseBbox', () => {
+  it('parses minLng,minLat,maxLng,maxLat', () => {
+    assert.deepEqual(parseBbox('-0.2,51.4,0.1,51.6'), {
+      minLat: 51.4, maxLat: 51.6, minLng: -0.2, maxLng: 0.1,
+    });
+  });
+
+  it('rejects malformed, inverted and out-of-range boxes', () => {
+    for (const value of ['', '1,2,3', '1,2,3,4,5', 'a,b,c,d', '0.1,51.4,-0.2,51.6', '-0.2,51.6,0.1,51.4', '-0.2,-91,0.1,51.6', '-181,51.4,0.1,51.6']) {
+      assert.equal(parseBbox(value), null, value);
+    }
+  });
+});
+
+describe('boxFilter', () => {
+  it('builds a where clause on latitude and longitude', () => {
+    assert.deepEqual(boxFilter({
+      minLat: 1, maxLat: 2, minLng: 3, maxLng: 4,
+    }), {
+      latitude: { gte: 1, lte: 2 },
+      longitude: { gte: 3, lte: 4 },
+    });
+  });
+});
+
+describe('distanceTo', () => {
+  it('is null for properties without coordinates', () => {
+    assert.equal(distanceTo(london, { latitude: null, longitude: 1 }), null);
+    assert.equal(distanceTo(london, {}), null);
+  });
+
+  it('accepts decimal coordinates and rounds to metres', () => {
+    const km = distanceTo(london, { latitude: '48.8566', longitude: '2.3522' });
+    assert.equal(km, Math.round(haversineKm(london, paris) * 1000) / 1000);
+  });
+});
@@ -0,0 +1,18 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeHtml } = require('../utils/html');
+
+describe('escapeHtml', () => {
+  it('escapes every character with a meaning in HTML', () => {
+    assert.equal(escapeHtml(`<a href="x" title='y'>Tom & Jerry</a>`), '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;Tom &amp; Jerry&lt;/a&gt;');
+  });
+
+  it('escapes ampersands first so entities are not double-decoded', () => {
+    assert.equal(escapeHtml('&lt;'), '&amp;lt;');
+  });
+
+  it('accepts non-strings', () => {
+    assert.equal(escapeHtml(42), '42');
+    assert.equal(escapeHtml(null), 'null');
+  });
+});
@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  escapeText, formatDateTime, formatDate, foldLine, buildCalendar,
+} = require('../utils/ical');
+
+describe('escapeText', () => {
+  it('escapes backslashes, separators and newlines', () => {
+    assert.equal(escapeText('a\\b;c,d\ne\r\nf'), 'a\\\\b\\;c\\,d\\ne\\nf');
+  });
+
+  it('escapes backslashes before adding its own', () => {
+    assert.equal(escapeText('\\;'), '\\\\\\;');
+  });
+});
+
+describe('date formatting', () => {
+  it('writes UTC date-times and dates', () => {
+    const date = new Date('2026-10-19T14:30:05.123Z');
+    assert.equal(formatDateTime(date), '20261019T143005Z');
+    assert.equal(formatDate(date), '20261019');
+  });
+});
+
+describe('foldLine', () => {
+  it('leaves lines of up to 75 octets alone', () => {
+    const line = 'x'.repeat(75);
+    assert.equal(foldLine(line), line);
+  });
+
+  it('folds longer lines into 75-octet pieces continued after a space', () => {
+    const line = 'x'.repeat(200);
+    const pieces = foldLine(line).split('\r\n');
+    assert.ok(pieces.length > 1);
+    assert.equal(pieces[0].length, 75);
+    for (const piece of pieces.slice(1)) {
+      assert.ok(piece.startsWith(' '));
+      assert.ok(Buffer.byteLength(piece) <= 75);
+    }
+    assert.equal(pieces.map((piece, i) => (i ? piece.slice(1) : piece)).join(''), line);
+  });
+
+  it('never splits a multi-byte character', () => {
+    const line = `SUMMARY:${'é'.repeat(60)}`;
+    const pieces = foldLine(line).split('\r\n');
+    for (const piece of pieces) {
+      assert.ok(Buffer.byteLength(piece) <= 75);
+      assert.ok(!piece.includes('�'));
+    }
+    assert.equal(pieces.map((piece, i) => (i ? piece.slice(1) : piece)).join(''), line);
+  });
+});
+
+describe('buildCalendar', () => {
+  const calendar = buildCalendar({
+    name: 'Viewings, Leeds',
+    events: [
+      {
+        uid: 'viewing-1@example',
+        start: new Date('2026-10-20T10:00:00Z'),
+        end: new Date('2026-10-20T10:30:00Z'),
+        summary: 'Viewing: Room; garden',
+        location: 'Leeds',
+        status: 'CONFIRMED',
+      },
+      {
+        uid: 'day-1@example',
+        start: new Date('2026-10-21T00:00:00Z'),
+        end: new Date('2026-10-22T00:00:00Z'),
+        allDay: true,
+        summary: 'Available',
+      },
+    ],
+  });
+  const lines = calendar.split('\r\n');
+
+  it('wraps the events in a CRLF-terminated VCALENDAR', () => {
+    assert.ok(calendar.endsWith('END:VCALENDAR\r\n'));
+    assert.equal(lines[0], 'BEGIN:VCALENDAR');
+    assert.ok(lines.includes('X-WR-CALNAME:Viewings\\, Leeds'));
+    assert.equal(lines.filter(line => line === 'BEGIN:VEVENT').length, 2);
+  });
+
+  it('writes timed and all-day events', () => {
+    assert.ok(lines.includes('DTSTART:20261020T100000Z'));
+    assert.ok(lines.includes('SUMMARY:Viewing: Room\\; garden'));
+    assert.ok(lines.includes('STATUS:CONFIRMED'));
+    assert.ok(lines.includes('DTSTART;VALUE=DATE:20261021'));
+    assert.ok(lines.includes('TRANSP:TRANSPARENT'));
+  });
+});
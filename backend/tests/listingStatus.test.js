@@ -0,0 +1,149 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  LANDLORD_TRANSITIONS,
+  ADMIN_TRANSITIONS,
+  canLandlordTransition,
+  canAdminTransition,
+  statusChangeData,
+  needsReReview,
+  checkModeration,
+  applyModeration,
+} = require('../utils/listingStatus');
+
+const STATUSES = ['DRAFT', 'PENDING', 'APPROVED', 'DECLINED', 'ARCHIVED', 'HIDDEN'];
+
+// Every [from, to] pair allowed by a transition table
+const allowedPairs = (can) => STATUSES.flatMap(from => STATUSES.filter(to => can(from, to)).map(to => [from, to]));
+
+describe('landlord transitions', () => {
+  it('match the lifecycle table', () => {
+    assert.deepEqual(allowedPairs(canLandlordTransition), [
+      ['DRAFT', 'PENDING'], ['DRAFT', 'ARCHIVED'],
+      ['PENDING', 'DRAFT'], ['PENDING', 'ARCHIVED'],
+      ['APPROVED', 'ARCHIVED'],
+      ['DECLINED', 'DRAFT'], ['DECLINED', 'PENDING'], ['DECLINED', 'ARCHIVED'],
+      ['ARCHIVED', 'DRAFT'],
+      ['HIDDEN', 'ARCHIVED'],
+    ]);
+  });
+
+  it('never let a landlord approve or unhide their own listing', () => {
+    for (const from of STATUSES) {
+      assert.equal(canLandlordTransition(from, 'APPROVED'), false, from);
+      assert.equal(canLandlordTransition(from, 'HIDDEN'), false, from);
+    }
+  });
+
+  it('let every listing that is not archived be archived', () => {
+    for (const from of Object.keys(LANDLORD_TRANSITIONS).filter(status => status !== 'ARCHIVED')) {
+      assert.equal(canLandlordTransition(from, 'ARCHIVED'), true, from);
+    }
+    assert.equal(canLandlordTransition('ARCHIVED', 'ARCHIVED'), false);
+  });
+
+  it('reject unknown statuses', () => {
+    assert.equal(canLandlordTransition('DELETED', 'DRAFT'), false);
+  });
+});
+
+describe('admin transitions', () => {
+  it('match the moderation table', () => {
+    assert.deepEqual(allowedPairs(canAdminTransition), [
+      ['PENDING', 'APPROVED'], ['PENDING', 'DECLINED'],
+      ['APPROVED', 'DECLINED'], ['APPROVED', 'HIDDEN'],
+      ['HIDDEN', 'APPROVED'],
+    ]);
+    assert.deepEqual(Object.keys(ADMIN_TRANSITIONS), ['PENDING', 'APPROVED', 'HIDDEN']);
+  });
+});
+
+describe('statusChangeData', () => {
+  it('stamps submissions and clears the previous decision reason', () => {
+    const data = statusChangeData('PENDING');
+    assert.equal(data.status, 'PENDING');
+    assert.ok(data.submittedAt instanceof Date);
+    assert.equal(data.statusReason, null);
+  });
+
+  it('only sets the status for other transitions, plus any extra fields', () => {
+    assert.deepEqual(statusChangeData('ARCHIVED'), { status: 'ARCHIVED' });
+    assert.deepEqual(statusChangeData('DECLINED', { statusReason: 'Blurry photos' }), {
+      status: 'DECLINED', statusReason: 'Blurry photos',
+    });
+  });
+});
+
+describe('needsReReview', () => {
+  const approved = {
+    status: 'APPROVED', title: 'Room', description: 'Nice', price: '500.00', location: 'Leeds', roomType: 'SINGLE',
+  };
+
+  it('sends approved listings back when a reviewed field changes', () => {
+    for (const [field, value] of [['title', 'Big room'], ['description', 'Nicer'], ['price', 450], ['location', 'York'], ['roomType', 'DOUBLE']]) {
+      assert.equal(needsReReview(approved, { [field]: value }), true, field);
+    }
+  });
+
+  it('ignores unchanged values, including the same price written differently', () => {
+    assert.equal(needsReReview(approved, { title: 'Room', price: 500 }), false);
+    assert.equal(needsReReview(approved, { price: '500' }), false);
+  });
+
+  it('ignores fields that are not reviewed', () => {
+    assert.equal(needsReReview(approved, { furnished: true, leaseMonths: 6 }), false);
+  });
+
+  it('never applies to listings that are not approved', () => {
+    for (const status of STATUSES.filter(value => value !== 'APPROVED')) {
+      assert.equal(needsReReview({ ...approved, status }, { title: 'Changed' }), false, status);
+    }
+  });
+});
+
+describe('checkModeration', () => {
+  it('reports missing listings and disallowed decisions', () => {
+    assert.deepEqual(checkModeration(null, 'APPROVED'), { status: 404, error: 'Property not found' });
+    assert.deepEqual(checkModeration({ status: 'DRAFT' }, 'APPROVED'), {
+      status: 409, error: 'Cannot move listing from DRAFT to APPROVED',
+    });
+    assert.equal(checkModeration({ status: 'PENDING' }, 'APPROVED'), null);
+  });
+});
+
+describe('applyModeration', () => {
+  // Records the writes applyModeration makes inside its transaction
+  const recordingTx = () => {
+    const writes = { updates: [], log: [] };
+    return {
+      writes,
+      property: { update: async ({ data }) => { writes.updates.push(data); return data; } },
+      listingModeration: { create: async ({ data }) => { writes.log.push(data); return data; } },
+    };
+  };
+
+  it('stamps the first approval and logs the decision', async () => {
+    const tx = recordingTx();
+    await applyModeration(tx, { id: 1, status: 'PENDING', approvedAt: null }, 9, 'APPROVED');
+    const [data] = tx.writes.updates;
+    assert.equal(data.status, 'APPROVED');
+    assert.equal(data.reviewedById, 9);
+    assert.ok(data.approvedAt instanceof Date);
+    assert.deepEqual(tx.writes.log, [{
+      propertyId: 1, adminId: 9, fromStatus: 'PENDING', toStatus: 'APPROVED', reason: undefined,
+    }]);
+  });
+
+  it('keeps the first approval date when a listing is approved again', async () => {
+    const tx = recordingTx();
+    await applyModeration(tx, { id: 1, status: 'HIDDEN', approvedAt: new Date('2026-01-01') }, 9, 'APPROVED');
+    assert.equal('approvedAt' in tx.writes.updates[0], false);
+  });
+
+  it('does not stamp an approval date for other decisions', async () => {
+    const tx = recordingTx();
+    await applyModeration(tx, { id: 1, status: 'PENDING', approvedAt: null }, 9, 'DECLINED', 'Blurry photos');
+    assert.equal('approvedAt' in tx.writes.updates[0], false);
+    assert.equal(tx.writes.updates[0].statusReason, 'Blurry photos');
+  });
+});
@@ -0,0 +1,90 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_LIMIT, parsePagination, pageArgs, buildPage, paginateArray,
+} = require('../utils/pagination');
+
+const rows = (count, from = 1) => Array.from({ length: count }, (_, i) => ({ id: from + i }));
+
+describe('parsePagination', () => {
+  it('falls back to the defaults', () => {
+    assert.deepEqual(parsePagination({}), {
+      page: 1, limit: DEFAULT_LIMIT, cursor: null, sort: 'createdAt', order: 'desc',
+    });
+    assert.deepEqual(parsePagination({}, { defaultSort: 'price', defaultOrder: 'asc' }), {
+      page: 1, limit: DEFAULT_LIMIT, cursor: null, sort: 'price', order: 'asc',
+    });
+  });
+
+  it('reads numbers from query strings', () => {
+    assert.deepEqual(parsePagination({
+      page: '3', limit: '5', cursor: '42', sort: 'price', order: 'asc',
+    }), {
+      page: 3, limit: 5, cursor: 42, sort: 'price', order: 'asc',
+    });
+  });
+});
+
+describe('pageArgs', () => {
+  it('skips earlier pages and fetches one extra row', () => {
+    assert.deepEqual(pageArgs({ page: 3, limit: 10, cursor: null, sort: 'createdAt', order: 'desc' }), {
+      take: 11,
+      skip: 20,
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+    });
+  });
+
+  it('starts after the cursor instead of using the page', () => {
+    assert.deepEqual(pageArgs({ page: 3, limit: 10, cursor: 7, sort: 'id', order: 'asc' }), {
+      take: 11,
+      cursor: { id: 7 },
+      skip: 1,
+      orderBy: [{ id: 'asc' }],
+    });
+  });
+
+  it('maps public sort keys to columns', () => {
+    const args = pageArgs({ page: 1, limit: 5, sort: 'rating', order: 'desc' }, { rating: 'averageRating' });
+    assert.deepEqual(args.orderBy, [{ averageRating: 'desc' }, { id: 'desc' }]);
+  });
+});
+
+describe('buildPage', () => {
+  it('drops the extra row and points the cursor at the last one returned', () => {
+    const page = buildPage(rows(6), 40, { page: 2, limit: 5, cursor: null });
+    assert.deepEqual(page.data, rows(5));
+    assert.deepEqual(page.pagination, {
+      total: 40, limit: 5, page: 2, hasMore: true, nextCursor: 5,
+    });
+  });
+
+  it('has no next cursor on the last page', () => {
+    const page = buildPage(rows(3), 3, { page: 1, limit: 5, cursor: null });
+    assert.deepEqual(page.data, rows(3));
+    assert.equal(page.pagination.hasMore, false);
+    assert.equal(page.pagination.nextCursor, null);
+  });
+
+  it('reports no page number when paging by cursor', () => {
+    assert.equal(buildPage([], 0, { page: 1, limit: 5, cursor: 9 }).pagination.page, null);
+  });
+});
+
+describe('paginateArray', () => {
+  it('pages an in-memory list by page number', () => {
+    const page = paginateArray(rows(12), { page: 2, limit: 5, cursor: null });
+    assert.deepEqual(page.data, rows(5, 6));
+    assert.equal(page.pagination.total, 12);
+    assert.equal(page.pagination.hasMore, true);
+  });
+
+  it('continues after the cursor', () => {
+    const page = paginateArray(rows(12), { page: 1, limit: 5, cursor: 10 });
+    assert.deepEqual(page.data, rows(2, 11));
+    assert.equal(page.pagination.hasMore, false);
+  });
+
+  it('returns nothing for a cursor that is not in the list', () => {
+    assert.deepEqual(paginateArray(rows(3), { page: 1, limit: 5, cursor: 99 }).data, []);
+  });
+});
@@ -0,0 +1,182 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ROLES, policies, can } = require('../utils/policies');
+
+const student = { id: 1, role: ROLES.STUDENT };
+const otherStudent = { id: 2, role: ROLES.STUDENT };
+const landlord = { id: 3, role: ROLES.LANDLORD };
+const otherLandlord = { id: 4, role: ROLES.LANDLORD };
+const moderator = { id: 5, role: ROLES.MODERATOR };
+const admin = { id: 6, role: ROLES.ADMIN };
+const otherAdmin = { id: 7, role: ROLES.ADMIN };
+const everyone = [undefined, student, landlord, moderator, admin];
+
+const property = (status = 'APPROVED') => ({ id: 10, landlordId: landlord.id, status });
+const viewing = { studentId: student.id, property: property() };
+
+// Users from everyone allowed to perform action on resource
+const allowed = (action, resource) => everyone.filter(user => can(user, action, resource));
+
+describe('can', () => {
+  it('throws for an unknown action', () => {
+    assert.throws(() => can(admin, 'property:fly'), /Unknown permission action: property:fly/);
+  });
+
+  it('always returns a boolean', () => {
+    for (const action of Object.keys(policies)) {
+      for (const user of everyone) assert.equal(typeof can(user, action, {}), 'boolean', action);
+    }
+  });
+
+  describe('listings', () => {
+    it('shows approved listings to everyone, including signed-out visitors', () => {
+      assert.deepEqual(allowed('property:view', property()), everyone);
+    });
+
+    it('shows unapproved listings only to their landlord and staff', () => {
+      for (const status of ['DRAFT', 'PENDING', 'DECLINED', 'ARCHIVED', 'HIDDEN']) {
+        assert.deepEqual(allowed('property:view', property(status)), [landlord, moderator, admin], status);
+        assert.equal(can(otherLandlord, 'property:view', property(status)), false, status);
+      }
+    });
+
+    it('lets only landlords create and list their own listings', () => {
+      assert.deepEqual(allowed('property:create'), [landlord]);
+      assert.deepEqual(allowed('property:list-own'), [landlord]);
+    });
+
+    it('lets only the owning landlord update or delete a listing', () => {
+      for (const action of ['property:update', 'property:delete']) {
+        assert.deepEqual(allowed(action, property()), [landlord], action);
+        assert.equal(can(otherLandlord, action, property()), false, action);
+      }
+    });
+
+    it('does not treat a non-landlord with a matching id as the owner', () => {
+      assert.equal(can({ id: landlord.id, role: ROLES.ADMIN }, 'property:update', property()), false);
+    });
+
+    it('lets staff moderate and only admins revert', () => {
+      assert.deepEqual(allowed('property:moderate'), [moderator, admin]);
+      assert.deepEqual(allowed('property:revert'), [admin]);
+    });
+  });
+
+  describe('viewing requests', () => {
+    it('lets students request viewings and students and landlords list them', () => {
+      assert.deepEqual(allowed('viewing:create'), [student]);
+      assert.deepEqual(allowed('viewing:list'), [student, landlord]);
+    });
+
+    it('lets only the landlord of the property respond or manage slots', () => {
+      assert.deepEqual(allowed('viewing:respond', viewing), [landlord]);
+      assert.equal(can(otherLandlord, 'viewing:respond', viewing), false);
+      assert.deepEqual(allowed('viewing:manage-slots', property()), [landlord]);
+      assert.equal(can(otherLandlord, 'viewing:manage-slots', property()), false);
+    });
+
+    it('lets the requesting student and the landlord view, cancel and reschedule', () => {
+      for (const action of ['viewing:view', 'viewing:cancel', 'viewing:reschedule']) {
+        assert.deepEqual(allowed(action, viewing), [student, landlord], action);
+        assert.equal(can(otherStudent, action, viewing), false, action);
+        assert.equal(can(otherLandlord, action, viewing), false, action);
+      }
+    });
+
+    it('does not match a signed-out visitor to a request without a student', () => {
+      assert.equal(can(undefined, 'viewing:view', { property: property() }), false);
+    });
+  });
+
+  describe('reviews', () => {
+    const review = { studentId: student.id, property: property() };
+
+    it('lets students review, but not a listing they own', () => {
+      assert.deepEqual(allowed('review:create', property()), [student]);
+      assert.equal(can(student, 'review:create', { ...property(), landlordId: student.id }), false);
+      assert.equal(can(student, 'review:create'), true);
+    });
+
+    it('lets only the author edit a review', () => {
+      assert.deepEqual(allowed('review:edit', review), [student]);
+      assert.equal(can(otherStudent, 'review:edit', review), false);
+    });
+
+    it('lets the author and staff delete a review', () => {
+      assert.deepEqual(allowed('review:delete', review), [student, moderator, admin]);
+      assert.equal(can(otherStudent, 'review:delete', review), false);
+    });
+
+    it('lets only the landlord of the reviewed property reply', () => {
+      assert.deepEqual(allowed('review:reply', review), [landlord]);
+      assert.equal(can(otherLandlord, 'review:reply', review), false);
+    });
+  });
+
+  describe('saved properties', () => {
+    it('lets only students save properties', () => {
+      assert.deepEqual(allowed('saved:manage'), [student]);
+    });
+
+    it('lets students manage only their own collections and searches', () => {
+      for (const action of ['saved:collection', 'saved:search']) {
+        const owned = { studentId: student.id };
+        assert.deepEqual(allowed(action, owned), [student], action);
+        assert.equal(can(otherStudent, action, owned), false, action);
+        assert.equal(can(landlord, action, { studentId: landlord.id }), false, action);
+      }
+    });
+  });
+
+  describe('chat', () => {
+    const conversation = { studentId: student.id, landlordId: landlord.id };
+
+    it('lets only the two participants read a conversation', () => {
+      assert.deepEqual(allowed('chat:read', conversation), [student, landlord]);
+      assert.equal(can(otherStudent, 'chat:read', conversation), false);
+      assert.equal(can(undefined, 'chat:read', {}), false);
+    });
+
+    it('only allows messages between a student and a landlord', () => {
+      assert.equal(can(student, 'chat:message', landlord), true);
+      assert.equal(can(landlord, 'chat:message', student), true);
+      assert.equal(can(student, 'chat:message', otherStudent), false);
+      assert.equal(can(landlord, 'chat:message', otherLandlord), false);
+      assert.equal(can(admin, 'chat:message', student), false);
+      assert.equal(can(student, 'chat:message', moderator), false);
+    });
+  });
+
+  describe('reports', () => {
+    it('lets anyone signed in report and staff triage', () => {
+      assert.deepEqual(allowed('flag:create'), [student, landlord, moderator, admin]);
+      assert.deepEqual(allowed('flag:triage'), [moderator, admin]);
+    });
+  });
+
+  describe('back office', () => {
+    it('limits admin access and invitations to admins', () => {
+      assert.deepEqual(allowed('admin:access'), [admin]);
+      assert.deepEqual(allowed('admin:invite'), [admin]);
+    });
+
+    it('lets admins change roles and delete other users, but not themselves', () => {
+      for (const action of ['user:change-role', 'user:delete']) {
+        assert.deepEqual(allowed(action, student), [admin], action);
+        assert.equal(can(admin, action, otherAdmin), true, action);
+        assert.equal(can(admin, action, admin), false, action);
+      }
+    });
+
+    it('lets staff suspend students and landlords', () => {
+      assert.deepEqual(allowed('user:suspend', student), [moderator, admin]);
+      assert.deepEqual(allowed('user:suspend', landlord), [moderator, admin]);
+    });
+
+    it('never lets anyone suspend staff or themselves', () => {
+      assert.deepEqual(allowed('user:suspend', moderator), []);
+      assert.deepEqual(allowed('user:suspend', admin), []);
+      assert.equal(can(moderator, 'user:suspend', moderator), false);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeFilters, propertyFilters, editDistance, highlightProperty,
+} = require('../utils/propertySearch');
+
+describe('normalizeFilters', () => {
+  it('keeps known filters that have a value and parses prices', () => {
+    assert.deepEqual(normalizeFilters({
+      location: 'Leeds', minPrice: '300', maxPrice: 650.5, roomType: 'SINGLE', sort: 'price',
+    }), {
+      location: 'Leeds', minPrice: 300, maxPrice: 650.5, roomType: 'SINGLE',
+    });
+  });
+
+  it('drops empty values but keeps a zero price', () => {
+    assert.deepEqual(normalizeFilters({
+      location: '', minPrice: '', maxPrice: null, roomType: undefined,
+    }), {});
+    assert.deepEqual(normalizeFilters({ minPrice: 0 }), { minPrice: 0 });
+    assert.deepEqual(normalizeFilters(), {});
+  });
+});
+
+describe('propertyFilters', () => {
+  it('builds a where clause from the filters', () => {
+    assert.deepEqual(propertyFilters({
+      location: 'Leeds', minPrice: '300', maxPrice: '650', roomType: 'SINGLE',
+    }), {
+      location: { contains: 'Leeds' },
+      price: { gte: 300, lte: 650 },
+      roomType: 'SINGLE',
+    });
+  });
+
+  it('leaves out filters that are not set', () => {
+    assert.deepEqual(propertyFilters({}), {});
+    assert.deepEqual(propertyFilters({ maxPrice: 650 }), { price: { lte: 650 } });
+  });
+});
+
+describe('editDistance', () => {
+  it('counts insertions, deletions and substitutions', () => {
+    assert.equal(editDistance('flat', 'flat', 2), 0);
+    assert.equal(editDistance('flat', 'flats', 2), 1);
+    assert.equal(editDistance('apartment', 'apartmnt', 2), 1);
+    assert.equal(editDistance('studio', 'stadio', 2), 1);
+  });
+
+  it('counts swapped neighbouring letters as one mistake', () => {
+    assert.equal(editDistance('garden', 'gadren', 2), 1);
+  });
+
+  it('stops at max + 1 once the words are too far apart', () => {
+    assert.equal(editDistance('house', 'apartment', 2), 3);
+    assert.equal(editDistance('kitchen', 'chicken', 1), 2);
+    assert.equal(editDistance('a', 'abcd', 1), 2);
+  });
+});
+
+describe('highlightProperty', () => {
+  const property = {
+    title: 'Sunny room near <campus>',
+    location: 'Leeds & Bradford',
+    description: null,
+  };
+
+  it('is null without search terms', () => {
+    assert.equal(highlightProperty(property, []), null);
+  });
+
+  it('marks words starting with any searched spelling', () => {
+    const highlights = highlightProperty(property, [['sun'], ['camp', 'cmp']]);
+    assert.equal(highlights.title, '<mark>Sunny</mark> room near &lt;<mark>campus</mark>&gt;');
+  });
+
+  it('escapes the text around and inside the marks', () => {
+    const highlights = highlightProperty({ ...property, title: '<b>Room</b> "cheap"' }, [['room']]);
+    assert.equal(highlights.title, '&lt;b&gt;<mark>Room</mark>&lt;/b&gt; &quot;cheap&quot;');
+    assert.equal(highlights.location, 'Leeds &amp; Bradford');
+  });
+
+  it('does not split entities when searching for their names', () => {
+    const highlights = highlightProperty(property, [['amp']]);
+    assert.equal(highlights.location, 'Leeds &amp; Bradford');
+  });
+
+  it('trims long descriptions to a snippet around the first match', () => {
+    const description = `${'Lorem ipsum dolor sit amet. '.repeat(20)}The garden is big. ${'Consectetur adipiscing elit. '.repeat(20)}`;
+    const highlights = highlightProperty({ ...property, description }, [['garden']]);
+    assert.ok(highlights.description.startsWith('…'));
+    assert.ok(highlights.description.endsWith('…'));
+    assert.ok(highlights.description.includes('<mark>garden</mark>'));
+  });
+});
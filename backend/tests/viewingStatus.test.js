@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ROLES } = require('../utils/policies');
+const {
+  RELEASES_SLOT, viewingSide, canTransition, cancelledStatus,
+} = require('../utils/viewingStatus');
+
+const STATUSES = ['PENDING', 'APPROVED', 'REJECTED', 'CANCELLED_BY_STUDENT', 'CANCELLED_BY_LANDLORD', 'COMPLETED', 'NO_SHOW'];
+
+const student = { id: 1, role: ROLES.STUDENT };
+const landlord = { id: 2, role: ROLES.LANDLORD };
+const request = { studentId: student.id, property: { landlordId: landlord.id } };
+
+// Every [from, to] pair a side may make
+const allowedPairs = (side) => STATUSES.flatMap(from => STATUSES.filter(to => canTransition(side, from, to)).map(to => [from, to]));
+
+describe('viewingSide', () => {
+  it('tells the requesting student from the landlord', () => {
+    assert.equal(viewingSide(student, request), 'student');
+    assert.equal(viewingSide(landlord, request), 'landlord');
+  });
+
+  it('is null for anyone else', () => {
+    assert.equal(viewingSide({ id: 3, role: ROLES.STUDENT }, request), null);
+    assert.equal(viewingSide({ id: 4, role: ROLES.LANDLORD }, request), null);
+    assert.equal(viewingSide({ id: 5, role: ROLES.ADMIN }, request), null);
+  });
+});
+
+describe('canTransition', () => {
+  it('lets students only cancel active viewings', () => {
+    assert.deepEqual(allowedPairs('student'), [
+      ['PENDING', 'CANCELLED_BY_STUDENT'],
+      ['APPROVED', 'CANCELLED_BY_STUDENT'],
+    ]);
+  });
+
+  it('lets landlords decide, cancel and record the outcome', () => {
+    assert.deepEqual(allowedPairs('landlord'), [
+      ['PENDING', 'APPROVED'], ['PENDING', 'REJECTED'], ['PENDING', 'CANCELLED_BY_LANDLORD'],
+      ['APPROVED', 'CANCELLED_BY_LANDLORD'], ['APPROVED', 'COMPLETED'], ['APPROVED', 'NO_SHOW'],
+    ]);
+  });
+
+  it('treats every finished status as final', () => {
+    for (const from of STATUSES.filter(status => !['PENDING', 'APPROVED'].includes(status))) {
+      for (const to of STATUSES) {
+        assert.equal(canTransition('student', from, to), false, `${from} -> ${to}`);
+        assert.equal(canTransition('landlord', from, to), false, `${from} -> ${to}`);
+      }
+    }
+  });
+});
+
+describe('cancelledStatus', () => {
+  it('names the side that cancelled', () => {
+    assert.equal(cancelledStatus('student'), 'CANCELLED_BY_STUDENT');
+    assert.equal(cancelledStatus('landlord'), 'CANCELLED_BY_LANDLORD');
+  });
+
+  it('releases the slot of rejected and cancelled viewings only', () => {
+    assert.deepEqual(RELEASES_SLOT, ['REJECTED', 'CANCELLED_BY_STUDENT', 'CANCELLED_BY_LANDLORD']);
+  });
+});
@@ -0,0 +1,87 @@
+const { isSuspended } = require('./suspensions');
+const { revokeUserSessions } = require('./sessions');
+const { notifySavedListingChange } = require('./savedAlerts');
+
+// User fields needed to decide whether an account can be used
+const ACCOUNT_STATE_SELECT = {
+  id: true,
+  suspendedAt: true,
+  suspendedUntil: true,
+  suspensionReason: true,
+  deletedAt: true,
+};
+
+// Why an account cannot be used right now as { status, error, ...details }, or null.
+// Checked on every authenticated request, token refresh and chat connection.
+function accountRestriction(user) {
+  if (!user || user.deletedAt) return { status: 401, error: 'Account no longer exists' };
+  if (isSuspended(user)) {
+    return {
+      status: 403,
+      error: 'Account suspended',
+      suspendedUntil: user.suspendedUntil,
+      reason: user.suspensionReason,
+    };
+  }
+  return null;
+}
+
+// Personal data is replaced so reviews, messages and listings can stay in place
+const anonymizedData = (userId) => ({
+  name: 'Deleted user',
+  email: `deleted-user-${userId}@deleted.invalid`,
+  passwordHash: '',
+  phone: null,
+  profilePicture: null,
+  googleId: null,
+  anonymizedAt: new Date(),
+});
+
+// Soft-deletes an account: it can no longer sign in, its listings are archived and
+// its calendar feeds revoked, but every related record is kept. With anonymize the
+// personal data is scrubbed as well, which cannot be undone.
+async function softDeleteUser(prisma, userId, { anonymize = false } = {}) {
+  const now = new Date();
+  const listed = await prisma.property.findMany({ where: { landlordId: userId, status: 'APPROVED' } });
+  const [user] = await prisma.$transaction([
+    prisma.user.update({
+      where: { id: userId },
+      data: { deletedAt: now, ...(anonymize && anonymizedData(userId)) },
+    }),
+    prisma.property.updateMany({
+      where: { landlordId: userId, status: { not: 'ARCHIVED' } },
+      data: { status: 'ARCHIVED', statusReason: 'Landlord account deleted' },
+    }),
+    prisma.calendarFeed.updateMany({
+      where: { userId, revokedAt: null },
+      data: { revokedAt: now },
+    }),
+  ]);
+  await revokeUserSessions(prisma, userId, { reason: 'account_deleted' });
+  for (const property of listed) {
+    notifySavedListingChange(prisma, property, { ...property, status: 'ARCHIVED' });
+  }
+  return user;
+}
+
+// Anonymizes an account that was already soft-deleted
+async function anonymizeUser(prisma, userId) {
+  return prisma.user.update({ where: { id: userId }, data: anonymizedData(userId) });
+}
+
+// Brings back a soft-deleted account that has not been anonymized.
+// Archived listings stay archived until the landlord resubmits them.
+async function restoreUser(prisma, user) {
+  if (!user.deletedAt) return { status: 409, error: 'Account is not deleted' };
+  if (user.anonymizedAt) return { status: 409, error: 'Anonymized accounts cannot be restored' };
+  const restored = await prisma.user.update({ where: { id: user.id }, data: { deletedAt: null } });
+  return { user: restored };
+}
+
+module.exports = {
+  ACCOUNT_STATE_SELECT,
+  accountRestriction,
+  softDeleteUser,
+  anonymizeUser,
+  restoreUser,
+};
@@ -0,0 +1,87 @@
+const { body, query } = require('express-validator');
+const { RoomType } = require('@prisma/client');
+
+// Listing attributes students filter on. Each amenity is a Boolean column on
+// Property; lease length and move-in date use null for "no constraint".
+
+const AMENITIES = ['furnished', 'wifi', 'utilitiesIncluded', 'parking', 'petsAllowed'];
+const GENDER_RESTRICTIONS = ['NONE', 'FEMALE_ONLY', 'MALE_ONLY'];
+const MAX_LEASE_MONTHS = 60;
+
+// Body validators for POST, PUT and PATCH /properties; every attribute is optional
+const attributeValidators = [
+  ...AMENITIES.map(amenity => body(amenity).optional().isBoolean().toBoolean()),
+  body('genderRestriction').optional().isIn(GENDER_RESTRICTIONS),
+  body('leaseMonths').optional({ values: 'null' }).isInt({ min: 1, max: MAX_LEASE_MONTHS }).toInt(),
+  body('availableFrom').optional({ values: 'null' }).isISO8601().toDate(),
+];
+
+const parseAmenities = (value) => String(value).split(',').map(amenity => amenity.trim()).filter(Boolean);
+
+// Query validators for the GET /properties attribute filters
+const attributeFilterValidators = [
+  query('amenities').optional()
+    .custom(value => parseAmenities(value).every(amenity => AMENITIES.includes(amenity)))
+    .withMessage(`amenities must be a comma-separated list of: ${AMENITIES.join(', ')}`),
+  query('genderRestriction').optional().isIn(GENDER_RESTRICTIONS),
+  query('maxLeaseMonths').optional().isInt({ min: 1 }),
+  query('moveInBy').optional().isISO8601(),
+];
+
+// Where conditions for the attribute filters in a validated query string, to
+// be combined with AND. Listings must have every requested amenity.
+function attributeFilters(reqQuery) {
+  const conditions = [];
+  if (reqQuery.amenities) {
+    conditions.push(Object.fromEntries(parseAmenities(reqQuery.amenities).map(amenity => [amenity, true])));
+  }
+  if (reqQuery.genderRestriction) conditions.push({ genderRestriction: reqQuery.genderRestriction });
+  if (reqQuery.maxLeaseMonths) {
+    conditions.push({ OR: [{ leaseMonths: null }, { leaseMonths: { lte: parseInt(reqQuery.maxLeaseMonths) } }] });
+  }
+  if (reqQuery.moveInBy) {
+    conditions.push({ OR: [{ availableFrom: null }, { availableFrom: { lte: new Date(reqQuery.moveInBy) } }] });
+  }
+  return conditions;
+}
+
+const FACET_FIELDS = ['roomType', 'genderRestriction', ...AMENITIES];
+
+// Facet counts for a search, e.g. { amenities: { wifi: 42, ... }, roomType: { STUDIO: 7, ... } }.
+// rows are listings, or groupBy rows carrying a count.
+function tallyFacets(rows) {
+  const facets = {
+    amenities: Object.fromEntries(AMENITIES.map(amenity => [amenity, 0])),
+    roomType: Object.fromEntries(Object.values(RoomType).map(roomType => [roomType, 0])),
+    genderRestriction: Object.fromEntries(GENDER_RESTRICTIONS.map(restriction => [restriction, 0])),
+  };
+  for (const row of rows) {
+    const count = row.count ?? 1;
+    facets.roomType[row.roomType] += count;
+    facets.genderRestriction[row.genderRestriction] += count;
+    for (const amenity of AMENITIES) {
+      if (row[amenity]) facets.amenities[amenity] += count;
+    }
+  }
+  return facets;
+}
+
+// groupBy query whose rows tallyFacets turns into the facet counts for where
+const facetGroups = (prisma, where) => prisma.property.groupBy({
+  by: FACET_FIELDS,
+  where,
+  _count: { _all: true },
+});
+
+const facetsFromGroups = (groups) => tallyFacets(groups.map(({ _count, ...group }) => ({ ...group, count: _count._all })));
+
+module.exports = {
+  AMENITIES,
+  GENDER_RESTRICTIONS,
+  attributeValidators,
+  attributeFilterValidators,
+  attributeFilters,
+  tallyFacets,
+  facetGroups,
+  facetsFromGroups,
+};
@@ -0,0 +1,76 @@
+// Property availability comes from two sources:
+//   - rules: a date range, optionally limited to some weekdays and with excluded
+//     dates, marked available or unavailable ("weekdays Sep 1 - Dec 20 except holidays")
+//   - day overrides: Availability rows for single days
+// For any day an override wins, then the most recently created matching rule.
+// Days no source covers are unknown (isAvailable null) and do not block bookings.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest range GET /properties/:id/availability will expand at once
+const MAX_EXPAND_DAYS = 366;
+
+// Dates are whole UTC days, written as YYYY-MM-DD
+const toDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+const dayKey = (date) => date.toISOString().slice(0, 10);
+
+// Whether rule covers day (a UTC midnight Date). weekdays are 0 (Sunday) to 6.
+function ruleMatches(rule, day) {
+  if (day < toDay(rule.startDate) || day > toDay(rule.endDate)) return false;
+  if (Array.isArray(rule.weekdays) && rule.weekdays.length && !rule.weekdays.includes(day.getUTCDay())) {
+    return false;
+  }
+  return !(Array.isArray(rule.excludedDates) && rule.excludedDates.includes(dayKey(day)));
+}
+
+// Resolves every day in [from, to] (inclusive) to
+// { date, isAvailable, source: 'override' | 'rule' | null, ruleId? }
+function expandAvailability(rules, overrides, from, to) {
+  const overrideByDay = new Map(overrides.map(row => [dayKey(toDay(row.date)), row]));
+  // Newest rule first so it wins over older ones
+  const ordered = [...rules].sort((a, b) => b.createdAt - a.createdAt || b.id - a.id);
+
+  const days = [];
+  for (let day = toDay(from); day <= toDay(to); day = new Date(day.getTime() + DAY_MS)) {
+    const key = dayKey(day);
+    const override = overrideByDay.get(key);
+    if (override) {
+      days.push({ date: key, isAvailable: override.isAvailable, source: 'override' });
+      continue;
+    }
+    const rule = ordered.find(candidate => ruleMatches(candidate, day));
+    days.push(rule
+      ? { date: key, isAvailable: rule.isAvailable, source: 'rule', ruleId: rule.id }
+      : { date: key, isAvailable: null, source: null });
+  }
+  return days;
+}
+
+// Loads the rules and overrides touching [from, to] and expands them
+async function loadAvailability(prisma, propertyId, from, to) {
+  const [rules, overrides] = await Promise.all([
+    prisma.availabilityRule.findMany({
+      where: { propertyId, startDate: { lte: toDay(to) }, endDate: { gte: toDay(from) } },
+    }),
+    prisma.availability.findMany({
+      where: { propertyId, date: { gte: toDay(from), lt: new Date(toDay(to).getTime() + DAY_MS) } },
+    }),
+  ]);
+  return expandAvailability(rules, overrides, from, to);
+}
+
+// First day in [from, to] resolved as unavailable, or null
+async function findUnavailableDay(prisma, propertyId, from, to = from) {
+  const days = await loadAvailability(prisma, propertyId, from, to);
+  return days.find(day => day.isAvailable === false) || null;
+}
+
+module.exports = {
+  MAX_EXPAND_DAYS,
+  toDay,
+  dayKey,
+  ruleMatches,
+  expandAvailability,
+  loadAvailability,
+  findUnavailableDay,
+};
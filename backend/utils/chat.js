@@ -0,0 +1,123 @@
+const { can, ROLES } = require('./policies');
+
+// Longest message accepted, in characters
+const MAX_MESSAGE_LENGTH = 5000;
+
+// Chat operations shared by the REST routes and the WebSocket channel.
+// Failures are returned as { status, error } so each transport can report them its own way.
+
+// Returns the conversation when userId is one of its two participants
+async function findConversationForUser(prisma, conversationId, userId) {
+  const conversation = await prisma.conversation.findUnique({ where: { id: conversationId } });
+  if (!conversation || !can({ id: userId }, 'chat:read', conversation)) {
+    return null;
+  }
+  return conversation;
+}
+
+// The participant on the other side of a conversation
+function otherParticipantId(conversation, userId) {
+  return conversation.studentId === userId ? conversation.landlordId : conversation.studentId;
+}
+
+// Persists a message from sender to recipientId, opening the conversation on first contact.
+// content is checked here because the WebSocket channel has no request validators.
+async function sendMessage(prisma, sender, { recipientId, content }) {
+  const text = typeof content === 'string' ? content.trim() : '';
+  if (!recipientId || !text) {
+    return { status: 400, error: 'Recipient and content required' };
+  }
+  if (text.length > MAX_MESSAGE_LENGTH) {
+    return { status: 400, error: `Messages must be at most ${MAX_MESSAGE_LENGTH} characters` };
+  }
+
+  const recipient = await prisma.user.findUnique({ where: { id: recipientId } });
+  if (!recipient || recipient.id === sender.id) {
+    return { status: 400, error: 'Invalid recipient' };
+  }
+
+  if (!can(sender, 'chat:message', recipient)) {
+    return { status: 400, error: 'Messages only allowed between students and landlords' };
+  }
+  const [studentId, landlordId] = sender.role === ROLES.STUDENT
+    ? [sender.id, recipient.id]
+    : [recipient.id, sender.id];
+
+  // Find or create conversation; touching updatedAt keeps the inbox ordered by activity
+  const conversation = await prisma.conversation.upsert({
+    where: {
+      studentId_landlordId: { studentId, landlordId },
+    },
+    update: { updatedAt: new Date() },
+    create: { studentId, landlordId },
+  });
+
+  const message = await prisma.message.create({
+    data: {
+      conversationId: conversation.id,
+      senderId: sender.id,
+      receiverId: recipient.id,
+      content: text,
+    },
+  });
+
+  return { message, conversation };
+}
+
+// Marks a message as delivered to its receiver; repeated acknowledgements are ignored
+async function markDelivered(prisma, messageId, receiverId) {
+  const message = await prisma.message.findUnique({ where: { id: messageId } });
+  if (!message || message.receiverId !== receiverId) {
+    return { status: 404, error: 'Message not found' };
+  }
+  if (message.deliveredAt) return { message, alreadyDelivered: true };
+
+  const updated = await prisma.message.update({
+    where: { id: messageId },
+    data: { deliveredAt: new Date() },
+  });
+  return { message: updated };
+}
+
+// Marks the messages userId received in a conversation as read, up to and including
+// upToMessageId when given (otherwise everything received so far). Reading implies delivery.
+async function markConversationRead(prisma, conversation, userId, upToMessageId) {
+  const readAt = new Date();
+  const where = {
+    conversationId: conversation.id,
+    receiverId: userId,
+    readAt: null,
+    ...(upToMessageId && { id: { lte: upToMessageId } }),
+  };
+
+  const [, { count }] = await prisma.$transaction([
+    prisma.message.updateMany({ where: { ...where, deliveredAt: null }, data: { deliveredAt: readAt } }),
+    prisma.message.updateMany({ where, data: { readAt } }),
+  ]);
+  return { count, readAt };
+}
+
+// Unread message counts for userId keyed by conversation id.
+// Pass conversationIds to restrict the count to a page of conversations.
+async function unreadCounts(prisma, userId, conversationIds) {
+  const groups = await prisma.message.groupBy({
+    by: ['conversationId'],
+    where: {
+      receiverId: userId,
+      readAt: null,
+      ...(conversationIds && { conversationId: { in: conversationIds } }),
+    },
+    _count: { _all: true },
+  });
+  return new Map(groups.map(group => [group.conversationId, group._count._all]));
+}
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  findConversationForUser,
+  otherParticipantId,
+  sendMessage,
+  markDelivered,
+  markConversationRead,
+  unreadCounts,
+};
@@ -1,4 +1,5 @@
 const nodemailer = require('nodemailer');
+const { escapeHtml } = require('./html');
 
 const transporter = nodemailer.createTransport({
   service: 'gmail',
@@ -18,11 +19,157 @@ async function sendVerificationEmail(to, token) {
       <h2>Welcome to Accommodations App!</h2>
       <p>Please verify your email by clicking the link below:</p>
       <a href="${verifyUrl}">${verifyUrl}</a>
-      <p>This link will expire in 15 minutes.</p>
+      <p>This link will expire in 24 hours and can only be used once.</p>
     `,
   };
 
   return transporter.sendMail(mailOptions);
 }
 
-module.exports = { sendVerificationEmail };
+async function sendPasswordResetEmail(to, token) {
+  const resetUrl = `${process.env.PASSWORD_RESET_URL}${token}`;
+  const mailOptions = {
+    from: process.env.EMAIL_FROM,
+    to,
+    subject: 'Reset your password',
+    html: `
+      <h2>Password reset requested</h2>
+      <p>Click the link below to choose a new password:</p>
+      <a href="${resetUrl}">${resetUrl}</a>
+      <p>This link will expire in 30 minutes and can only be used once.</p>
+      <p>If you did not request a reset, you can ignore this email.</p>
+    `,
+  };
+
+  return transporter.sendMail(mailOptions);
+}
+
+async function sendPasswordChangedEmail(to) {
+  const mailOptions = {
+    from: process.env.EMAIL_FROM,
+    to,
+    subject: 'Your password was changed',
+    html: `
+      <h2>Your password was changed</h2>
+      <p>The password for your Accommodations App account was just changed and other devices were signed out.</p>
+      <p>If this wasn't you, reset your password immediately.</p>
+    `,
+  };
+
+  return transporter.sendMail(mailOptions);
+}
+
+async function sendInvitationEmail(to, token, role, inviterName) {
+  const inviteUrl = `${process.env.ADMIN_INVITE_URL}${token}`;
+  const roleName = role === 'ADMIN' ? 'an administrator' : 'a moderator';
+  const mailOptions = {
+    from: process.env.EMAIL_FROM,
+    to,
+    subject: 'You have been invited to Accommodations App',
+    html: `
+      <h2>You're invited!</h2>
+      <p>${escapeHtml(inviterName || 'An administrator')} has invited you to join Accommodations App as ${roleName}.</p>
+      <p>Accept the invitation by clicking the link below:</p>
+      <a href="${inviteUrl}">${inviteUrl}</a>
+      <p>This link will expire in 72 hours and can only be used once.</p>
+    `,
+  };
+
+  return transporter.sendMail(mailOptions);
+}
+
+// Subject line and sentence for each viewing status
+const VIEWING_STATUS_MESSAGES = {
+  PENDING: ['New viewing request', 'A student has requested a viewing'],
+  APPROVED: ['Viewing approved', 'Your viewing has been approved'],
+  REJECTED: ['Viewing request declined', 'Your viewing request was declined'],
+  CANCELLED_BY_STUDENT: ['Viewing cancelled', 'The student cancelled the viewing'],
+  CANCELLED_BY_LANDLORD: ['Viewing cancelled', 'The landlord cancelled the viewing'],
+  COMPLETED: ['Viewing completed', 'The viewing has been marked as completed'],
+  NO_SHOW: ['Viewing missed', 'The viewing has been marked as a no-show'],
+};
+
+async function sendViewingStatusEmail(to, { propertyTitle, requestedDate, status, reason }) {
+  const [subject, sentence] = VIEWING_STATUS_MESSAGES[status];
+  const mailOptions = {
+    from: process.env.EMAIL_FROM,
+    to,
+    subject: `${subject}: ${propertyTitle}`,
+    html: `
+      <h2>${subject}</h2>
+      <p>${sentence} for <strong>${escapeHtml(propertyTitle)}</strong> on ${requestedDate.toUTCString()}.</p>
+      ${reason ? `<p>Reason: ${escapeHtml(reason)}</p>` : ''}
+    `,
+  };
+
+  return transporter.sendMail(mailOptions);
+}
+
+async function sendPriceDropEmail(to, { propertyTitle, oldPrice, newPrice }) {
+  const mailOptions = {
+    from: process.env.EMAIL_FROM,
+    to,
+    subject: `Price drop: ${propertyTitle}`,
+    html: `
+      <h2>A property you saved is cheaper</h2>
+      <p>The price of <strong>${escapeHtml(propertyTitle)}</strong> dropped from ${oldPrice} to ${newPrice}.</p>
+      <p>You can turn off alerts for this property in your saved properties.</p>
+    `,
+  };
+
+  return transporter.sendMail(mailOptions);
+}
+
+async function sendListingUnavailableEmail(to, { propertyTitle }) {
+  const mailOptions = {
+    from: process.env.EMAIL_FROM,
+    to,
+    subject: `No longer available: ${propertyTitle}`,
+    html: `
+      <h2>A property you saved is no longer available</h2>
+      <p><strong>${escapeHtml(propertyTitle)}</strong> has been taken off the listings. It stays in your saved properties in case it comes back.</p>
+    `,
+  };
+
+  return transporter.sendMail(mailOptions);
+}
+
+// properties: [{ id, title, location, price, roomType }]. The unsubscribe link
+// also goes in the List-Unsubscribe headers so mail clients can offer one-click
+// unsubscribe: they POST to it, while opening it shows a confirmation page.
+async function sendSavedSearchDigestEmail(to, { searchName, properties, unsubscribeToken }) {
+  const unsubscribeUrl = `${process.env.SAVED_SEARCH_UNSUBSCRIBE_URL}${unsubscribeToken}`;
+  const items = properties.map(property => `
+        <li>
+          <a href="${process.env.PROPERTY_URL}${property.id}">${escapeHtml(property.title)}</a>
+          - ${escapeHtml(property.location)}, ${property.roomType}, ${property.price}
+        </li>`).join('');
+  const mailOptions = {
+    from: process.env.EMAIL_FROM,
+    to,
+    subject: `${properties.length} new ${properties.length === 1 ? 'listing matches' : 'listings match'} "${searchName}"`,
+    list: {
+      unsubscribe: { url: unsubscribeUrl, comment: 'Stop alerts for this search' },
+    },
+    headers: { 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' },
+    html: `
+      <h2>New listings for your saved search "${escapeHtml(searchName)}"</h2>
+      <ul>${items}
+      </ul>
+      <p>Don't want these emails? <a href="${unsubscribeUrl}">Unsubscribe from this search</a>.</p>
+    `,
+  };
+
+  return transporter.sendMail(mailOptions);
+}
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail,
+  sendInvitationEmail,
+  sendViewingStatusEmail,
+  sendPriceDropEmail,
+  sendListingUnavailableEmail,
+  sendSavedSearchDigestEmail,
+};
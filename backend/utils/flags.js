@@ -0,0 +1,107 @@
+const { can, ROLES } = require('./policies');
+const { checkModeration, applyModeration } = require('./listingStatus');
+const { suspendUser } = require('./suspensions');
+
+// Reports ("flags") point at exactly one listing, user, review or message.
+// Staff triage them: OPEN -> IN_REVIEW once assigned -> RESOLVED | DISMISSED.
+
+// Column holding the target of each flag type
+const TARGET_FIELDS = {
+  PROPERTY: 'propertyId',
+  USER: 'userId',
+  REVIEW: 'reviewId',
+  MESSAGE: 'messageId',
+};
+
+// Flags still waiting for a decision
+const OPEN_FLAG_STATUSES = ['OPEN', 'IN_REVIEW'];
+
+// Actions staff can take when resolving a flag of each type. SUSPEND_USER
+// suspends whoever is responsible for the target (see targetOwnerId).
+const ACTIONS_BY_TARGET = {
+  PROPERTY: ['HIDE_LISTING', 'SUSPEND_USER'],
+  USER: ['SUSPEND_USER'],
+  REVIEW: ['SUSPEND_USER'],
+  MESSAGE: ['SUSPEND_USER'],
+};
+
+const STAFF_ROLES = [ROLES.ADMIN, ROLES.MODERATOR];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const targetLoaders = {
+  PROPERTY: (prisma, id) => prisma.property.findUnique({ where: { id } }),
+  USER: (prisma, id) => prisma.user.findUnique({ where: { id } }),
+  REVIEW: (prisma, id) => prisma.review.findUnique({ where: { id } }),
+  MESSAGE: (prisma, id) => prisma.message.findUnique({ where: { id } }),
+};
+
+// The user behind a target: the landlord of a listing, the author of a review
+// or the sender of a message
+function targetOwnerId(targetType, target) {
+  switch (targetType) {
+    case 'PROPERTY': return target.landlordId;
+    case 'USER': return target.id;
+    case 'REVIEW': return target.studentId;
+    case 'MESSAGE': return target.senderId;
+    default: return null;
+  }
+}
+
+// Checks that user may report the target and returns { target } or { status, error }.
+// Targets the reporter cannot see (unpublished listings, other people's messages)
+// are reported as missing.
+async function loadReportableTarget(prisma, user, targetType, targetId) {
+  const target = await targetLoaders[targetType](prisma, targetId);
+  const visible = target && (
+    (targetType === 'PROPERTY' && can(user, 'property:view', target))
+    || (targetType === 'MESSAGE' && (target.senderId === user.id || target.receiverId === user.id))
+    || targetType === 'USER'
+    || targetType === 'REVIEW'
+  );
+  if (!visible) return { status: 404, error: 'Reported item not found' };
+  if (targetOwnerId(targetType, target) === user.id) {
+    return { status: 400, error: 'You cannot report yourself or your own content' };
+  }
+  return { target };
+}
+
+// Carries out a resolution action for a flag with tx, inside the transaction
+// that closes the flag. Returns { status, error } when the action does not
+// apply; a hidden listing comes back as { listingChange: [before, after] } so
+// savers can be told once the transaction commits.
+async function applyFlagAction(tx, flag, action, staff, { note, suspendDays } = {}) {
+  if (!ACTIONS_BY_TARGET[flag.targetType].includes(action)) {
+    return { status: 400, error: `${action} does not apply to ${flag.targetType} reports` };
+  }
+  const targetId = flag[TARGET_FIELDS[flag.targetType]];
+  const target = targetId && await targetLoaders[flag.targetType](tx, targetId);
+  if (!target) return { status: 409, error: 'The reported item no longer exists' };
+
+  if (action === 'HIDE_LISTING') {
+    const error = checkModeration(target, 'HIDDEN');
+    if (error) return error;
+    const hidden = await applyModeration(tx, target, staff.id, 'HIDDEN', note || flag.reason);
+    return { listingChange: [target, hidden] };
+  }
+
+  const ownerId = targetOwnerId(flag.targetType, target);
+  const owner = await tx.user.findUnique({ where: { id: ownerId } });
+  if (!owner) return { status: 409, error: 'The reported user no longer exists' };
+  if (!can(staff, 'user:suspend', owner)) return { status: 409, error: 'This account cannot be suspended' };
+  await suspendUser(tx, ownerId, {
+    until: suspendDays ? new Date(Date.now() + suspendDays * DAY_MS) : null,
+    reason: note || flag.reason,
+  });
+  return {};
+}
+
+module.exports = {
+  TARGET_FIELDS,
+  OPEN_FLAG_STATUSES,
+  ACTIONS_BY_TARGET,
+  STAFF_ROLES,
+  targetOwnerId,
+  loadReportableTarget,
+  applyFlagAction,
+};
@@ -0,0 +1,58 @@
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+
+// Great-circle distance in kilometres between two { lat, lng } points
+function haversineKm(from, to) {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+// Smallest lat/lng box containing the circle of radiusKm around origin,
+// used to let the database discard far-away rows before the exact check
+function boundingBox(origin, radiusKm) {
+  const latDelta = (radiusKm / EARTH_RADIUS_KM) * (180 / Math.PI);
+  const lngDelta = latDelta / Math.max(Math.cos(toRadians(origin.lat)), 1e-6);
+  return {
+    minLat: Math.max(origin.lat - latDelta, -90),
+    maxLat: Math.min(origin.lat + latDelta, 90),
+    minLng: Math.max(origin.lng - lngDelta, -180),
+    maxLng: Math.min(origin.lng + lngDelta, 180),
+  };
+}
+
+// Parses a "minLng,minLat,maxLng,maxLat" map viewport; returns null when malformed
+function parseBbox(value) {
+  const parts = String(value).split(',').map(Number);
+  if (parts.length !== 4 || parts.some(Number.isNaN)) return null;
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (minLat > maxLat || minLng > maxLng) return null;
+  if (minLat < -90 || maxLat > 90 || minLng < -180 || maxLng > 180) return null;
+  return { minLat, maxLat, minLng, maxLng };
+}
+
+// Prisma where-clause for rows whose coordinates fall inside a box
+function boxFilter(box) {
+  return {
+    latitude: { gte: box.minLat, lte: box.maxLat },
+    longitude: { gte: box.minLng, lte: box.maxLng },
+  };
+}
+
+// Distance from origin to a property, or null when it has no coordinates
+function distanceTo(origin, property) {
+  if (property.latitude == null || property.longitude == null) return null;
+  const km = haversineKm(origin, { lat: Number(property.latitude), lng: Number(property.longitude) });
+  return Math.round(km * 1000) / 1000;
+}
+
+module.exports = {
+  haversineKm,
+  boundingBox,
+  parseBbox,
+  boxFilter,
+  distanceTo,
+};
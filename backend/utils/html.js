@@ -0,0 +1,9 @@
+// Escapes text for interpolation into HTML (emails, highlighted search results)
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+module.exports = { escapeHtml };
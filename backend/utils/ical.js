@@ -0,0 +1,79 @@
+// Minimal iCalendar (RFC 5545) writer for the subscription feeds.
+// Events are { uid, start, end, allDay?, summary, description?, location?, status? }.
+
+const PRODUCT_ID = '-//Accommodations App//Calendar//EN';
+const MAX_LINE_OCTETS = 75;
+
+// TEXT values escape backslashes, separators and newlines
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// 20261019T143000Z
+const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// 20261019, for all-day events
+const formatDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+
+// Lines longer than 75 octets continue on the next line after a space.
+// Splits on character boundaries so multi-byte characters stay intact.
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function eventLines(event, stamp) {
+  const dates = event.allDay
+    ? [`DTSTART;VALUE=DATE:${formatDate(event.start)}`, `DTEND;VALUE=DATE:${formatDate(event.end)}`]
+    : [`DTSTART:${formatDateTime(event.start)}`, `DTEND:${formatDateTime(event.end)}`];
+  return [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${stamp}`,
+    ...dates,
+    `SUMMARY:${escapeText(event.summary)}`,
+    ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+    ...(event.location ? [`LOCATION:${escapeText(event.location)}`] : []),
+    ...(event.status ? [`STATUS:${event.status}`] : []),
+    // Availability days shouldn't block time in the subscriber's calendar
+    ...(event.allDay ? ['TRANSP:TRANSPARENT'] : []),
+    'END:VEVENT',
+  ];
+}
+
+// Serialises a calendar named `name` containing `events`
+function buildCalendar({ name, events }) {
+  const stamp = formatDateTime(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap(event => eventLines(event, stamp)),
+    'END:VCALENDAR',
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  escapeText,
+  formatDateTime,
+  formatDate,
+  foldLine,
+  buildCalendar,
+};
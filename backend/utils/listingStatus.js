@@ -0,0 +1,114 @@
+const { notifySavedListingChange } = require('./savedAlerts');
+
+// Listing lifecycle: DRAFT -> PENDING -> APPROVED | DECLINED, and ARCHIVED from anywhere.
+// Landlords move their own listings between draft, review and archive;
+// only admins can approve or decline. Staff hide approved listings after a report
+// (HIDDEN) and can approve them again. Editing the reviewed fields of an approved
+// listing moves it back to PENDING (see needsReReview).
+const LANDLORD_TRANSITIONS = {
+  DRAFT: ['PENDING', 'ARCHIVED'],
+  PENDING: ['DRAFT', 'ARCHIVED'],
+  APPROVED: ['ARCHIVED'],
+  DECLINED: ['PENDING', 'DRAFT', 'ARCHIVED'],
+  ARCHIVED: ['DRAFT'],
+  HIDDEN: ['ARCHIVED'],
+};
+
+const ADMIN_TRANSITIONS = {
+  PENDING: ['APPROVED', 'DECLINED'],
+  APPROVED: ['DECLINED', 'HIDDEN'],
+  HIDDEN: ['APPROVED'],
+};
+
+function canLandlordTransition(from, to) {
+  return (LANDLORD_TRANSITIONS[from] || []).includes(to);
+}
+
+function canAdminTransition(from, to) {
+  return (ADMIN_TRANSITIONS[from] || []).includes(to);
+}
+
+// Data to write when a listing enters a new status
+function statusChangeData(to, extra = {}) {
+  const data = { status: to, ...extra };
+  if (to === 'PENDING') {
+    data.submittedAt = new Date();
+    data.statusReason = null;
+  }
+  return data;
+}
+
+// Fields a moderator checked before approving. Changing any of them on an
+// approved listing sends it back for review.
+const REVIEWED_FIELDS = ['title', 'description', 'price', 'location', 'roomType'];
+
+// Whether applying changes (validated property fields) to property needs a new review
+function needsReReview(property, changes) {
+  if (property.status !== 'APPROVED') return false;
+  return REVIEWED_FIELDS.some((field) => {
+    if (changes[field] === undefined) return false;
+    return field === 'price'
+      ? Number(changes.price) !== Number(property.price)
+      : changes[field] !== property[field];
+  });
+}
+
+// Checks a staff decision against the listing's status. Returns an error or null.
+function checkModeration(property, toStatus) {
+  if (!property) return { status: 404, error: 'Property not found' };
+  if (!canAdminTransition(property.status, toStatus)) {
+    return { status: 409, error: `Cannot move listing from ${property.status} to ${toStatus}` };
+  }
+  return null;
+}
+
+// Writes a checked staff decision with tx (inside a transaction) and records it
+// in the moderation log. Returns the updated listing. approvedAt is only set by
+// the first approval, so re-approvals don't count as new listings.
+async function applyModeration(tx, property, adminId, toStatus, reason) {
+  const now = new Date();
+  const updated = await tx.property.update({
+    where: { id: property.id },
+    data: statusChangeData(toStatus, {
+      statusReason: reason || null,
+      reviewedAt: now,
+      reviewedById: adminId,
+      ...(toStatus === 'APPROVED' && !property.approvedAt && { approvedAt: now }),
+    }),
+  });
+  await tx.listingModeration.create({
+    data: {
+      propertyId: property.id,
+      adminId,
+      fromStatus: property.status,
+      toStatus,
+      reason,
+    },
+  });
+  return updated;
+}
+
+// Applies a staff decision to a listing and records it in the moderation log.
+// Returns { property } or { status, error }.
+async function moderateListing(prisma, propertyId, adminId, toStatus, reason) {
+  const property = await prisma.property.findUnique({ where: { id: propertyId } });
+  const error = checkModeration(property, toStatus);
+  if (error) return error;
+
+  const updated = await prisma.$transaction(tx => applyModeration(tx, property, adminId, toStatus, reason));
+  notifySavedListingChange(prisma, property, updated);
+  return { property: updated };
+}
+
+module.exports = {
+  LANDLORD_TRANSITIONS,
+  ADMIN_TRANSITIONS,
+  canLandlordTransition,
+  canAdminTransition,
+  REVIEWED_FIELDS,
+  statusChangeData,
+  needsReReview,
+  checkModeration,
+  applyModeration,
+  moderateListing,
+};
@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const multer = require('multer');
+const sharp = require('sharp');
+
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+const MAX_VIDEO_BYTES = 50 * 1024 * 1024;
+const MAX_FILES_PER_UPLOAD = 10;
+
+const MAX_BYTES = { IMAGE: MAX_IMAGE_BYTES, VIDEO: MAX_VIDEO_BYTES };
+const tooLarge = (mediaType) => `${mediaType === 'IMAGE' ? 'Images' : 'Videos'} must be at most ${MAX_BYTES[mediaType] / 1024 / 1024}MB`;
+
+// Accepted upload types -> MediaType and the extension files are stored with
+const ALLOWED_TYPES = {
+  'image/jpeg': { mediaType: 'IMAGE', ext: 'jpg' },
+  'image/png': { mediaType: 'IMAGE', ext: 'png' },
+  'image/webp': { mediaType: 'IMAGE', ext: 'webp' },
+  'video/mp4': { mediaType: 'VIDEO', ext: 'mp4' },
+  'video/quicktime': { mediaType: 'VIDEO', ext: 'mov' },
+  'video/webm': { mediaType: 'VIDEO', ext: 'webm' },
+};
+
+// Resized WebP copies generated for every image. The thumbnail is cropped to a
+// fixed box for grids; the other sizes keep the aspect ratio for srcset.
+const THUMBNAIL = { name: 'thumb', width: 320, height: 240 };
+const IMAGE_SIZES = [
+  { name: 'sm', width: 640 },
+  { name: 'md', width: 1024 },
+  { name: 'lg', width: 1600 },
+];
+
+// Multer storage engine streaming each upload to a temporary file. A file is
+// cut off as soon as it passes the limit for its type, so nothing larger than
+// that is ever written and no upload is held in memory.
+const tempFileStorage = {
+  _handleFile(req, file, cb) {
+    const { mediaType } = ALLOWED_TYPES[file.mimetype];
+    const target = path.join(os.tmpdir(), `upload-${crypto.randomUUID()}`);
+    const out = fs.createWriteStream(target);
+    let size = 0;
+    let failed = false;
+
+    const fail = (err) => {
+      if (failed) return;
+      failed = true;
+      file.stream.unpipe(out);
+      file.stream.resume();
+      out.destroy();
+      fs.rm(target, { force: true }, () => cb(err));
+    };
+
+    file.stream.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BYTES[mediaType]) {
+        const err = new Error(tooLarge(mediaType));
+        err.status = 400;
+        fail(err);
+      }
+    });
+    file.stream.on('error', fail);
+    out.on('error', fail);
+    out.on('finish', () => {
+      if (!failed) cb(null, { path: target, size });
+    });
+    file.stream.pipe(out);
+  },
+  _removeFile(req, file, cb) {
+    fs.rm(file.path, { force: true }, cb);
+  },
+};
+
+// Multipart parser for the "files" field. The type is checked before a file is
+// read; the size per type is enforced by tempFileStorage.
+const uploadFiles = multer({
+  storage: tempFileStorage,
+  limits: { fileSize: MAX_VIDEO_BYTES, files: MAX_FILES_PER_UPLOAD },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_TYPES[file.mimetype]) {
+      const err = new Error(`Unsupported file type: ${file.mimetype}`);
+      err.status = 400;
+      return cb(err);
+    }
+    cb(null, true);
+  },
+}).array('files', MAX_FILES_PER_UPLOAD);
+
+// Runs uploadFiles and reports bad uploads as 400s in the repo's error format.
+// The temporary files are deleted once the response has been sent.
+function handleUpload(req, res, next) {
+  uploadFiles(req, res, (err) => {
+    if (!err) {
+      res.on('close', () => {
+        for (const file of req.files || []) fs.rm(file.path, { force: true }, () => {});
+      });
+      return next();
+    }
+    if (err instanceof multer.MulterError || err.status === 400) {
+      const error = err.code === 'LIMIT_FILE_SIZE' ? tooLarge('VIDEO') : err.message;
+      return res.status(400).json({ error });
+    }
+    next(err);
+  });
+}
+
+// Container signatures of the accepted video types. MP4 and QuickTime files are
+// ISO media files whose first box type is at byte 4; WebM is an EBML document.
+const VIDEO_SIGNATURES = {
+  'video/mp4': header => header.toString('latin1', 4, 8) === 'ftyp',
+  'video/quicktime': header => ['ftyp', 'moov', 'mdat', 'wide', 'free', 'skip'].includes(header.toString('latin1', 4, 8)),
+  'video/webm': header => header.subarray(0, 4).equals(Buffer.from([0x1a, 0x45, 0xdf, 0xa3])),
+};
+
+// First bytes of a file on disk
+async function readHeader(filePath, length = 12) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(length), 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+// Checks an uploaded file before anything is stored. Returns an error message or
+// null. Images are decoded and videos must start with their container's
+// signature, so a file cannot pass as a type it isn't.
+async function validateUpload(file) {
+  const { mediaType } = ALLOWED_TYPES[file.mimetype];
+  if (file.size > MAX_BYTES[mediaType]) return tooLarge(mediaType);
+  try {
+    if (mediaType === 'VIDEO') {
+      if (!VIDEO_SIGNATURES[file.mimetype](await readHeader(file.path))) throw new Error('Bad signature');
+    } else {
+      const { width, height } = await sharp(file.path).metadata();
+      if (!width || !height) throw new Error('No dimensions');
+    }
+  } catch (err) {
+    return `${file.originalname} is not a valid ${mediaType === 'IMAGE' ? 'image' : 'video'}`;
+  }
+  return null;
+}
+
+// Stores one validated file under properties/<propertyId>/ and returns the
+// PropertyMedia fields describing it. Images are re-encoded into a thumbnail and
+// responsive sizes; videos are stored as uploaded.
+async function storeUpload(storage, propertyId, file) {
+  const { mediaType, ext } = ALLOWED_TYPES[file.mimetype];
+  const prefix = `properties/${propertyId}/${crypto.randomUUID()}`;
+  const storageKey = `${prefix}/original.${ext}`;
+  const media = {
+    mediaType, storageKey, variants: [], mimeType: file.mimetype, size: file.size,
+  };
+
+  try {
+    if (mediaType === 'IMAGE') {
+      // rotate() applies the EXIF orientation before resizing
+      const image = sharp(file.path).rotate();
+      const { width } = await image.metadata();
+      const renditions = [
+        { ...THUMBNAIL, pipeline: image.clone().resize(THUMBNAIL.width, THUMBNAIL.height, { fit: 'cover' }) },
+        ...IMAGE_SIZES
+          .filter(size => size.width < width)
+          .map(size => ({ ...size, pipeline: image.clone().resize({ width: size.width }) })),
+      ];
+      for (const { name, pipeline } of renditions) {
+        const { data, info } = await pipeline.webp({ quality: 80 }).toBuffer({ resolveWithObject: true });
+        const key = `${prefix}/${name}.webp`;
+        const url = await storage.put(key, data, 'image/webp');
+        media.variants.push({
+          name, key, url, width: info.width, height: info.height,
+        });
+      }
+      media.thumbnailUrl = media.variants[0].url;
+    }
+    media.mediaUrl = await storage.putFile(storageKey, file.path, file.mimetype);
+  } catch (err) {
+    await removeStoredMedia(storage, media);
+    throw err;
+  }
+  return media;
+}
+
+// Every stored object belonging to a media row
+const storageKeys = (media) => [
+  media.storageKey,
+  ...(Array.isArray(media.variants) ? media.variants.map(variant => variant.key) : []),
+].filter(Boolean);
+
+// Deletes a media row's files; failures are logged so a storage hiccup
+// doesn't block removing the database row
+async function removeStoredMedia(storage, media) {
+  for (const key of storageKeys(media)) {
+    try {
+      await storage.remove(key);
+    } catch (err) {
+      console.error(`Failed to remove stored media ${key}:`, err);
+    }
+  }
+}
+
+module.exports = {
+  ALLOWED_TYPES,
+  MAX_IMAGE_BYTES,
+  MAX_VIDEO_BYTES,
+  MAX_FILES_PER_UPLOAD,
+  handleUpload,
+  validateUpload,
+  storeUpload,
+  removeStoredMedia,
+};
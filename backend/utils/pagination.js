@@ -0,0 +1,77 @@
+const { query } = require('express-validator');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Query validators shared by every list endpoint.
+// sortKeys are the public names accepted in ?sort=
+const paginationValidators = (sortKeys) => [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: MAX_LIMIT }),
+  query('cursor').optional().isInt({ min: 1 }),
+  query('sort').optional().isIn(sortKeys).withMessage(`sort must be one of: ${sortKeys.join(', ')}`),
+  query('order').optional().isIn(['asc', 'desc']),
+];
+
+// Reads page/limit/cursor/sort/order from a validated query string.
+// When a cursor is given it takes precedence over page.
+function parsePagination(reqQuery, { defaultSort = 'createdAt', defaultOrder = 'desc' } = {}) {
+  return {
+    page: reqQuery.page ? parseInt(reqQuery.page) : 1,
+    limit: reqQuery.limit ? parseInt(reqQuery.limit) : DEFAULT_LIMIT,
+    cursor: reqQuery.cursor ? parseInt(reqQuery.cursor) : null,
+    sort: reqQuery.sort || defaultSort,
+    order: reqQuery.order || defaultOrder,
+  };
+}
+
+// findMany arguments for a page. sortColumns maps public sort keys to model fields.
+// One extra row is fetched so we know whether another page exists; id breaks ties
+// so cursors stay stable when the sort column has duplicates.
+function pageArgs(pagination, sortColumns = {}) {
+  const { page, limit, cursor, sort, order } = pagination;
+  const column = sortColumns[sort] || sort;
+  return {
+    take: limit + 1,
+    ...(cursor ? { cursor: { id: cursor }, skip: 1 } : { skip: (page - 1) * limit }),
+    orderBy: column === 'id' ? [{ id: order }] : [{ [column]: order }, { id: order }],
+  };
+}
+
+// Wraps rows fetched with pageArgs in the standard list envelope
+function buildPage(rows, total, pagination) {
+  const { page, limit, cursor } = pagination;
+  const hasMore = rows.length > limit;
+  const data = hasMore ? rows.slice(0, limit) : rows;
+  return {
+    data,
+    pagination: {
+      total,
+      limit,
+      page: cursor ? null : page,
+      hasMore,
+      nextCursor: hasMore ? data[data.length - 1].id : null,
+    },
+  };
+}
+
+// Same envelope for result sets that had to be sorted in memory (e.g. by distance)
+function paginateArray(items, pagination) {
+  const { page, limit, cursor } = pagination;
+  let start = (page - 1) * limit;
+  if (cursor) {
+    const index = items.findIndex(item => item.id === cursor);
+    start = index === -1 ? items.length : index + 1;
+  }
+  return buildPage(items.slice(start, start + limit + 1), items.length, pagination);
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  paginationValidators,
+  parsePagination,
+  pageArgs,
+  buildPage,
+  paginateArray,
+};
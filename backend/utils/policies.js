@@ -0,0 +1,81 @@
+// Central permission policies. Every router asks can(user, action, resource)
+// instead of comparing role strings, so each rule lives in exactly one place.
+// Roles are the Prisma Role enum values.
+const ROLES = {
+  STUDENT: 'STUDENT',
+  LANDLORD: 'LANDLORD',
+  MODERATOR: 'MODERATOR',
+  ADMIN: 'ADMIN',
+};
+
+const isRole = (user, role) => user?.role === role;
+// Whether user is signed in and has this id, so a missing id never matches a visitor
+const isUser = (user, id) => Boolean(user) && user.id === id;
+const isAdmin = (user) => isRole(user, ROLES.ADMIN);
+const isStaff = (user) => isAdmin(user) || isRole(user, ROLES.MODERATOR);
+const ownsProperty = (user, property) => isRole(user, ROLES.LANDLORD) && property?.landlordId === user.id;
+const participatesInViewing = (user, request) => isUser(user, request?.studentId) || ownsProperty(user, request?.property);
+
+// action -> (user, resource) => boolean. user may be undefined on public routes.
+// Actions with no resource argument are role-level checks usable as route middleware.
+const policies = {
+  // Listings
+  'property:view': (user, property) => property.status === 'APPROVED' || ownsProperty(user, property) || isStaff(user),
+  'property:create': (user) => isRole(user, ROLES.LANDLORD),
+  'property:list-own': (user) => isRole(user, ROLES.LANDLORD),
+  'property:update': (user, property) => ownsProperty(user, property),
+  'property:delete': (user, property) => ownsProperty(user, property),
+  'property:moderate': (user) => isStaff(user),
+  'property:revert': (user) => isAdmin(user),
+
+  // Viewing requests; resources include their property
+  'viewing:create': (user) => isRole(user, ROLES.STUDENT),
+  'viewing:list': (user) => isRole(user, ROLES.STUDENT) || isRole(user, ROLES.LANDLORD),
+  'viewing:respond': (user, request) => ownsProperty(user, request?.property),
+  'viewing:view': (user, request) => participatesInViewing(user, request),
+  'viewing:cancel': (user, request) => participatesInViewing(user, request),
+  'viewing:reschedule': (user, request) => participatesInViewing(user, request),
+  'viewing:manage-slots': (user, property) => ownsProperty(user, property),
+
+  // Reviews; edit/delete resources are reviews, reply resources include their property
+  'review:create': (user, property) => isRole(user, ROLES.STUDENT) && (!property || property.landlordId !== user.id),
+  'review:edit': (user, review) => isUser(user, review?.studentId),
+  'review:delete': (user, review) => isUser(user, review?.studentId) || isStaff(user),
+  'review:reply': (user, review) => ownsProperty(user, review?.property),
+
+  // Saved properties
+  'saved:manage': (user) => isRole(user, ROLES.STUDENT),
+  'saved:collection': (user, collection) => isRole(user, ROLES.STUDENT) && collection?.studentId === user.id,
+  'saved:search': (user, search) => isRole(user, ROLES.STUDENT) && search?.studentId === user.id,
+
+  // Chat: conversations are always between one student and one landlord
+  'chat:read': (user, conversation) => isUser(user, conversation?.studentId) || isUser(user, conversation?.landlordId),
+  'chat:message': (user, recipient) => (
+    (isRole(user, ROLES.STUDENT) && isRole(recipient, ROLES.LANDLORD))
+    || (isRole(user, ROLES.LANDLORD) && isRole(recipient, ROLES.STUDENT))
+  ),
+
+  // Reports: anyone signed in can report; staff work the queue
+  'flag:create': (user) => Boolean(user),
+  'flag:triage': (user) => isStaff(user),
+
+  // Back office
+  'admin:access': (user) => isAdmin(user),
+  'admin:invite': (user) => isAdmin(user),
+  'user:change-role': (user, target) => isAdmin(user) && target?.id !== user.id,
+  // Staff accounts can only be changed by an admin through their role, never suspended
+  'user:suspend': (user, target) => isStaff(user) && target?.id !== user?.id && !isStaff(target),
+  'user:delete': (user, target) => isAdmin(user) && target?.id !== user.id,
+};
+
+function can(user, action, resource) {
+  const policy = policies[action];
+  if (!policy) throw new Error(`Unknown permission action: ${action}`);
+  return Boolean(policy(user, resource));
+}
+
+module.exports = {
+  ROLES,
+  policies,
+  can,
+};
@@ -0,0 +1,218 @@
+const { escapeHtml } = require('./html');
+
+// Listing filters and keyword search for GET /properties. Saved searches use
+// the same filters, so they match exactly what the student saw when they ran it.
+
+// Filters a saved search can store
+const SEARCH_FILTERS = ['location', 'minPrice', 'maxPrice', 'roomType'];
+
+// Keeps the known filters that have a value; prices become numbers
+function normalizeFilters(input = {}) {
+  const filters = {};
+  if (input.location) filters.location = String(input.location);
+  if (input.minPrice !== undefined && input.minPrice !== null && input.minPrice !== '') {
+    filters.minPrice = parseFloat(input.minPrice);
+  }
+  if (input.maxPrice !== undefined && input.maxPrice !== null && input.maxPrice !== '') {
+    filters.maxPrice = parseFloat(input.maxPrice);
+  }
+  if (input.roomType) filters.roomType = input.roomType;
+  return filters;
+}
+
+// Prisma where clause for the location, price and room type filters
+function propertyFilters({ location, minPrice, maxPrice, roomType }) {
+  return {
+    // Table collation is case-insensitive, so contains already ignores case
+    ...(location && { location: { contains: location } }),
+    ...((minPrice || maxPrice) && {
+      price: {
+        ...(minPrice && { gte: parseFloat(minPrice) }),
+        ...(maxPrice && { lte: parseFloat(maxPrice) }),
+      },
+    }),
+    ...(roomType && { roomType }),
+  };
+}
+
+// Keyword search (?q=) over the FULLTEXT index on title, description and
+// location. MySQL has no typo tolerance, so query words that never appear in a
+// listing are expanded with close spellings from a vocabulary of listed words
+// before the index is queried.
+
+// innodb_ft_min_token_size: shorter words are not indexed
+const MIN_TERM_LENGTH = 3;
+const MAX_CORRECTIONS = 3;
+const MAX_VOCABULARY = 50000;
+// Newest approved listings the vocabulary is built from
+const VOCABULARY_LISTINGS = 2000;
+const VOCABULARY_TTL_MS = 10 * 60 * 1000;
+const SNIPPET_LENGTH = 160;
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+const tokenize = (text) => (String(text || '').toLowerCase().match(WORD) || [])
+  .filter(word => word.length >= MIN_TERM_LENGTH);
+
+// Spelling mistakes tolerated for a word of this length
+const maxTypos = (word) => (word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0);
+
+// Edit distance counting swapped neighbouring letters as one mistake
+// (optimal string alignment), or max + 1 once it is known to exceed max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Words used in the newest approved listings. Only the first load is waited
+// for; after VOCABULARY_TTL_MS searches keep using the old words while a
+// reload runs in the background.
+let vocabulary = { words: null, loadedAt: 0, loading: null };
+
+async function buildVocabulary(prisma) {
+  const listings = await prisma.property.findMany({
+    where: { status: 'APPROVED' },
+    select: { title: true, description: true, location: true },
+    orderBy: { createdAt: 'desc' },
+    take: VOCABULARY_LISTINGS,
+  });
+  const words = new Set();
+  for (const listing of listings) {
+    for (const word of tokenize(`${listing.title} ${listing.location} ${listing.description || ''}`)) {
+      if (words.size >= MAX_VOCABULARY) break;
+      words.add(word);
+    }
+  }
+  return words;
+}
+
+function reloadVocabulary(prisma) {
+  if (!vocabulary.loading) {
+    vocabulary.loading = buildVocabulary(prisma)
+      .then((words) => {
+        vocabulary = { words, loadedAt: Date.now(), loading: null };
+        return words;
+      })
+      .catch((err) => {
+        vocabulary.loading = null;
+        throw err;
+      });
+  }
+  return vocabulary.loading;
+}
+
+async function loadVocabulary(prisma) {
+  if (!vocabulary.words) return reloadVocabulary(prisma);
+  if (Date.now() - vocabulary.loadedAt >= VOCABULARY_TTL_MS) {
+    reloadVocabulary(prisma).catch(err => console.error('Failed to reload the search vocabulary:', err));
+  }
+  return vocabulary.words;
+}
+
+// Each query word with the spellings to search for it: the word itself plus,
+// when no listed word starts with it, the closest listed words
+async function expandQuery(prisma, q) {
+  const words = await loadVocabulary(prisma);
+  return [...new Set(tokenize(q))].map((term) => {
+    const known = [...words].some(word => word.startsWith(term));
+    const typos = maxTypos(term);
+    if (known || !typos) return [term];
+    const corrections = [...words]
+      .map(word => ({ word, distance: editDistance(term, word, typos) }))
+      .filter(({ distance }) => distance <= typos)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, MAX_CORRECTIONS)
+      .map(({ word }) => word);
+    return [term, ...corrections];
+  });
+}
+
+// Runs a keyword search and returns { terms, scores } where scores maps the ids
+// of all matching approved listings to their relevance. Any one term is enough
+// to match (terms also match as word prefixes); listings with more and rarer
+// terms rank higher. The ids are not capped: the caller's other filters narrow
+// them, so cutting the list here would drop listings that pass those filters.
+async function searchProperties(prisma, q) {
+  const terms = await expandQuery(prisma, q);
+  if (!terms.length) return { terms, scores: new Map() };
+
+  const against = terms.map(variants => `(${variants.map(variant => `${variant}*`).join(' ')})`).join(' ');
+  const rows = await prisma.$queryRaw`
+    SELECT id, MATCH(title, description, location) AGAINST (${against} IN BOOLEAN MODE) AS score
+    FROM properties
+    WHERE status = 'APPROVED'
+      AND MATCH(title, description, location) AGAINST (${against} IN BOOLEAN MODE)
+    ORDER BY score DESC`;
+  return { terms, scores: new Map(rows.map(row => [row.id, Number(row.score)])) };
+}
+
+// Pattern for words starting with any searched spelling
+const termPattern = (terms) => new RegExp(
+  `(?<![\\p{L}\\p{N}])(?:${terms.flat().join('|')})[\\p{L}\\p{N}]*`,
+  'giu',
+);
+
+// HTML-escapes text and wraps the matched words in <mark>. Matching happens
+// before escaping so a search for "amp" cannot split an entity.
+function mark(text, pattern) {
+  let html = '';
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    html += `${escapeHtml(text.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  return html + escapeHtml(text.slice(last));
+}
+
+// Up to SNIPPET_LENGTH characters of text from shortly before its first match
+function snippet(text, pattern) {
+  pattern.lastIndex = 0;
+  const first = pattern.exec(text);
+  pattern.lastIndex = 0;
+  let start = first ? Math.max(0, first.index - SNIPPET_LENGTH / 4) : 0;
+  // Start on a word boundary
+  const space = text.indexOf(' ', start);
+  if (start > 0 && space !== -1 && space < first.index) start = space + 1;
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+}
+
+// Highlighted, HTML-escaped title and location plus a description snippet
+function highlightProperty(property, terms) {
+  if (!terms.length) return null;
+  const pattern = termPattern(terms);
+  return {
+    title: mark(property.title, pattern),
+    location: mark(property.location, pattern),
+    description: property.description ? mark(snippet(property.description, pattern), pattern) : null,
+  };
+}
+
+module.exports = {
+  SEARCH_FILTERS,
+  normalizeFilters,
+  propertyFilters,
+  editDistance,
+  searchProperties,
+  highlightProperty,
+};
@@ -0,0 +1,143 @@
+const { AMENITIES } = require('./amenities');
+const { notifySavedListingChange } = require('./savedAlerts');
+
+// Content history of listings. Creating, editing and reverting a listing each
+// store a numbered version holding the fields that changed (old and new value)
+// and a snapshot of every versioned field, which admins can restore later.
+
+// Everything landlords write on a listing
+const VERSIONED_FIELDS = [
+  'title', 'description', 'price', 'roomType', 'location', 'latitude', 'longitude',
+  ...AMENITIES, 'genderRestriction', 'leaseMonths', 'availableFrom',
+];
+
+// JSON form of a column value: decimals and dates as strings
+const jsonValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return value.toString();
+  return value;
+};
+
+const snapshotOf = (property) => Object.fromEntries(
+  VERSIONED_FIELDS.map(field => [field, jsonValue(property[field])]),
+);
+
+// { field: { from, to } } for the fields that differ between two snapshots
+const diffSnapshots = (before, after) => Object.fromEntries(
+  VERSIONED_FIELDS
+    .filter(field => after[field] !== undefined && before[field] !== after[field])
+    .map(field => [field, { from: before[field] ?? null, to: after[field] }]),
+);
+
+// Stores property (as saved) as its next version. With before, only a change
+// to a versioned field is recorded; returns null when nothing changed. Callers
+// updating an existing listing must hold its row lock (see updateVersionedProperty).
+async function recordVersion(tx, property, { type, changedById, before = null, revertedFrom = null }) {
+  const snapshot = snapshotOf(property);
+  const changes = before ? diffSnapshots(snapshotOf(before), snapshot) : {};
+  if (before && !Object.keys(changes).length) return null;
+
+  const { _max } = await tx.propertyVersion.aggregate({
+    where: { propertyId: property.id },
+    _max: { version: true },
+  });
+  return tx.propertyVersion.create({
+    data: {
+      propertyId: property.id,
+      version: (_max.version || 0) + 1,
+      type,
+      changedById,
+      changes,
+      snapshot,
+      price: property.price,
+      listed: property.status === 'APPROVED',
+      revertedFrom,
+    },
+  });
+}
+
+// Creates a listing together with its first version
+function createVersionedProperty(prisma, data, userId) {
+  return prisma.$transaction(async (tx) => {
+    const property = await tx.property.create({ data });
+    await recordVersion(tx, property, { type: 'CREATE', changedById: userId });
+    return property;
+  });
+}
+
+// Updates a listing (before is its current row) and records what changed.
+// The property row is locked first so concurrent edits are numbered one after
+// the other, and the diff is taken against the row as it is under the lock.
+function updateVersionedProperty(prisma, before, data, userId, { type = 'UPDATE', revertedFrom } = {}) {
+  return prisma.$transaction(async (tx) => {
+    await tx.$queryRaw`SELECT id FROM properties WHERE id = ${before.id} FOR UPDATE`;
+    const current = await tx.property.findUnique({ where: { id: before.id } });
+    const property = await tx.property.update({ where: { id: before.id }, data });
+    await recordVersion(tx, property, {
+      type, changedById: userId, before: current, revertedFrom,
+    });
+    return property;
+  });
+}
+
+// Restores the content of an earlier version; the status is left alone. The
+// revert is itself recorded as a new version. Returns { property } or { status, error }.
+async function revertToVersion(prisma, propertyId, version, adminId) {
+  const [property, target] = await Promise.all([
+    prisma.property.findUnique({ where: { id: propertyId } }),
+    prisma.propertyVersion.findUnique({ where: { propertyId_version: { propertyId, version } } }),
+  ]);
+  if (!property || !target) return { status: 404, error: 'Version not found' };
+
+  const changes = diffSnapshots(snapshotOf(property), target.snapshot);
+  if (!Object.keys(changes).length) return { status: 409, error: 'The listing already matches this version' };
+
+  const data = Object.fromEntries(Object.entries(changes).map(([field, { to }]) => [field, to]));
+  const updated = await updateVersionedProperty(prisma, property, data, adminId, { type: 'REVERT', revertedFrom: version });
+  notifySavedListingChange(prisma, property, updated);
+  return { property: updated };
+}
+
+// Prices the listing was publicly listed at, oldest first, with when each took
+// effect. A price goes live when a change is saved while the listing is
+// APPROVED, or when a moderator approves the listing at its current price;
+// prices of drafts, pending edits and declined listings are never shown.
+async function priceHistory(prisma, propertyId) {
+  const [versions, approvals] = await Promise.all([
+    prisma.propertyVersion.findMany({
+      where: { propertyId },
+      select: { price: true, listed: true, createdAt: true },
+      orderBy: { version: 'asc' },
+    }),
+    prisma.listingModeration.findMany({
+      where: { propertyId, toStatus: 'APPROVED' },
+      select: { createdAt: true },
+    }),
+  ]);
+
+  // The price in effect at a moment: that of the last version saved by then
+  const priceAt = (moment) => versions.filter(version => version.createdAt <= moment).pop()?.price;
+
+  const live = [
+    ...versions.filter(version => version.listed).map(version => ({ price: version.price, at: version.createdAt })),
+    ...approvals.map(approval => ({ price: priceAt(approval.createdAt), at: approval.createdAt })),
+  ]
+    .filter(point => point.price !== undefined)
+    .sort((a, b) => a.at - b.at);
+
+  const history = [];
+  for (const { price, at } of live) {
+    const value = price.toString();
+    if (history[history.length - 1]?.price !== value) history.push({ price: value, changedAt: at });
+  }
+  return history;
+}
+
+module.exports = {
+  VERSIONED_FIELDS,
+  createVersionedProperty,
+  updateVersionedProperty,
+  revertToVersion,
+  priceHistory,
+};
@@ -0,0 +1,70 @@
+// Categories students rate separately from the overall rating. Each is stored
+// as <category>Rating: the 1-5 score on a review, the average on a property.
+const RATING_CATEGORIES = ['cleanliness', 'responsiveness', 'value', 'safety', 'location'];
+
+const categoryColumn = (category) => `${category}Rating`;
+
+// Prisma _avg selection for the overall rating plus every category
+const averageSelect = () => Object.fromEntries(
+  ['rating', ...RATING_CATEGORIES.map(categoryColumn)].map(column => [column, true])
+);
+
+// Recomputes the denormalised rating columns on a property so listings
+// can be sorted and filtered by rating without aggregating on every query.
+async function refreshPropertyRating(prisma, propertyId) {
+  const { _avg, _count } = await prisma.review.aggregate({
+    where: { propertyId },
+    _avg: averageSelect(),
+    _count: { _all: true },
+  });
+
+  return prisma.property.update({
+    where: { id: propertyId },
+    data: {
+      averageRating: _avg.rating,
+      reviewCount: _count._all,
+      ...Object.fromEntries(RATING_CATEGORIES.map(category => [
+        categoryColumn(category), _avg[categoryColumn(category)],
+      ])),
+    },
+  });
+}
+
+const roundRating = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+// Average rating, review count, how many reviews gave each star rating and the
+// average of each category, for the reviews matching where (one property, or
+// every property of a landlord). Categories nobody rated average to null.
+async function ratingSummary(prisma, where) {
+  const [groups, { _avg }] = await Promise.all([
+    prisma.review.groupBy({
+      by: ['rating'],
+      where,
+      _count: { _all: true },
+    }),
+    prisma.review.aggregate({ where, _avg: averageSelect() }),
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let total = 0;
+  for (const group of groups) {
+    distribution[group.rating] = group._count._all;
+    total += group._count._all;
+  }
+
+  return {
+    averageRating: roundRating(_avg.rating),
+    reviewCount: total,
+    distribution,
+    categories: Object.fromEntries(RATING_CATEGORIES.map(category => [
+      category, roundRating(_avg[categoryColumn(category)]),
+    ])),
+  };
+}
+
+module.exports = {
+  RATING_CATEGORIES,
+  categoryColumn,
+  refreshPropertyRating,
+  ratingSummary,
+};
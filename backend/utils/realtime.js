@@ -0,0 +1,199 @@
+const { WebSocketServer } = require('ws');
+const { PrismaClient } = require('@prisma/client');
+const { verifyToken } = require('./auth');
+const { ACCOUNT_STATE_SELECT, accountRestriction } = require('./accounts');
+const { isSessionActive } = require('./sessions');
+const {
+  findConversationForUser,
+  otherParticipantId,
+  sendMessage,
+  markDelivered,
+  markConversationRead,
+  MAX_MESSAGE_LENGTH,
+} = require('./chat');
+
+const prisma = new PrismaClient();
+
+const CHAT_SOCKET_PATH = '/chat/ws';
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+// userId -> open sockets (a user may have several tabs or devices connected)
+const connections = new Map();
+
+// Pushes an event to every open socket of a user. Frames are { type, data } JSON.
+function emitToUser(userId, type, data) {
+  const sockets = connections.get(userId);
+  if (!sockets) return;
+  const frame = JSON.stringify({ type, data });
+  for (const socket of sockets) {
+    if (socket.readyState === socket.OPEN) socket.send(frame);
+  }
+}
+
+// Broadcasts a newly persisted message to both participants
+function publishMessage(message) {
+  emitToUser(message.senderId, 'message:new', message);
+  emitToUser(message.receiverId, 'message:new', message);
+}
+
+// Same JWT, session and account checks as authenticateToken, read from ?token= (browsers
+// cannot set headers on a WebSocket handshake) or from the Authorization header
+async function authenticateUpgrade(req) {
+  const url = new URL(req.url, 'http://localhost');
+  const token = url.searchParams.get('token') || req.headers['authorization']?.split(' ')[1];
+  if (!token) return null;
+  let user;
+  try {
+    user = verifyToken(token, process.env.ACCESS_TOKEN_SECRET);
+  } catch (err) {
+    return null;
+  }
+  const [account, sessionActive] = await Promise.all([
+    prisma.user.findUnique({ where: { id: user.id }, select: ACCOUNT_STATE_SELECT }),
+    isSessionActive(prisma, user.id, user.sid),
+  ]);
+  return accountRestriction(account) || !sessionActive ? null : user;
+}
+
+function register(userId, socket) {
+  if (!connections.has(userId)) connections.set(userId, new Set());
+  connections.get(userId).add(socket);
+}
+
+function unregister(userId, socket) {
+  const sockets = connections.get(userId);
+  if (!sockets) return;
+  sockets.delete(socket);
+  if (!sockets.size) connections.delete(userId);
+}
+
+const send = (socket, type, data) => socket.send(JSON.stringify({ type, data }));
+
+// Tells the other participant how far userId has read in a conversation
+function publishRead(conversation, userId, upToMessageId, readAt) {
+  emitToUser(otherParticipantId(conversation, userId), 'conversation:read', {
+    conversationId: conversation.id,
+    readerId: userId,
+    upToMessageId: upToMessageId || null,
+    readAt,
+  });
+}
+
+// Client -> server events
+const handlers = {
+  // { recipientId, content, clientId? } - clientId is echoed back so the sender can match the ack
+  async 'message:send'(user, socket, data) {
+    const result = await sendMessage(prisma, user, {
+      recipientId: parseInt(data.recipientId),
+      content: data.content,
+    });
+    if (result.error) return send(socket, 'error', { error: result.error, clientId: data.clientId });
+    send(socket, 'message:sent', { clientId: data.clientId, message: result.message });
+    publishMessage(result.message);
+  },
+
+  // { conversationId, isTyping }
+  async typing(user, socket, data) {
+    const conversation = await findConversationForUser(prisma, parseInt(data.conversationId), user.id);
+    if (!conversation) return send(socket, 'error', { error: 'Access denied' });
+    emitToUser(otherParticipantId(conversation, user.id), 'typing', {
+      conversationId: conversation.id,
+      userId: user.id,
+      isTyping: Boolean(data.isTyping),
+    });
+  },
+
+  // { messageId } - sent by the receiver once a message is shown on their device
+  async 'message:delivered'(user, socket, data) {
+    const result = await markDelivered(prisma, parseInt(data.messageId), user.id);
+    if (result.error) return send(socket, 'error', { error: result.error });
+    if (result.alreadyDelivered) return;
+    emitToUser(result.message.senderId, 'message:delivered', {
+      messageId: result.message.id,
+      conversationId: result.message.conversationId,
+      deliveredAt: result.message.deliveredAt,
+    });
+  },
+
+  // { conversationId, upToMessageId? } - same as POST /chat/conversations/:id/read
+  async 'conversation:read'(user, socket, data) {
+    const conversation = await findConversationForUser(prisma, parseInt(data.conversationId), user.id);
+    if (!conversation) return send(socket, 'error', { error: 'Access denied' });
+    const upToMessageId = data.upToMessageId ? parseInt(data.upToMessageId) : null;
+    const { count, readAt } = await markConversationRead(prisma, conversation, user.id, upToMessageId);
+    if (count) publishRead(conversation, user.id, upToMessageId, readAt);
+  },
+};
+
+// Attaches the chat WebSocket endpoint to the HTTP server at /chat/ws
+function attachChatSocket(server) {
+  // Frames larger than a maximum-length message (up to 6 bytes per character once
+  // JSON-escaped) plus room for the envelope are refused before they are parsed
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_LENGTH * 6 + 1024 });
+
+  server.on('upgrade', async (req, socket, head) => {
+    if (new URL(req.url, 'http://localhost').pathname !== CHAT_SOCKET_PATH) return;
+
+    let user;
+    try {
+      user = await authenticateUpgrade(req);
+    } catch (err) {
+      console.error('Chat socket auth error:', err);
+      socket.write('HTTP/1.1 500 Internal Server Error\r\n\r\n');
+      return socket.destroy();
+    }
+    if (!user) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      return socket.destroy();
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, user));
+  });
+
+  wss.on('connection', (socket, user) => {
+    socket.isAlive = true;
+    register(user.id, socket);
+
+    socket.on('pong', () => { socket.isAlive = true; });
+    socket.on('close', () => unregister(user.id, socket));
+    socket.on('message', async (raw) => {
+      let frame;
+      try {
+        frame = JSON.parse(raw);
+      } catch (err) {
+        return send(socket, 'error', { error: 'Invalid JSON' });
+      }
+
+      const handler = handlers[frame?.type];
+      if (!handler) return send(socket, 'error', { error: `Unknown event type: ${frame?.type}` });
+      try {
+        await handler(user, socket, frame.data || {});
+      } catch (err) {
+        console.error('Chat socket error:', err);
+        send(socket, 'error', { error: 'Internal server error' });
+      }
+    });
+  });
+
+  // Drop connections that stopped answering pings
+  const heartbeat = setInterval(() => {
+    for (const socket of wss.clients) {
+      if (!socket.isAlive) {
+        socket.terminate();
+        continue;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return wss;
+}
+
+module.exports = {
+  CHAT_SOCKET_PATH,
+  attachChatSocket,
+  emitToUser,
+  publishMessage,
+  publishRead,
+};
@@ -0,0 +1,38 @@
+const { revokeUserSessions } = require('./sessions');
+
+// Roles anyone can pick at signup; the others are only granted by an admin
+const SELF_ASSIGNABLE_ROLES = ['STUDENT', 'LANDLORD'];
+const INVITABLE_ROLES = ['ADMIN', 'MODERATOR'];
+
+// Writes a role change and its audit row with tx, a client or interactive
+// transaction. Callers revoke the user's sessions once it is committed.
+async function recordRoleChange(tx, user, toRole, { changedById = null, reason = null } = {}) {
+  const updated = await tx.user.update({ where: { id: user.id }, data: { role: toRole } });
+  await tx.roleChange.create({
+    data: {
+      userId: user.id,
+      fromRole: user.role,
+      toRole,
+      changedById,
+      reason,
+    },
+  });
+  return updated;
+}
+
+// Changes a user's role and records the change. The user's sessions are revoked
+// so tokens carrying the old role cannot outlive the change.
+async function changeUserRole(prisma, user, toRole, change = {}) {
+  if (user.role === toRole) return user;
+
+  const updated = await prisma.$transaction(tx => recordRoleChange(tx, user, toRole, change));
+  await revokeUserSessions(prisma, user.id, { reason: 'role_changed' });
+  return updated;
+}
+
+module.exports = {
+  SELF_ASSIGNABLE_ROLES,
+  INVITABLE_ROLES,
+  recordRoleChange,
+  changeUserRole,
+};
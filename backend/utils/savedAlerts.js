@@ -0,0 +1,45 @@
+const { sendPriceDropEmail, sendListingUnavailableEmail } = require('./email');
+
+// Emails students who saved a listing, with alerts on, when it gets cheaper or
+// stops being listed. Alerts go out in the background after the change is
+// saved; failures are logged rather than reaching the request that made it.
+
+async function notifySavers(prisma, propertyId, send) {
+  const saved = await prisma.savedProperty.findMany({
+    where: { propertyId, alertsEnabled: true, student: { deletedAt: null } },
+    include: { student: { select: { email: true } } },
+  });
+  for (const item of saved) {
+    try {
+      await send(item.student.email);
+    } catch (err) {
+      console.error('Failed to send saved property alert:', err);
+    }
+  }
+}
+
+// Compares a listing before and after a change (both property rows) and sends
+// whichever alert applies: unavailable when it leaves APPROVED, price drop when
+// a listed property's price goes down. An approved listing sent back for review
+// after an edit is only briefly unlisted, so it gets the price check instead.
+async function sendSavedListingAlerts(prisma, before, after) {
+  const reReview = before.status === 'APPROVED' && after.status === 'PENDING';
+  if (before.status === 'APPROVED' && after.status !== 'APPROVED' && !reReview) {
+    await notifySavers(prisma, after.id, to => sendListingUnavailableEmail(to, { propertyTitle: after.title }));
+  } else if ((after.status === 'APPROVED' || reReview) && Number(after.price) < Number(before.price)) {
+    await notifySavers(prisma, after.id, to => sendPriceDropEmail(to, {
+      propertyTitle: after.title,
+      oldPrice: before.price.toString(),
+      newPrice: after.price.toString(),
+    }));
+  }
+}
+
+// Starts sendSavedListingAlerts without waiting for it, so a listing with many
+// savers does not hold up the response
+function notifySavedListingChange(prisma, before, after) {
+  sendSavedListingAlerts(prisma, before, after)
+    .catch(err => console.error('Failed to send saved property alerts:', err));
+}
+
+module.exports = { notifySavedListingChange };
@@ -0,0 +1,124 @@
+const { sendSavedSearchDigestEmail } = require('./email');
+const { propertyFilters } = require('./propertySearch');
+const { signId } = require('./tokens');
+
+// Background job emailing students the listings that first went live since a
+// saved search was last checked. INSTANT searches are checked on every run, DAILY and WEEKLY
+// ones once their period has passed.
+
+const UNSUBSCRIBE_PURPOSE = 'saved-search-unsubscribe';
+
+// Most listings listed in one digest; the newest are kept
+const DIGEST_LIMIT = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FREQUENCY_PERIOD_MS = {
+  INSTANT: 0,
+  DAILY: DAY_MS,
+  WEEKLY: 7 * DAY_MS,
+};
+
+const DEFAULT_INTERVAL_MINUTES = 15;
+
+const unsubscribeToken = (searchId) => signId(UNSUBSCRIBE_PURPOSE, searchId);
+
+// Searches with alerts on whose period has passed
+function dueSearches(prisma, now) {
+  return prisma.savedSearch.findMany({
+    where: {
+      alertsEnabled: true,
+      student: { deletedAt: null },
+      OR: Object.entries(FREQUENCY_PERIOD_MS).map(([frequency, period]) => ({
+        frequency,
+        lastCheckedAt: { lte: new Date(now.getTime() - period) },
+      })),
+    },
+    include: { student: { select: { email: true } } },
+  });
+}
+
+// Listings matching the search that were first approved in (since, until].
+// Re-approvals after a hide or a re-review don't make a listing new again.
+function newMatches(prisma, search, since, until) {
+  return prisma.property.findMany({
+    where: {
+      ...propertyFilters(search.filters || {}),
+      status: 'APPROVED',
+      approvedAt: { gt: since, lte: until },
+    },
+    select: { id: true, title: true, location: true, price: true, roomType: true },
+    orderBy: { approvedAt: 'desc' },
+    take: DIGEST_LIMIT,
+  });
+}
+
+// Checks one search and emails its digest. lastCheckedAt is claimed with a
+// conditional update first so two servers running the job never send the same
+// digest; it is put back when the lookup or the email fails so the listings go
+// out next run.
+async function processSearch(prisma, search, now) {
+  const { count } = await prisma.savedSearch.updateMany({
+    where: { id: search.id, lastCheckedAt: search.lastCheckedAt },
+    data: { lastCheckedAt: now },
+  });
+  if (!count) return false;
+
+  try {
+    const properties = await newMatches(prisma, search, search.lastCheckedAt, now);
+    if (!properties.length) return false;
+
+    await sendSavedSearchDigestEmail(search.student.email, {
+      searchName: search.name,
+      properties: properties.map(property => ({ ...property, price: property.price.toString() })),
+      unsubscribeToken: unsubscribeToken(search.id),
+    });
+    return true;
+  } catch (err) {
+    console.error('Failed to send saved search digest:', err);
+    await prisma.savedSearch.updateMany({
+      where: { id: search.id, lastCheckedAt: now },
+      data: { lastCheckedAt: search.lastCheckedAt },
+    });
+    return false;
+  }
+}
+
+// Runs the job once and returns the number of digests sent
+async function runSavedSearchAlerts(prisma, now = new Date()) {
+  let sent = 0;
+  for (const search of await dueSearches(prisma, now)) {
+    try {
+      if (await processSearch(prisma, search, now)) sent += 1;
+    } catch (err) {
+      console.error(`Saved search ${search.id} alert failed:`, err);
+    }
+  }
+  return sent;
+}
+
+// Runs the job every SAVED_SEARCH_ALERT_INTERVAL_MINUTES (default 15). A run
+// still in progress makes the next tick skip rather than overlap it.
+function startSavedSearchAlerts(prisma) {
+  const minutes = parseFloat(process.env.SAVED_SEARCH_ALERT_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runSavedSearchAlerts(prisma);
+    } catch (err) {
+      console.error('Saved search alerts failed:', err);
+    } finally {
+      running = false;
+    }
+  }, minutes * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  UNSUBSCRIBE_PURPOSE,
+  unsubscribeToken,
+  runSavedSearchAlerts,
+  startSavedSearchAlerts,
+};
@@ -0,0 +1,128 @@
+const { newToken, hashToken } = require('./tokens');
+
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const REFRESH_COOKIE = 'refreshToken';
+
+const refreshCookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+  maxAge: SESSION_TTL_MS,
+};
+
+function clientInfo(req) {
+  return {
+    userAgent: req.headers['user-agent']?.slice(0, 512) || null,
+    ipAddress: req.ip || null,
+  };
+}
+
+async function issueRefreshToken(prisma, session) {
+  const token = newToken();
+  await prisma.refreshToken.create({
+    data: {
+      sessionId: session.id,
+      tokenHash: hashToken(token),
+      expiresAt: session.expiresAt,
+    },
+  });
+  return token;
+}
+
+// Starts a session for a fresh sign-in and returns its first refresh token
+async function createSession(prisma, user, req) {
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      expiresAt: new Date(Date.now() + SESSION_TTL_MS),
+      ...clientInfo(req),
+    },
+  });
+  const refreshToken = await issueRefreshToken(prisma, session);
+  return { session, refreshToken };
+}
+
+async function revokeSession(prisma, sessionId, reason) {
+  return prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+}
+
+// Signs a user out everywhere, optionally keeping the session they are using
+async function revokeUserSessions(prisma, userId, { exceptSessionId, reason } = {}) {
+  return prisma.session.updateMany({
+    where: {
+      userId,
+      revokedAt: null,
+      ...(exceptSessionId && { id: { not: exceptSessionId } }),
+    },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+}
+
+// Exchanges a refresh token for a new one in the same session.
+// A token can be used once: presenting it again means it leaked, so the
+// whole session (every token in the family) is revoked.
+async function rotateRefreshToken(prisma, token, req) {
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: { session: { include: { user: true } } },
+  });
+  if (!stored) return { error: 'Invalid refresh token' };
+
+  const { session } = stored;
+  if (session.revokedAt) return { error: 'Session has been revoked' };
+  if (stored.expiresAt < new Date() || session.expiresAt < new Date()) {
+    return { error: 'Refresh token expired' };
+  }
+
+  // Claim the token atomically so two concurrent refreshes cannot both succeed
+  const { count } = await prisma.refreshToken.updateMany({
+    where: { id: stored.id, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+  if (!count) {
+    await revokeSession(prisma, session.id, 'refresh_token_reuse');
+    return { error: 'Refresh token reuse detected' };
+  }
+
+  await prisma.session.update({
+    where: { id: session.id },
+    data: { lastUsedAt: new Date(), ...clientInfo(req) },
+  });
+  const refreshToken = await issueRefreshToken(prisma, session);
+  return { user: session.user, session, refreshToken };
+}
+
+// Whether an access token's session (its sid) is still signed in. Checked on
+// every authenticated request so revoking a session cuts off its access token
+// straight away instead of when the token expires.
+async function isSessionActive(prisma, userId, sessionId) {
+  if (!sessionId) return false;
+  const session = await prisma.session.findUnique({
+    where: { id: sessionId },
+    select: { userId: true, revokedAt: true, expiresAt: true },
+  });
+  return Boolean(session) && session.userId === userId && !session.revokedAt && session.expiresAt > new Date();
+}
+
+// Session the refresh cookie belongs to, or null
+async function findSessionByToken(prisma, token) {
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+    select: { sessionId: true },
+  });
+  return stored?.sessionId || null;
+}
+
+module.exports = {
+  REFRESH_COOKIE,
+  refreshCookieOptions,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  isSessionActive,
+  findSessionByToken,
+};
@@ -0,0 +1,110 @@
+const { createReadStream } = require('fs');
+const fs = require('fs/promises');
+const path = require('path');
+
+// Pluggable file storage for uploaded media. Every driver exposes
+//   put(key, buffer, contentType) -> public URL
+//   putFile(key, filePath, contentType) -> public URL, streaming a file from disk
+//   remove(key)
+// and is picked with STORAGE_DRIVER (local by default, or s3).
+
+// Files on local disk under UPLOAD_DIR, served by the app at /uploads
+function createLocalStorage({
+  root = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'),
+  baseUrl = process.env.UPLOAD_BASE_URL || '/uploads',
+} = {}) {
+  return {
+    driver: 'local',
+    root,
+    async put(key, buffer) {
+      const target = path.join(root, key);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, buffer);
+      return `${baseUrl}/${key}`;
+    },
+    async putFile(key, filePath) {
+      const target = path.join(root, key);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.copyFile(filePath, target);
+      return `${baseUrl}/${key}`;
+    },
+    async remove(key) {
+      await fs.rm(path.join(root, key), { force: true });
+    },
+  };
+}
+
+// Any S3-compatible bucket (AWS, MinIO, R2...). The SDK is only loaded when this
+// driver is selected so local setups don't need it installed.
+function createS3Storage({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || 'us-east-1',
+  endpoint = process.env.S3_ENDPOINT,
+  publicUrl = process.env.S3_PUBLIC_URL,
+} = {}) {
+  let sdk;
+  try {
+    sdk = require('@aws-sdk/client-s3');
+  } catch (err) {
+    throw new Error('STORAGE_DRIVER=s3 requires the @aws-sdk/client-s3 package to be installed');
+  }
+  if (!bucket) throw new Error('STORAGE_DRIVER=s3 requires S3_BUCKET');
+
+  const client = new sdk.S3Client({
+    region,
+    ...(endpoint && { endpoint, forcePathStyle: true }),
+  });
+  const base = publicUrl || (endpoint
+    ? `${endpoint.replace(/\/$/, '')}/${bucket}`
+    : `https://${bucket}.s3.${region}.amazonaws.com`);
+
+  return {
+    driver: 's3',
+    async put(key, buffer, contentType) {
+      await client.send(new sdk.PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType,
+      }));
+      return `${base}/${key}`;
+    },
+    async putFile(key, filePath, contentType) {
+      const { size } = await fs.stat(filePath);
+      await client.send(new sdk.PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: createReadStream(filePath),
+        ContentLength: size,
+        ContentType: contentType,
+      }));
+      return `${base}/${key}`;
+    },
+    async remove(key) {
+      await client.send(new sdk.DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+}
+
+const drivers = {
+  local: createLocalStorage,
+  s3: createS3Storage,
+};
+
+let storage;
+
+// The configured storage driver, created on first use
+function getStorage() {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[driver]) throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+    storage = drivers[driver]();
+  }
+  return storage;
+}
+
+module.exports = {
+  createLocalStorage,
+  createS3Storage,
+  getStorage,
+};
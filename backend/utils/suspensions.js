@@ -0,0 +1,29 @@
+const { revokeUserSessions } = require('./sessions');
+
+// Whether a user is suspended right now. Suspensions without an end date last until lifted.
+const isSuspended = (user, now = new Date()) => Boolean(user?.suspendedAt)
+  && (!user.suspendedUntil || user.suspendedUntil > now);
+
+// Suspends a user until `until` (indefinitely when null) and signs them out everywhere
+async function suspendUser(prisma, userId, { until = null, reason = null } = {}) {
+  const user = await prisma.user.update({
+    where: { id: userId },
+    data: { suspendedAt: new Date(), suspendedUntil: until, suspensionReason: reason },
+  });
+  await revokeUserSessions(prisma, userId, { reason: 'suspended' });
+  return user;
+}
+
+// Ends a suspension early
+async function liftSuspension(prisma, userId) {
+  return prisma.user.update({
+    where: { id: userId },
+    data: { suspendedAt: null, suspendedUntil: null, suspensionReason: null },
+  });
+}
+
+module.exports = {
+  isSuspended,
+  suspendUser,
+  liftSuspension,
+};
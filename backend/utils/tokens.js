@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+
+// Opaque random tokens sent to users; only their SHA-256 hash is stored
+const newToken = () => crypto.randomBytes(48).toString('base64url');
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issues a single-use token for purpose (a TokenPurpose) and returns the raw value.
+// Earlier unused tokens for the same purpose stop working.
+async function issueUserToken(prisma, userId, purpose, ttlMs) {
+  const token = newToken();
+  await prisma.$transaction([
+    prisma.userToken.updateMany({
+      where: { userId, purpose, usedAt: null },
+      data: { usedAt: new Date() },
+    }),
+    prisma.userToken.create({
+      data: {
+        userId,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + ttlMs),
+      },
+    }),
+  ]);
+  return token;
+}
+
+// Marks a token as used and returns it, or null when it is unknown, for another
+// purpose, expired or already used. The update is atomic so a token works once.
+async function consumeUserToken(prisma, token, purpose) {
+  if (!token) return null;
+  const tokenHash = hashToken(token);
+  const { count } = await prisma.userToken.updateMany({
+    where: {
+      tokenHash,
+      purpose,
+      usedAt: null,
+      expiresAt: { gt: new Date() },
+    },
+    data: { usedAt: new Date() },
+  });
+  if (!count) return null;
+  return prisma.userToken.findUnique({ where: { tokenHash } });
+}
+
+// Stateless "<id>.<signature>" tokens for links that must keep working without a
+// stored token, such as one-click unsubscribe links in emails. purpose keeps a
+// token for one kind of link from being accepted by another.
+const signingSecret = () => process.env.LINK_SIGNING_SECRET || process.env.ACCESS_TOKEN_SECRET;
+const signature = (purpose, id) => crypto
+  .createHmac('sha256', signingSecret())
+  .update(`${purpose}:${id}`)
+  .digest('base64url');
+
+const signId = (purpose, id) => `${id}.${signature(purpose, id)}`;
+
+// Returns the id in a signed token, or null when the signature does not match
+function verifySignedId(purpose, token) {
+  const match = /^(\d+)\.([\w-]+)$/.exec(token || '');
+  if (!match) return null;
+  const expected = Buffer.from(signature(purpose, match[1]));
+  const given = Buffer.from(match[2]);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  return parseInt(match[1]);
+}
+
+module.exports = {
+  newToken,
+  hashToken,
+  signId,
+  verifySignedId,
+  issueUserToken,
+  consumeUserToken,
+};
@@ -0,0 +1,123 @@
+const { can } = require('./policies');
+const { sendViewingStatusEmail } = require('./email');
+
+// Viewing lifecycle: PENDING -> APPROVED | REJECTED, APPROVED -> COMPLETED | NO_SHOW
+// once the viewing time has passed, and either side can cancel before then.
+// Students move their own requests; landlords move requests for their properties.
+const STUDENT_TRANSITIONS = {
+  PENDING: ['CANCELLED_BY_STUDENT'],
+  APPROVED: ['CANCELLED_BY_STUDENT'],
+};
+
+const LANDLORD_TRANSITIONS = {
+  PENDING: ['APPROVED', 'REJECTED', 'CANCELLED_BY_LANDLORD'],
+  APPROVED: ['CANCELLED_BY_LANDLORD', 'COMPLETED', 'NO_SHOW'],
+};
+
+// Outcomes that can only be recorded after the viewing time
+const AFTER_VIEWING = ['COMPLETED', 'NO_SHOW'];
+
+// Statuses in which the viewing gives up its slot
+const RELEASES_SLOT = ['REJECTED', 'CANCELLED_BY_STUDENT', 'CANCELLED_BY_LANDLORD'];
+
+// Which side of a request (loaded with its property) the user is on, or null
+function viewingSide(user, request) {
+  if (request.studentId === user?.id) return 'student';
+  if (can(user, 'viewing:respond', request)) return 'landlord';
+  return null;
+}
+
+function canTransition(side, from, to) {
+  const transitions = side === 'student' ? STUDENT_TRANSITIONS : LANDLORD_TRANSITIONS;
+  return (transitions[from] || []).includes(to);
+}
+
+// The cancellation status for whichever side is cancelling
+const cancelledStatus = (side) => (side === 'student' ? 'CANCELLED_BY_STUDENT' : 'CANCELLED_BY_LANDLORD');
+
+const viewingInclude = {
+  property: { include: { landlord: { select: { id: true, name: true, email: true } } } },
+  student: { select: { id: true, name: true, email: true } },
+};
+
+// Emails the participant who did not make the change. The email is sent without
+// waiting for it, so a slow or failing mail server never holds up or fails the
+// status change; delivery problems are logged.
+function notifyViewingStatus(request, change, actorId) {
+  const recipient = actorId === request.studentId ? request.property.landlord : request.student;
+  if (!recipient?.email) return;
+  sendViewingStatusEmail(recipient.email, {
+    propertyTitle: request.property.title,
+    requestedDate: request.requestedDate,
+    status: change.toStatus,
+    reason: change.reason,
+  }).catch(err => console.error('Failed to send viewing status email:', err));
+}
+
+// Records a new viewing request's first history entry and tells the landlord
+async function recordViewingCreated(prisma, requestId, studentId) {
+  const change = await prisma.viewingStatusHistory.create({
+    data: { viewingRequestId: requestId, toStatus: 'PENDING', changedById: studentId },
+  });
+  const request = await prisma.viewingRequest.findUnique({ where: { id: requestId }, include: viewingInclude });
+  notifyViewingStatus(request, change, studentId);
+}
+
+// Moves a request (loaded with its property) to status `to` on behalf of user.
+// Returns { request } or { status, error }. The status is only written if it has
+// not changed since the request was read, so concurrent updates cannot both apply.
+async function transitionViewing(prisma, request, user, to, reason) {
+  const side = viewingSide(user, request);
+  if (!side) return { status: 403, error: 'Not authorized to update this request' };
+  if (!canTransition(side, request.status, to)) {
+    return { status: 409, error: `Cannot move viewing from ${request.status} to ${to}` };
+  }
+  if (AFTER_VIEWING.includes(to) && request.requestedDate > new Date()) {
+    return { status: 409, error: `A viewing can only be marked ${to} after it has taken place` };
+  }
+
+  const releases = RELEASES_SLOT.includes(to);
+  const result = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.viewingRequest.updateMany({
+      where: { id: request.id, status: request.status },
+      data: {
+        status: to,
+        // A cancelled or rejected viewing has nothing left to reschedule
+        ...(releases && {
+          proposedDate: null, proposedSlotId: null, proposedById: null, proposedAt: null,
+        }),
+      },
+    });
+    if (!count) return null;
+
+    const change = await tx.viewingStatusHistory.create({
+      data: {
+        viewingRequestId: request.id,
+        fromStatus: request.status,
+        toStatus: to,
+        changedById: user.id,
+        reason,
+      },
+    });
+    if (releases && request.slotId) {
+      await tx.viewingSlot.update({ where: { id: request.slotId }, data: { isBooked: false } });
+    }
+    const updated = await tx.viewingRequest.findUnique({ where: { id: request.id }, include: viewingInclude });
+    return { updated, change };
+  });
+
+  if (!result) return { status: 409, error: 'Viewing was updated by someone else; reload and try again' };
+  notifyViewingStatus(result.updated, result.change, user.id);
+  return { request: result.updated };
+}
+
+module.exports = {
+  STUDENT_TRANSITIONS,
+  LANDLORD_TRANSITIONS,
+  RELEASES_SLOT,
+  viewingSide,
+  canTransition,
+  cancelledStatus,
+  recordViewingCreated,
+  transitionViewing,
+};
@@ -0,0 +1,146 @@
+const { findUnavailableDay } = require('./availability');
+
+// Scheduling rules shared by viewing requests and viewing slots.
+// Failures are returned as { status, error } like the other service helpers.
+
+// Statuses in which a viewing still holds its time
+const ACTIVE_STATUSES = ['PENDING', 'APPROVED'];
+
+// How long a viewing booked at a free time (not through a slot) is assumed to last
+const DEFAULT_VIEWING_MINUTES = 30;
+
+const MINUTE_MS = 60 * 1000;
+
+// Returns an error when any day touched by [from, to] resolves as unavailable
+// from the property's availability rules and day overrides
+async function checkAvailability(prisma, propertyId, from, to = from) {
+  const blocked = await findUnavailableDay(prisma, propertyId, from, to);
+  if (!blocked) return null;
+  return { status: 409, error: `Property is unavailable on ${blocked.date}` };
+}
+
+// Returns an error when another active viewing of the property overlaps a
+// free-form viewing at date. excludeId skips the request being rescheduled.
+async function checkConflicts(prisma, propertyId, date, excludeId) {
+  const windowMs = DEFAULT_VIEWING_MINUTES * MINUTE_MS;
+  const [request, slot] = await Promise.all([
+    prisma.viewingRequest.findFirst({
+      where: {
+        propertyId,
+        status: { in: ACTIVE_STATUSES },
+        requestedDate: { gt: new Date(date.getTime() - windowMs), lt: new Date(date.getTime() + windowMs) },
+        ...(excludeId && { id: { not: excludeId } }),
+      },
+    }),
+    prisma.viewingSlot.findFirst({
+      where: {
+        propertyId,
+        isBooked: true,
+        startsAt: { lt: new Date(date.getTime() + windowMs) },
+        endsAt: { gt: date },
+      },
+    }),
+  ]);
+  if (request || slot) return { status: 409, error: 'Another viewing is already booked at this time' };
+  return null;
+}
+
+// Validates a requested time: either a published slot of the property or a free
+// date when the property has no upcoming slots. Returns { date, slot } or an error.
+async function resolveViewingTime(prisma, propertyId, { slotId, requestedDate }, excludeId) {
+  if (slotId) {
+    const slot = await prisma.viewingSlot.findUnique({ where: { id: slotId } });
+    if (!slot || slot.propertyId !== propertyId) return { status: 404, error: 'Slot not found' };
+    if (slot.startsAt <= new Date()) return { status: 400, error: 'Slot has already started' };
+    if (slot.isBooked) return { status: 409, error: 'Slot is already booked' };
+    const unavailable = await checkAvailability(prisma, propertyId, slot.startsAt, slot.endsAt);
+    if (unavailable) return unavailable;
+    return { date: slot.startsAt, slot };
+  }
+
+  if (!requestedDate) return { status: 400, error: 'A slotId or requestedDate is required' };
+  if (requestedDate <= new Date()) return { status: 400, error: 'Requested date must be in the future' };
+
+  const openSlots = await prisma.viewingSlot.count({
+    where: { propertyId, isBooked: false, startsAt: { gt: new Date() } },
+  });
+  if (openSlots) return { status: 400, error: 'This property has viewing slots; please book one of them' };
+
+  const error = await checkAvailability(prisma, propertyId, requestedDate)
+    || await checkConflicts(prisma, propertyId, requestedDate, excludeId);
+  if (error) return error;
+  return { date: requestedDate, slot: null };
+}
+
+// Locks the property row for the rest of the transaction tx. Bookings of the
+// same property then run one at a time, so a conflict check always sees the
+// viewings booked before it and two students cannot take overlapping free times.
+async function lockPropertySchedule(tx, propertyId) {
+  await tx.$queryRaw`SELECT id FROM properties WHERE id = ${propertyId} FOR UPDATE`;
+}
+
+// Claims a slot. The conditional update makes this safe against two students
+// booking the same slot at once: only one of them sees count 1.
+async function claimSlot(prisma, slotId) {
+  const { count } = await prisma.viewingSlot.updateMany({
+    where: { id: slotId, isBooked: false },
+    data: { isBooked: true },
+  });
+  return count === 1;
+}
+
+// Frees a slot when the viewing holding it is cancelled, rejected or moved
+async function releaseSlot(prisma, slotId) {
+  if (!slotId) return;
+  await prisma.viewingSlot.update({ where: { id: slotId }, data: { isBooked: false } });
+}
+
+// Returns an error when any of the ranges overlap each other, an existing slot of
+// the property or an active viewing booked at a free time. Callers hold the
+// property's schedule lock (lockPropertySchedule) so no booking lands in between.
+async function checkSlotOverlaps(prisma, propertyId, ranges) {
+  const sorted = [...ranges].sort((a, b) => a.startsAt - b.startsAt);
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i].startsAt < sorted[i - 1].endsAt) {
+      return { status: 400, error: `Slots starting ${sorted[i - 1].startsAt.toISOString()} and ${sorted[i].startsAt.toISOString()} overlap` };
+    }
+  }
+
+  const existing = await prisma.viewingSlot.findFirst({
+    where: {
+      propertyId,
+      OR: sorted.map(({ startsAt, endsAt }) => ({ startsAt: { lt: endsAt }, endsAt: { gt: startsAt } })),
+    },
+  });
+  if (existing) {
+    return { status: 409, error: `Overlaps the existing slot starting ${existing.startsAt.toISOString()}` };
+  }
+
+  // Free-time viewings are assumed to last DEFAULT_VIEWING_MINUTES, as in checkConflicts
+  const windowMs = DEFAULT_VIEWING_MINUTES * MINUTE_MS;
+  const booked = await prisma.viewingRequest.findFirst({
+    where: {
+      propertyId,
+      status: { in: ACTIVE_STATUSES },
+      OR: sorted.map(({ startsAt, endsAt }) => ({
+        requestedDate: { gt: new Date(startsAt.getTime() - windowMs), lt: endsAt },
+      })),
+    },
+  });
+  if (booked) {
+    return { status: 409, error: `Overlaps a viewing booked at ${booked.requestedDate.toISOString()}` };
+  }
+  return null;
+}
+
+module.exports = {
+  ACTIVE_STATUSES,
+  DEFAULT_VIEWING_MINUTES,
+  checkAvailability,
+  checkConflicts,
+  resolveViewingTime,
+  lockPropertySchedule,
+  claimSlot,
+  releaseSlot,
+  checkSlotOverlaps,
+};